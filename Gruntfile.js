@@ -198,7 +198,7 @@ module.exports = function(grunt) {
         log: true
       },
       lib: {
-        src: ['tests/utils/*.js']
+        src: ['tests/*/*.js']
       }
     },
 
@@ -0,0 +1,219 @@
+/**
+ * Memory cache of panorama textures
+ * @description The entries are ordered by last access, the least recently used are removed when the size of the textures exceeds the budget
+ * @param {PanoSphereViewer} psv
+ * @param {float} budget - in megabytes
+ * @constructor
+ */
+function PSVCache(psv, budget) {
+  /**
+   * @member {PanoSphereViewer}
+   * @readonly
+   * @protected
+   */
+  this.psv = psv;
+
+  /**
+   * @summary Maximum size of the textures, in bytes
+   * @member {int}
+   * @readonly
+   */
+  this.budget = Math.round(budget * 1024 * 1024);
+
+  /**
+   * @summary Current size of the textures, in bytes
+   * @member {int}
+   * @readonly
+   */
+  this.size = 0;
+
+  /**
+   * @summary Cached panoramas, the most recently used first
+   * @member {PanoSphereViewer.CacheItem[]}
+   * @readonly
+   * @private
+   */
+  this.items = [];
+}
+
+/**
+ * @summary Estimates the memory used by a texture or the six textures of a cubemap
+ * @description Textures are stored as uncompressed RGBA
+ * @param {THREE.Texture|THREE.Texture[]} texture
+ * @returns {int} in bytes
+ */
+PSVCache.getTextureSize = function(texture) {
+  return (Array.isArray(texture) ? texture : [texture]).reduce(function(size, t) {
+    return size + (t && t.image ? t.image.width * t.image.height * 4 : 0);
+  }, 0);
+};
+
+/**
+ * @summary Compares two cache keys, cubemaps keys are arrays
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ * @private
+ */
+PSVCache.keysEqual = function(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every(function(key, i) {
+      return key === b[i];
+    });
+  }
+
+  return a === b;
+};
+
+/**
+ * @summary Returns the cache entry of a panorama and marks it as recently used
+ * @param {*} panorama
+ * @returns {PanoSphereViewer.CacheItem}
+ */
+PSVCache.prototype.get = function(panorama) {
+  var index = this._indexOf(panorama);
+
+  if (index === -1) {
+    return undefined;
+  }
+
+  var item = this.items.splice(index, 1)[0];
+  this.items.unshift(item);
+
+  return item;
+};
+
+/**
+ * @summary Checks if a texture, or a face of a cubemap, belongs to a cached panorama
+ * @param {THREE.Texture} texture
+ * @returns {boolean}
+ */
+PSVCache.prototype.hasTexture = function(texture) {
+  return this.items.some(function(item) {
+    return Array.isArray(item.image) ? item.image.indexOf(texture) !== -1 : item.image === texture;
+  });
+};
+
+/**
+ * @summary Adds or replaces a panorama, removes the least recently used entries if needed
+ * @description Panoramas bigger than the whole budget are not cached
+ * @param {PanoSphereViewer.CacheItem} item
+ * @returns {boolean} true if the panorama was cached
+ */
+PSVCache.prototype.put = function(item) {
+  if (this.psv._getPanoramaCacheKey(item.panorama) === null) {
+    return false;
+  }
+
+  item.size = PSVCache.getTextureSize(item.image);
+
+  if (item.size > this.budget) {
+    return false;
+  }
+
+  var index = this._indexOf(item.panorama);
+
+  if (index !== -1) {
+    var existing = this.items.splice(index, 1)[0];
+    this.size -= existing.size;
+
+    if (existing.image !== item.image) {
+      this._dispose(existing.image);
+    }
+  }
+
+  this.items.unshift(item);
+  this.size += item.size;
+
+  while (this.size > this.budget) {
+    this._evict(this.items.length - 1);
+  }
+
+  return true;
+};
+
+/**
+ * @summary Removes a panorama
+ * @param {*} panorama
+ */
+PSVCache.prototype.remove = function(panorama) {
+  var index = this._indexOf(panorama);
+
+  if (index !== -1) {
+    this._evict(index);
+  }
+};
+
+/**
+ * @summary Removes all panoramas
+ */
+PSVCache.prototype.clear = function() {
+  while (this.items.length) {
+    this._evict(this.items.length - 1);
+  }
+};
+
+/**
+ * @summary Returns the position of a panorama in the list
+ * @param {*} panorama
+ * @returns {int}
+ * @private
+ */
+PSVCache.prototype._indexOf = function(panorama) {
+  var key = this.psv._getPanoramaCacheKey(panorama);
+
+  if (key === null) {
+    return -1;
+  }
+
+  for (var i = 0, l = this.items.length; i < l; i++) {
+    if (PSVCache.keysEqual(this.psv._getPanoramaCacheKey(this.items[i].panorama), key)) {
+      return i;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * @summary Removes an entry and releases its textures
+ * @param {int} index
+ * @fires PanoSphereViewer.cache-evicted
+ * @private
+ */
+PSVCache.prototype._evict = function(index) {
+  var item = this.items.splice(index, 1)[0];
+
+  this.size -= item.size;
+  this._dispose(item.image);
+
+  /**
+   * @event cache-evicted
+   * @memberof PanoSphereViewer
+   * @summary Triggered when a panorama is removed from the cache
+   * @param {*} panorama
+   */
+  this.psv.trigger('cache-evicted', item.panorama);
+};
+
+/**
+ * @summary Releases the GPU memory of textures which are not displayed
+ * @param {THREE.Texture|THREE.Texture[]} texture
+ * @private
+ */
+PSVCache.prototype._dispose = function(texture) {
+  var mesh = this.psv.mesh;
+  var displayed = [];
+
+  if (mesh) {
+    (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).forEach(function(material) {
+      displayed.push(material.map);
+    });
+  }
+
+  (Array.isArray(texture) ? texture : [texture]).forEach(function(t) {
+    if (displayed.indexOf(t) === -1) {
+      t.dispose();
+    }
+  });
+};
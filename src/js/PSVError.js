@@ -25,3 +25,59 @@ PSVError.prototype.constructor = PSVError;
  * @readonly
  */
 PanoSphereViewer.Error = PSVError;
+
+/**
+ * Error used to reject the promise of an aborted panorama loading
+ * @param {string} [message='Loading aborted']
+ * @constructor
+ * @extends PSVError
+ */
+function PSVAbortError(message) {
+  PSVError.call(this, message || 'Loading aborted');
+}
+
+PSVAbortError.prototype = Object.create(PSVError.prototype);
+PSVAbortError.prototype.name = 'PSVAbortError';
+PSVAbortError.prototype.constructor = PSVAbortError;
+
+/**
+ * @summary exposes {@link PSVAbortError}
+ * @memberof PanoSphereViewer
+ * @readonly
+ */
+PanoSphereViewer.AbortError = PSVAbortError;
+
+/**
+ * Error used to reject the promise of a panorama which cannot be loaded
+ * @param {string} message
+ * @param {string} [url] - URL of the file which failed
+ * @param {*} [cause] - original error or event
+ * @constructor
+ * @extends PSVError
+ */
+function PSVLoadError(message, url, cause) {
+  PSVError.call(this, message);
+
+  /**
+   * @member {string}
+   * @readonly
+   */
+  this.url = url;
+
+  /**
+   * @member {*}
+   * @readonly
+   */
+  this.cause = cause;
+}
+
+PSVLoadError.prototype = Object.create(PSVError.prototype);
+PSVLoadError.prototype.name = 'PSVLoadError';
+PSVLoadError.prototype.constructor = PSVLoadError;
+
+/**
+ * @summary exposes {@link PSVLoadError}
+ * @memberof PanoSphereViewer
+ * @readonly
+ */
+PanoSphereViewer.LoadError = PSVLoadError;
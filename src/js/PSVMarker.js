@@ -1,24 +1,16 @@
 /**
  * Object representing a marker
+ * @description In addition to the usual configuration, the markers accept:
+ * - `minZoom` and `maxZoom`: range of zoom levels (0 to 100) where the marker is displayed, unbounded if not defined
+ * - `detailed`: representation of image and HTML markers displayed from the zoom level `detailed.zoom` (required),
+ *   see {@link PSVMarker#setDetailed}
  * @param {Object} properties - see {@link http://photo-sphere-viewer.js.org/markers.html#config} (merged with the object itself)
  * @param {PanoSphereViewer} psv
  * @constructor
  * @throws {PSVError} when the configuration is incorrect
  */
 function PSVMarker(properties, psv) {
-  if (!properties.id) {
-    throw new PSVError('missing marker id');
-  }
-
-  if (properties.image && (!properties.width || !properties.height)) {
-    throw new PSVError('missing marker width/height');
-  }
-
-  if (properties.image || properties.html) {
-    if ((!properties.hasOwnProperty('x') || !properties.hasOwnProperty('y')) && (!properties.hasOwnProperty('latitude') || !properties.hasOwnProperty('longitude'))) {
-      throw new PSVError('missing marker position, latitude/longitude or x/y');
-    }
-  }
+  PSVMarker.validate(properties);
 
   /**
    * @member {PanoSphereViewer}
@@ -39,6 +31,22 @@ function PSVMarker(properties, psv) {
    */
   this._dynamicSize = false;
 
+  /**
+   * @summary Content and size of the compact representation while the detailed one is displayed
+   * @member {Object}
+   * @readonly
+   * @private
+   */
+  this._compact = null;
+
+  /**
+   * @summary Properties given to the constructor and to {@link PSVMarker#update}
+   * @member {Object}
+   * @readonly
+   * @private
+   */
+  this._properties = {};
+
   // private properties
   var _id = properties.id;
   var _type = PSVMarker.getType(properties, false);
@@ -107,10 +115,13 @@ function PSVMarker(properties, psv) {
     }
   });
 
-  // create element
+  // create element, polylines are paths to be drawn in several parts when they are clipped
   if (this.isNormal()) {
     $el = document.createElement('div');
   }
+  else if (this.isPoly()) {
+    $el = document.createElementNS(PSVUtils.svgNS, 'path');
+  }
   else {
     $el = document.createElementNS(PSVUtils.svgNS, this.type);
   }
@@ -126,7 +137,50 @@ function PSVMarker(properties, psv) {
  * @type {string[]}
  * @readonly
  */
-PSVMarker.types = ['image', 'html', 'rect', 'circle', 'ellipse', 'path'];
+PSVMarker.types = ['image', 'html', 'rect', 'circle', 'ellipse', 'path', 'polygon', 'polyline'];
+
+/**
+ * @summary Properties exported by {@link PSVMarker#getConfig}, in addition to the type
+ * @type {string[]}
+ * @readonly
+ */
+PSVMarker.CONFIG_KEYS = ['longitude', 'latitude', 'width', 'height', 'scale', 'lockRotation', 'className', 'style', 'svgStyle',
+  'anchor', 'tooltip', 'content', 'data', 'visible', 'layer', 'minZoom', 'maxZoom', 'detailed'];
+
+/**
+ * @summary Checks the configuration of a marker without creating it
+ * @param {Object} properties
+ * @throws {PSVError} when the configuration is incorrect
+ */
+PSVMarker.validate = function(properties) {
+  if (!properties.id) {
+    throw new PSVError('missing marker id');
+  }
+
+  var type = PSVMarker.getType(properties, false);
+
+  if (properties.image && (!properties.width || !properties.height)) {
+    throw new PSVError('missing marker width/height');
+  }
+
+  if (properties.image || properties.html) {
+    if ((!properties.hasOwnProperty('x') || !properties.hasOwnProperty('y')) && (!properties.hasOwnProperty('latitude') || !properties.hasOwnProperty('longitude'))) {
+      throw new PSVError('missing marker position, latitude/longitude or x/y');
+    }
+  }
+
+  if (type === 'polygon' || type === 'polyline') {
+    var min = type === 'polygon' ? 3 : 2;
+
+    if (!Array.isArray(properties[type]) || properties[type].length < min) {
+      throw new PSVError('missing marker vertices, a ' + type + ' needs at least ' + min + ' vertices');
+    }
+  }
+
+  if (properties.detailed && typeof properties.detailed.zoom !== 'number') {
+    throw new PSVError('missing zoom level of the detailed representation of marker "' + properties.id + '"');
+  }
+};
 
 /**
  * @summary Determines the type of a marker by the available properties
@@ -177,6 +231,14 @@ PSVMarker.prototype.isSvg = function() {
   return this.type === 'rect' || this.type === 'circle' || this.type === 'ellipse' || this.type === 'path';
 };
 
+/**
+ * @summary Checks if it is a polygon or a polyline, their vertices are positions on the panorama
+ * @returns {boolean}
+ */
+PSVMarker.prototype.isPoly = function() {
+  return this.type === 'polygon' || this.type === 'polyline';
+};
+
 /**
  * @summary Computes marker scale from zoom level
  * @param {float} zoomLevel
@@ -197,10 +259,129 @@ PSVMarker.prototype.getScale = function(zoomLevel) {
   }
 };
 
+/**
+ * @summary Checks if the marker is displayed at a zoom level, see `minZoom` and `maxZoom`
+ * @param {int} zoomLevel
+ * @returns {boolean}
+ */
+PSVMarker.prototype.isInZoomRange = function(zoomLevel) {
+  return (typeof this.minZoom !== 'number' || zoomLevel >= this.minZoom) &&
+    (typeof this.maxZoom !== 'number' || zoomLevel <= this.maxZoom);
+};
+
+/**
+ * @summary Checks if the detailed representation is displayed
+ * @returns {boolean}
+ */
+PSVMarker.prototype.isDetailed = function() {
+  return !!this._compact;
+};
+
+/**
+ * @summary Switches between the compact and detailed representations of an image or HTML marker
+ * @description The `detailed` property defines the `zoom` level from which the detailed representation is displayed by the HUD,
+ * and can define the `image` or `html`, the `width` and `height` and the `className` used instead of the ones of the marker,
+ * the size is measured if `width` and `height` are not defined
+ * @param {boolean} detailed
+ * @returns {boolean} true if the representation changed
+ */
+PSVMarker.prototype.setDetailed = function(detailed) {
+  if (!this.detailed || detailed === this.isDetailed()) {
+    return false;
+  }
+
+  this._swapRepresentation(detailed);
+  this.update();
+
+  return true;
+};
+
+/**
+ * @summary Replaces the content and size of the marker by one of its representations
+ * @param {boolean} detailed
+ * @private
+ */
+PSVMarker.prototype._swapRepresentation = function(detailed) {
+  var representation;
+
+  if (detailed) {
+    this._compact = {
+      width: this._dynamicSize ? undefined : this.width,
+      height: this._dynamicSize ? undefined : this.height
+    };
+    this._compact[this.type] = this._def;
+
+    representation = this.detailed;
+  }
+  else {
+    representation = this._compact;
+
+    this._compact = null;
+  }
+
+  this._def = representation[this.type] || this._def;
+  this.width = representation.width;
+  this.height = representation.height;
+};
+
+/**
+ * @summary Returns the properties needed to create the marker again
+ * @description The position is exported as longitude/latitude, the vertices of polygons and polylines define their position.
+ * The properties which cannot be converted to JSON (like a `scale` function) are ignored.
+ * @returns {Object}
+ */
+PSVMarker.prototype.getConfig = function() {
+  // the properties of the compact representation are exported
+  var compact = this._compact || this;
+  var config = {
+    id: this.id
+  };
+
+  config[this.type] = compact[this.type];
+
+  PSVMarker.CONFIG_KEYS.forEach(function(key) {
+    var value = key === 'width' || key === 'height' ? compact[key] : this[key];
+
+    if (value === undefined || value === null || !PSVUtils.isSerializable(value)) {
+      return;
+    }
+    if (this.isPoly() && (key === 'longitude' || key === 'latitude' || key === 'anchor')) {
+      return;
+    }
+    if ((key === 'width' || key === 'height') && (!this.isNormal() || (!this._compact && this._dynamicSize))) {
+      return;
+    }
+
+    config[key] = value;
+  }, this);
+
+  return PSVUtils.clone(config);
+};
+
+/**
+ * @summary Returns all the properties given to the marker, with its current position
+ * @description Unlike {@link PSVMarker#getConfig}, the custom properties and the properties which cannot be converted to JSON
+ * (like a `scale` function) are kept, the texture coordinates are replaced by the longitude and latitude
+ * @returns {Object}
+ */
+PSVMarker.prototype.getProperties = function() {
+  var properties = PSVUtils.clone(this._properties);
+
+  delete properties.x;
+  delete properties.y;
+
+  if (!this.isPoly()) {
+    properties.longitude = this.longitude;
+    properties.latitude = this.latitude;
+  }
+
+  return properties;
+};
+
 /**
  * @summary Updates the marker with new properties
  * @param {object} [properties]
- * @throws {PSVError} when trying to change the marker's type
+ * @throws {PSVError} when trying to change the marker's type or when the detailed representation is incorrect
  */
 PSVMarker.prototype.update = function(properties) {
   // merge objects
@@ -211,9 +392,23 @@ PSVMarker.prototype.update = function(properties) {
       throw new PSVError('cannot change marker type');
     }
 
+    PSVUtils.deepmerge(this._properties, properties);
+
+    // the new properties apply to the compact representation, the detailed one is displayed again by the next render
+    if (this._compact) {
+      this._swapRepresentation(false);
+    }
+
     PSVUtils.deepmerge(this, properties);
   }
 
+  if (this.detailed && !this.isNormal()) {
+    throw new PSVError('only image and html markers can have a detailed representation');
+  }
+  if (this.detailed && typeof this.detailed.zoom !== 'number') {
+    throw new PSVError('missing zoom level of the detailed representation of marker "' + this.id + '"');
+  }
+
   // reset CSS class
   if (this.isNormal()) {
     this.$el.setAttribute('class', 'psv-marker psv-marker--normal');
@@ -226,6 +421,12 @@ PSVMarker.prototype.update = function(properties) {
   if (this.className) {
     PSVUtils.addClasses(this.$el, this.className);
   }
+  if (this._compact) {
+    PSVUtils.addClasses(this.$el, 'psv-marker--detailed');
+    if (this.detailed.className) {
+      PSVUtils.addClasses(this.$el, this.detailed.className);
+    }
+  }
   if (this.tooltip) {
     PSVUtils.addClasses(this.$el, 'has-tooltip');
     if (typeof this.tooltip === 'string') {
@@ -244,6 +445,9 @@ PSVMarker.prototype.update = function(properties) {
   if (this.isNormal()) {
     this._updateNormal();
   }
+  else if (this.isPoly()) {
+    this._updatePoly();
+  }
   else {
     this._updateSvg();
   }
@@ -260,6 +464,9 @@ PSVMarker.prototype._updateNormal = function() {
     this._dynamicSize = false;
   }
   else {
+    // the size of the previous representation is removed
+    this.$el.style.width = '';
+    this.$el.style.height = '';
     this._dynamicSize = true;
   }
 
@@ -367,15 +574,9 @@ PSVMarker.prototype._updateSvg = function() {
     this.$el.setAttributeNS(null, prop, this._def[prop]);
   }, this);
 
-  // set style
-  if (this.svgStyle) {
-    Object.getOwnPropertyNames(this.svgStyle).forEach(function(prop) {
-      this.$el.setAttributeNS(null, PSVUtils.dasherize(prop), this.svgStyle[prop]);
-    }, this);
-  }
-  else {
-    this.$el.setAttributeNS(null, 'fill', 'rgba(0,0,0,0.5)');
-  }
+  this._updateSvgStyle({
+    fill: 'rgba(0,0,0,0.5)'
+  });
 
   // convert texture coordinates to spherical coordinates
   this.psv.cleanPosition(this);
@@ -383,3 +584,63 @@ PSVMarker.prototype._updateSvg = function() {
   // compute x/y/z position
   this.position3D = this.psv.sphericalCoordsToVector3(this);
 };
+
+/**
+ * @summary Updates a polygon or polyline marker
+ * @description The vertices are `[longitude, latitude]` pairs or objects with longitude/latitude or x/y (texture coordinates)
+ * @throws {PSVError} when there are not enough vertices
+ * @private
+ */
+PSVMarker.prototype._updatePoly = function() {
+  var min = this.type === 'polygon' ? 3 : 2;
+
+  if (!Array.isArray(this._def) || this._def.length < min) {
+    throw new PSVError('missing marker vertices, a ' + this.type + ' needs at least ' + min + ' vertices');
+  }
+
+  this._dynamicSize = false;
+
+  this.positions = this._def.map(function(vertex) {
+    var position = Array.isArray(vertex) ? { longitude: vertex[0], latitude: vertex[1] } : PSVUtils.clone(vertex);
+
+    // convert texture coordinates to spherical coordinates
+    this.psv.cleanPosition(position);
+
+    return {
+      longitude: position.longitude,
+      latitude: position.latitude
+    };
+  }, this);
+
+  this.positions3D = this.positions.map(this.psv.sphericalCoordsToVector3, this.psv);
+
+  // the center is used to rotate the view to the marker
+  var center = this.positions3D.reduce(function(sum, vector) {
+    return sum.add(vector);
+  }, new THREE.Vector3());
+
+  PSVUtils.deepmerge(this, this.psv.vector3ToSphericalCoords(center.lengthSq() ? center : this.positions3D[0]));
+
+  this.position3D = this.psv.sphericalCoordsToVector3(this);
+
+  this._updateSvgStyle(this.type === 'polygon' ? {
+    fill: 'rgba(0,0,0,0.5)'
+  } : {
+    fill: 'none',
+    stroke: 'rgba(0,0,0,0.5)',
+    strokeWidth: 5
+  });
+};
+
+/**
+ * @summary Applies the SVG style of the marker
+ * @param {Object} defaults - used if `svgStyle` is not defined
+ * @private
+ */
+PSVMarker.prototype._updateSvgStyle = function(defaults) {
+  var style = this.svgStyle || defaults;
+
+  Object.getOwnPropertyNames(style).forEach(function(prop) {
+    this.$el.setAttributeNS(null, PSVUtils.dasherize(prop), style[prop]);
+  }, this);
+};
@@ -0,0 +1,776 @@
+/**
+ * Editor of markers
+ * @description In "select" mode the markers can be dragged and clicked to edit their tooltip and content in the side panel,
+ * in "image" mode a click adds an image marker, in "polygon" and "polyline" modes each click adds a vertex and a double click
+ * (or Enter) ends the shape.<br>
+ * When the viewer has the focus, Delete (or Backspace) removes the selected marker, Escape cancels the current shape,
+ * Ctrl+Z and Ctrl+Y undo and redo the changes.
+ * @param {module:components.PSVHUD} hud
+ * @param {Object} [options] - overrides the `marker_editor` option
+ * @param {string} [options.mode=select] - see {@link PSVMarkerEditor.MODES}
+ * @constructor
+ * @throws {PSVError} when the mode is unknown
+ */
+function PSVMarkerEditor(hud, options) {
+  /**
+   * @member {module:components.PSVHUD}
+   * @readonly
+   * @protected
+   */
+  this.hud = hud;
+
+  /**
+   * @member {PanoSphereViewer}
+   * @readonly
+   * @protected
+   */
+  this.psv = hud.psv;
+
+  /**
+   * @member {Object}
+   * @readonly
+   * @private
+   */
+  this.config = PSVUtils.deepmerge(PSVUtils.clone(this.psv.config.marker_editor), options || {});
+
+  /**
+   * @summary Current mode
+   * @member {string}
+   * @readonly
+   */
+  this.mode = null;
+
+  /**
+   * @summary Marker edited in the side panel
+   * @member {PSVMarker}
+   * @readonly
+   */
+  this.selectedMarker = null;
+
+  /**
+   * @member {HTMLElement}
+   * @readonly
+   * @private
+   */
+  this.toolbar = null;
+
+  /**
+   * @member {Object}
+   * @property {Array[]} drawing - vertices of the polygon or polyline being drawn
+   * @property {Object} drag - marker being dragged
+   * @property {Object[]} undo - changes which can be undone, `before` and `after` are the properties of the marker
+   * @property {Object[]} redo - changes which can be redone
+   * @property {int} counter - used to generate the ids of the new markers
+   * @property {string} cursor - cursor of the HUD before the edition
+   * @property {string} tabindex - tabindex of the viewer before the edition
+   * @private
+   */
+  this.prop = {
+    drawing: [],
+    drag: null,
+    undo: [],
+    redo: [],
+    counter: 0,
+    cursor: '',
+    tabindex: null
+  };
+
+  this.create();
+  this.setMode(this.config.mode || 'select');
+}
+
+/**
+ * @summary Available modes
+ * @type {string[]}
+ * @readonly
+ */
+PSVMarkerEditor.MODES = ['select', 'image', 'polygon', 'polyline'];
+
+/**
+ * @summary Id of the temporary marker of the shape being drawn
+ * @type {string}
+ * @readonly
+ * @private
+ */
+PSVMarkerEditor.DRAWING_ID = 'psv-marker-editor-drawing';
+
+/**
+ * @summary Maximum number of changes which can be undone
+ * @type {int}
+ * @readonly
+ */
+PSVMarkerEditor.HISTORY_SIZE = 100;
+
+/**
+ * @summary Creates the toolbar and binds the events
+ * @private
+ */
+PSVMarkerEditor.prototype.create = function() {
+  this.toolbar = document.createElement('div');
+  this.toolbar.className = 'psv-marker-editor-toolbar';
+  this.toolbar.innerHTML = this.psv.config.templates.markerEditorToolbar({
+    modes: PSVMarkerEditor.MODES.filter(function(mode) {
+      return mode !== 'image' || !!this.config.image;
+    }, this),
+    config: this.psv.config
+  });
+  this.psv.container.appendChild(this.toolbar);
+
+  this.prop.cursor = this.hud.container.style.cursor;
+
+  // the keyboard shortcuts only apply when the viewer has the focus
+  this.prop.tabindex = this.psv.container.getAttribute('tabindex');
+  if (this.prop.tabindex === null) {
+    this.psv.container.setAttribute('tabindex', '0');
+  }
+
+  this.toolbar.addEventListener('click', this);
+  this.psv.container.addEventListener('mousedown', this, true);
+  this.psv.container.addEventListener('keydown', this);
+
+  this.psv.on('open-panel', this);
+  this.psv.on('close-panel', this);
+  this.psv.on('panorama-loaded', this);
+};
+
+/**
+ * @summary Destroys the editor, the shape being drawn is lost
+ */
+PSVMarkerEditor.prototype.destroy = function() {
+  this.cancelDrawing();
+  this.unselect();
+  this._stopDrag();
+
+  this.toolbar.removeEventListener('click', this);
+  this.psv.container.removeEventListener('mousedown', this, true);
+  this.psv.container.removeEventListener('keydown', this);
+
+  this.psv.off('open-panel', this);
+  this.psv.off('close-panel', this);
+  this.psv.off('panorama-loaded', this);
+
+  this.psv.container.removeChild(this.toolbar);
+  this.hud.container.style.cursor = this.prop.cursor;
+
+  if (this.prop.tabindex === null) {
+    this.psv.container.removeAttribute('tabindex');
+  }
+
+  delete this.toolbar;
+  delete this.prop;
+  delete this.hud;
+  delete this.psv;
+};
+
+/**
+ * @summary Handles events
+ * @param {Event} e
+ * @private
+ */
+PSVMarkerEditor.prototype.handleEvent = function(e) {
+  switch (e.type) {
+    // @formatter:off
+    case 'mousedown':       this._onMouseDown(e);     break;
+    case 'mousemove':       this._onMouseMove(e);     break;
+    case 'mouseup':         this._onMouseUp(e);       break;
+    case 'keydown':         this._onKeyDown(e);       break;
+    case 'click':           this._onClick(e);         break;
+    case 'change':          this._onChange(e);        break;
+    case 'open-panel':      this._onPanelChanged();   break;
+    case 'close-panel':     this._onPanelChanged();   break;
+    case 'panorama-loaded': this.clearHistory();      break;
+    // @formatter:on
+  }
+};
+
+/**
+ * @summary Changes the mode, the shape being drawn is lost
+ * @param {string} mode - see {@link PSVMarkerEditor.MODES}
+ * @throws {PSVError} when the mode is unknown or the image is not configured
+ */
+PSVMarkerEditor.prototype.setMode = function(mode) {
+  if (PSVMarkerEditor.MODES.indexOf(mode) === -1) {
+    throw new PSVError('unknown marker editor mode "' + mode + '"');
+  }
+
+  if (mode === 'image' && !this.config.image) {
+    throw new PSVError('missing image of the marker editor');
+  }
+
+  this.cancelDrawing();
+  this.unselect();
+
+  this.mode = mode;
+  this.hud.container.style.cursor = mode === 'select' ? this.prop.cursor : 'crosshair';
+
+  PSVUtils.forEach(this.toolbar.querySelectorAll('[data-psv-mode]'), function(button) {
+    PSVUtils.toggleClass(button, 'psv-marker-editor-button--active', button.getAttribute('data-psv-mode') === mode);
+  });
+};
+
+/**
+ * @summary Handles the clicks on the viewer
+ * @param {PanoSphereViewer.ClickData} data
+ * @param {boolean} dblclick
+ */
+PSVMarkerEditor.prototype.onViewerClick = function(data, dblclick) {
+  if (dblclick) {
+    this.endDrawing();
+    return;
+  }
+
+  switch (this.mode) {
+    case 'image':
+      this._createMarker({
+        id: this._getNewId(),
+        image: this.config.image,
+        width: this.config.width,
+        height: this.config.height,
+        anchor: this.config.anchor,
+        longitude: data.longitude,
+        latitude: data.latitude
+      });
+      break;
+
+    case 'polygon':
+    case 'polyline':
+      this.prop.drawing.push([data.longitude, data.latitude]);
+      this._renderDrawing();
+      break;
+
+    default:
+      this.unselect();
+  }
+};
+
+/**
+ * @summary Creates the marker of the shape being drawn, if it has enough vertices
+ */
+PSVMarkerEditor.prototype.endDrawing = function() {
+  var vertices = this.prop.drawing;
+  var config = {
+    id: this._getNewId()
+  };
+
+  if (vertices.length >= (this.mode === 'polygon' ? 3 : 2)) {
+    config[this.mode] = vertices.slice();
+
+    this.cancelDrawing();
+    this._createMarker(config);
+  }
+};
+
+/**
+ * @summary Removes the shape being drawn
+ */
+PSVMarkerEditor.prototype.cancelDrawing = function() {
+  this.prop.drawing.length = 0;
+  this._renderDrawing();
+};
+
+/**
+ * @summary Edits a marker in the side panel
+ * @param {*} marker
+ */
+PSVMarkerEditor.prototype.select = function(marker) {
+  this.selectedMarker = this.hud.getMarker(marker);
+
+  this.psv.panel.showPanel(this.psv.config.templates.markerEditor({
+    marker: this.selectedMarker,
+    config: this.psv.config
+  }));
+
+  var form = this.psv.panel.content.querySelector('.psv-marker-editor');
+  form.addEventListener('change', this);
+  form.addEventListener('click', this);
+};
+
+/**
+ * @summary Closes the side panel of the selected marker
+ */
+PSVMarkerEditor.prototype.unselect = function() {
+  if (this.selectedMarker) {
+    this.selectedMarker = null;
+
+    if (this.psv.panel.content.querySelector('.psv-marker-editor')) {
+      this.psv.panel.hidePanel();
+    }
+  }
+};
+
+/**
+ * @summary Removes a marker
+ * @param {*} marker
+ * @fires module:components.PSVHUD.marker-deleted
+ */
+PSVMarkerEditor.prototype.deleteMarker = function(marker) {
+  marker = this.hud.getMarker(marker);
+
+  var before = marker.getProperties();
+
+  if (this.selectedMarker === marker) {
+    this.unselect();
+  }
+
+  this.hud.removeMarker(marker);
+  this._record(before, null);
+
+  /**
+   * @event marker-deleted
+   * @memberof module:components.PSVHUD
+   * @summary Triggered when a marker is removed with the editor, or when its creation is undone
+   * @param {PSVMarker} marker
+   */
+  this.psv.trigger('marker-deleted', marker);
+};
+
+/**
+ * @summary Cancels the last change
+ * @returns {boolean} false if there is nothing to undo
+ */
+PSVMarkerEditor.prototype.undo = function() {
+  var change = this.prop.undo.pop();
+
+  if (!change) {
+    return false;
+  }
+
+  this.prop.redo.push(change);
+  this._apply(change.after, change.before);
+
+  return true;
+};
+
+/**
+ * @summary Applies again the last cancelled change
+ * @returns {boolean} false if there is nothing to redo
+ */
+PSVMarkerEditor.prototype.redo = function() {
+  var change = this.prop.redo.pop();
+
+  if (!change) {
+    return false;
+  }
+
+  this.prop.undo.push(change);
+  this._apply(change.before, change.after);
+
+  return true;
+};
+
+/**
+ * @summary Forgets the changes which can be undone and redone, when the markers are replaced by another way than the editor
+ */
+PSVMarkerEditor.prototype.clearHistory = function() {
+  this.prop.undo.length = 0;
+  this.prop.redo.length = 0;
+};
+
+/**
+ * @summary Returns an id which is not used by another marker
+ * @returns {string}
+ * @private
+ */
+PSVMarkerEditor.prototype._getNewId = function() {
+  var id;
+
+  do {
+    id = 'marker-' + (++this.prop.counter);
+  } while (this.hud.markers[id]);
+
+  return id;
+};
+
+/**
+ * @summary Adds a marker and records the change
+ * @param {Object} config
+ * @fires module:components.PSVHUD.marker-created
+ * @private
+ */
+PSVMarkerEditor.prototype._createMarker = function(config) {
+  var marker = this.hud.addMarker(config);
+
+  this._record(null, marker.getProperties());
+
+  /**
+   * @event marker-created
+   * @memberof module:components.PSVHUD
+   * @summary Triggered when a marker is added with the editor, or when its deletion is undone
+   * @param {PSVMarker} marker
+   */
+  this.psv.trigger('marker-created', marker);
+};
+
+/**
+ * @summary Records a change to be undone
+ * @param {Object} before - properties of the marker, null if it was created
+ * @param {Object} after - properties of the marker, null if it was deleted
+ * @private
+ */
+PSVMarkerEditor.prototype._record = function(before, after) {
+  this.prop.undo.push({
+    before: before,
+    after: after
+  });
+
+  if (this.prop.undo.length > PSVMarkerEditor.HISTORY_SIZE) {
+    this.prop.undo.shift();
+  }
+
+  this.prop.redo.length = 0;
+};
+
+/**
+ * @summary Replaces the state of a marker during undo and redo
+ * @param {Object} from - current properties of the marker, null if it does not exist
+ * @param {Object} to - new properties of the marker, null to delete it
+ * @fires module:components.PSVHUD.marker-created
+ * @fires module:components.PSVHUD.marker-moved
+ * @fires module:components.PSVHUD.marker-updated
+ * @fires module:components.PSVHUD.marker-deleted
+ * @private
+ */
+PSVMarkerEditor.prototype._apply = function(from, to) {
+  var id = (to || from).id;
+  var marker = this.hud.markers[id];
+
+  this.cancelDrawing();
+  this.unselect();
+
+  // the marker is created again, its type can change
+  if (marker) {
+    this.hud.removeMarker(marker, false);
+  }
+  if (to) {
+    marker = this.hud.addMarker(PSVUtils.clone(to), false);
+  }
+
+  this.hud.renderMarkers();
+
+  var position = function(config) {
+    return JSON.stringify([config.longitude, config.latitude, config.polygon, config.polyline]);
+  };
+
+  if (!from) {
+    this.psv.trigger('marker-created', marker);
+  }
+  else if (!to) {
+    this.psv.trigger('marker-deleted', marker);
+  }
+  else if (position(from) !== position(to)) {
+    this.psv.trigger('marker-moved', marker);
+  }
+  else {
+    this.psv.trigger('marker-updated', marker);
+  }
+};
+
+/**
+ * @summary Displays the shape being drawn as a temporary polyline
+ * @private
+ */
+PSVMarkerEditor.prototype._renderDrawing = function() {
+  var vertices = this.prop.drawing.slice();
+
+  if (this.hud.markers[PSVMarkerEditor.DRAWING_ID]) {
+    this.hud.removeMarker(PSVMarkerEditor.DRAWING_ID, vertices.length < 2);
+  }
+
+  if (vertices.length >= 2) {
+    // the polygon is closed
+    if (this.mode === 'polygon' && vertices.length >= 3) {
+      vertices.push(vertices[0]);
+    }
+
+    this.hud.addMarker({
+      id: PSVMarkerEditor.DRAWING_ID,
+      polyline: vertices,
+      className: 'psv-marker-editor-drawing'
+    });
+  }
+};
+
+/**
+ * @summary Starts to drag a marker
+ * @param {MouseEvent} e
+ * @private
+ */
+PSVMarkerEditor.prototype._onMouseDown = function(e) {
+  var el = this.mode === 'select' ? PSVUtils.getClosest(e.target, '.psv-marker') : null;
+  var marker = el ? el.psvMarker : null;
+
+  if (!marker || marker.id === PSVMarkerEditor.DRAWING_ID) {
+    return;
+  }
+
+  // the default action, which gives the focus to the viewer, is prevented
+  this.psv.container.focus();
+
+  // the viewer does not rotate
+  e.stopPropagation();
+  e.preventDefault();
+
+  this.prop.drag = {
+    marker: marker,
+    client_x: e.clientX,
+    client_y: e.clientY,
+    start: this._getMousePosition(e),
+    before: marker.getProperties(),
+    positions: marker.isPoly() ? PSVUtils.clone(marker.positions) : null,
+    moved: false
+  };
+
+  window.addEventListener('mousemove', this);
+  window.addEventListener('mouseup', this);
+};
+
+/**
+ * @summary Moves the dragged marker
+ * @param {MouseEvent} e
+ * @private
+ */
+PSVMarkerEditor.prototype._onMouseMove = function(e) {
+  var drag = this.prop.drag;
+
+  if (!drag.moved &&
+    Math.abs(e.clientX - drag.client_x) < PanoSphereViewer.MOVE_THRESHOLD &&
+    Math.abs(e.clientY - drag.client_y) < PanoSphereViewer.MOVE_THRESHOLD) {
+    return;
+  }
+
+  var position = this._getMousePosition(e);
+
+  if (!position || !drag.start) {
+    return;
+  }
+
+  drag.moved = true;
+
+  var marker = drag.marker;
+  var properties = {
+    id: marker.id
+  };
+
+  // the vertices are moved by the same angles
+  if (marker.isPoly()) {
+    properties[marker.type] = marker.positions.map(function(vertex, i) {
+      return [
+        drag.positions[i].longitude + position.longitude - drag.start.longitude,
+        PSVUtils.bound(drag.positions[i].latitude + position.latitude - drag.start.latitude, -PSVUtils.HalfPI, PSVUtils.HalfPI)
+      ];
+    });
+  }
+  else {
+    // the texture coordinates would replace the new position
+    delete marker.x;
+    delete marker.y;
+
+    properties.longitude = position.longitude;
+    properties.latitude = position.latitude;
+  }
+
+  this.hud.updateMarker(properties);
+};
+
+/**
+ * @summary Ends the drag of a marker, selects the marker if it was not moved
+ * @param {MouseEvent} e
+ * @fires module:components.PSVHUD.marker-moved
+ * @private
+ */
+PSVMarkerEditor.prototype._onMouseUp = function(e) {
+  var drag = this.prop.drag;
+
+  this._stopDrag();
+
+  if (!drag.moved) {
+    this.select(drag.marker);
+    return;
+  }
+
+  this._record(drag.before, drag.marker.getProperties());
+
+  /**
+   * @event marker-moved
+   * @memberof module:components.PSVHUD
+   * @summary Triggered when a marker is dragged with the editor, or when its move is undone
+   * @param {PSVMarker} marker
+   */
+  this.psv.trigger('marker-moved', drag.marker);
+};
+
+/**
+ * @summary Removes the listeners of the drag
+ * @private
+ */
+PSVMarkerEditor.prototype._stopDrag = function() {
+  window.removeEventListener('mousemove', this);
+  window.removeEventListener('mouseup', this);
+
+  this.prop.drag = null;
+};
+
+/**
+ * @summary Returns the spherical position under the cursor
+ * @param {MouseEvent} e
+ * @returns {PanoSphereViewer.Position} null outside of the panorama
+ * @private
+ */
+PSVMarkerEditor.prototype._getMousePosition = function(e) {
+  var boundingRect = this.psv.container.getBoundingClientRect();
+  var vector = this.psv.viewerCoordsToVector3({
+    x: e.clientX - boundingRect.left,
+    y: e.clientY - boundingRect.top
+  });
+
+  return vector ? this.psv.vector3ToSphericalCoords(vector) : null;
+};
+
+/**
+ * @summary Handles the keyboard shortcuts when the viewer has the focus, except in the fields of the side panel
+ * @param {KeyboardEvent} e
+ * @private
+ */
+PSVMarkerEditor.prototype._onKeyDown = function(e) {
+  if (e.target && (/^(input|textarea|select)$/i.test(e.target.tagName) || e.target.isContentEditable)) {
+    return;
+  }
+
+  var key = e.key || PanoSphereViewer.KEYMAP[e.keyCode || e.which];
+  var handled = true;
+
+  switch (key) {
+    case 'Delete':
+    case 'Backspace':
+      if (this.selectedMarker) {
+        this.deleteMarker(this.selectedMarker);
+      }
+      break;
+
+    case 'Enter':
+      this.endDrawing();
+      break;
+
+    case 'Escape':
+      this.cancelDrawing();
+      this.unselect();
+      break;
+
+    case 'z':
+    case 'Z':
+      if (!e.ctrlKey && !e.metaKey) {
+        handled = false;
+      }
+      else if (e.shiftKey) {
+        this.redo();
+      }
+      else {
+        this.undo();
+      }
+      break;
+
+    case 'y':
+    case 'Y':
+      if (e.ctrlKey || e.metaKey) {
+        this.redo();
+      }
+      else {
+        handled = false;
+      }
+      break;
+
+    default:
+      handled = false;
+  }
+
+  if (handled) {
+    e.preventDefault();
+  }
+};
+
+/**
+ * @summary Handles the buttons of the toolbar and of the side panel
+ * @param {MouseEvent} e
+ * @private
+ */
+PSVMarkerEditor.prototype._onClick = function(e) {
+  var button = PSVUtils.getClosest(e.target, 'button');
+
+  if (!button) {
+    return;
+  }
+
+  switch (button.getAttribute('data-psv-action')) {
+    // @formatter:off
+    case 'mode':   this.setMode(button.getAttribute('data-psv-mode')); break;
+    case 'undo':   this.undo(); break;
+    case 'redo':   this.redo(); break;
+    case 'export': this._showExport(); break;
+    case 'delete': this.deleteMarker(this.selectedMarker); break;
+    // @formatter:on
+  }
+};
+
+/**
+ * @summary Applies the fields of the side panel to the selected marker
+ * @param {Event} e
+ * @fires module:components.PSVHUD.marker-updated
+ * @private
+ */
+PSVMarkerEditor.prototype._onChange = function(e) {
+  var marker = this.selectedMarker;
+  var value = e.target.value;
+  var properties = {
+    id: marker.id
+  };
+
+  switch (e.target.name) {
+    case 'tooltip':
+      properties.tooltip = value ? { content: value } : null;
+      break;
+
+    case 'content':
+      properties.content = value || null;
+      break;
+
+    default:
+      return;
+  }
+
+  var before = marker.getProperties();
+
+  this.hud.updateMarker(properties);
+  this._record(before, marker.getProperties());
+
+  /**
+   * @event marker-updated
+   * @memberof module:components.PSVHUD
+   * @summary Triggered when the tooltip or the content of a marker is changed with the editor, or when its change is undone
+   * @param {PSVMarker} marker
+   */
+  this.psv.trigger('marker-updated', marker);
+};
+
+/**
+ * @summary Forgets the selected marker when its side panel is replaced or closed
+ * @private
+ */
+PSVMarkerEditor.prototype._onPanelChanged = function() {
+  if (!this.psv.panel.content.querySelector('.psv-marker-editor')) {
+    this.selectedMarker = null;
+  }
+};
+
+/**
+ * @summary Displays the configuration of the markers in the side panel
+ * @private
+ */
+PSVMarkerEditor.prototype._showExport = function() {
+  this.cancelDrawing();
+  this.unselect();
+
+  this.psv.panel.showPanel(this.psv.config.templates.markerEditorExport({
+    json: JSON.stringify(this.hud.exportMarkers(), null, 2),
+    config: this.psv.config
+  }));
+};
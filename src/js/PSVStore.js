@@ -0,0 +1,338 @@
+/**
+ * Persistent cache of downloaded files in IndexedDB
+ * @description The least recently used files are removed when the size exceeds `max_size`, files older than `max_age` are ignored and removed
+ * @param {Object} config - `persistent_cache` option
+ * @constructor
+ */
+function PSVStore(config) {
+  /**
+   * @member {Object}
+   * @readonly
+   * @private
+   */
+  this.config = config;
+
+  /**
+   * @summary Maximum size of the files, in bytes, lowered if the browser quota is exceeded
+   * @member {int}
+   * @readonly
+   */
+  this.maxSize = Math.round(config.max_size * 1024 * 1024);
+
+  /**
+   * @summary Total size of the stored files, in bytes, null until computed by {@link PSVStore#prune}
+   * @member {int}
+   * @readonly
+   */
+  this.size = null;
+
+  /**
+   * @summary Promise of the opened database
+   * @member {Promise.<IDBDatabase>}
+   * @readonly
+   * @private
+   */
+  this.db = null;
+}
+
+/**
+ * @summary Name of the object store
+ * @type {string}
+ * @readonly
+ * @private
+ */
+PSVStore.STORE_NAME = 'panoramas';
+
+/**
+ * @typedef {Object} PSVStore.Record
+ * @summary A file stored in the database
+ * @property {string} url
+ * @property {Blob} blob
+ * @property {PanoSphereViewer.PanoramaMetadata} [metadata] - undefined until the headers of the file are parsed
+ * @property {int} size - in bytes
+ * @property {int} time - timestamp of the download
+ * @property {int} access - timestamp of the last use
+ */
+
+/**
+ * @summary Checks if IndexedDB is available
+ * @returns {boolean}
+ */
+PSVStore.isSupported = function() {
+  return !!window.indexedDB;
+};
+
+/**
+ * @summary Opens the database, only once
+ * @returns {Promise.<IDBDatabase>}
+ * @private
+ */
+PSVStore.prototype._open = function() {
+  if (!this.db) {
+    var defer = D();
+    var request = window.indexedDB.open(this.config.db_name, 1);
+
+    request.onupgradeneeded = function() {
+      var store = request.result.createObjectStore(PSVStore.STORE_NAME, { keyPath: 'url' });
+      store.createIndex('access', 'access');
+    };
+    request.onsuccess = function() {
+      defer.resolve(request.result);
+    };
+    request.onerror = function() {
+      defer.reject(request.error);
+    };
+
+    this.db = defer.promise;
+  }
+
+  return this.db;
+};
+
+/**
+ * @summary Runs operations in a transaction
+ * @description The callback must use the store synchronously, transactions are closed before promises callbacks
+ * @param {string} mode
+ * @param {function} callback - called with the object store, its return value resolves the promise
+ * @returns {Promise}
+ * @private
+ */
+PSVStore.prototype._transaction = function(mode, callback) {
+  return this._open().then(function(db) {
+    var defer = D();
+    var transaction = db.transaction(PSVStore.STORE_NAME, mode);
+    var result = {};
+
+    transaction.oncomplete = function() {
+      defer.resolve(result.value);
+    };
+    transaction.onerror = transaction.onabort = function() {
+      defer.reject(transaction.error);
+    };
+
+    callback(transaction.objectStore(PSVStore.STORE_NAME), result);
+
+    return defer.promise;
+  });
+};
+
+/**
+ * @summary Checks if a record is older than `max_age`
+ * @param {PSVStore.Record} record
+ * @returns {boolean}
+ * @private
+ */
+PSVStore.prototype._isExpired = function(record) {
+  return !!this.config.max_age && Date.now() - record.time > this.config.max_age;
+};
+
+/**
+ * @summary Returns a file and marks it as recently used, expired files are removed
+ * @param {string} url
+ * @returns {Promise.<PSVStore.Record>} null if not stored
+ */
+PSVStore.prototype.get = function(url) {
+  return this._transaction('readwrite', function(store, result) {
+    var request = store.get(url);
+
+    request.onsuccess = function() {
+      var record = request.result;
+
+      if (!record) {
+        result.value = null;
+      }
+      else if (this._isExpired(record)) {
+        store.delete(url);
+        this._addSize(-record.size);
+        result.value = null;
+      }
+      else {
+        record.access = Date.now();
+        store.put(record);
+        result.value = record;
+      }
+    }.bind(this);
+  }.bind(this));
+};
+
+/**
+ * @summary Stores a file, removes the least recently used files if needed
+ * @description The size is checked and the files are removed in the same transaction as the write, only the first write
+ * scans all the files to compute the total size. If the browser quota is exceeded, the maximum size is lowered to the current size
+ * @param {PSVStore.Record} record
+ * @returns {Promise}
+ */
+PSVStore.prototype.put = function(record) {
+  if (!record.time) {
+    record.time = Date.now();
+  }
+  record.access = Date.now();
+  record.size = record.blob.size;
+
+  if (record.size > this.maxSize) {
+    return D.resolved();
+  }
+
+  var put = function() {
+    var init = this.size === null ? this.prune() : D.resolved();
+
+    return init.then(function() {
+      return this._transaction('readwrite', this._write.bind(this, record));
+    }.bind(this));
+  }.bind(this);
+
+  return put()
+    .then(undefined, function(e) {
+      // the size is computed again after a failed transaction
+      this.size = null;
+
+      if (!e || e.name !== 'QuotaExceededError') {
+        throw e;
+      }
+
+      return this.prune()
+        .then(function(size) {
+          this.maxSize = Math.min(this.maxSize, size);
+        }.bind(this))
+        .then(put);
+    }.bind(this));
+};
+
+/**
+ * @summary Saves the metadata of a stored file
+ * @description Only the metadata field of the record is changed, nothing is written if the file was removed meanwhile
+ * @param {string} url
+ * @param {PanoSphereViewer.PanoramaMetadata} metadata
+ * @returns {Promise}
+ */
+PSVStore.prototype.setMetadata = function(url, metadata) {
+  return this._transaction('readwrite', function(store) {
+    var request = store.get(url);
+
+    request.onsuccess = function() {
+      if (request.result) {
+        request.result.metadata = metadata;
+        store.put(request.result);
+      }
+    };
+  });
+};
+
+/**
+ * @summary Writes a file in a transaction, the least recently used files are removed first if the maximum size is exceeded
+ * @description The transactions of the store are run one at a time, the total size is up to date when the callbacks are called
+ * @param {PSVStore.Record} record
+ * @param {IDBObjectStore} store
+ * @private
+ */
+PSVStore.prototype._write = function(record, store) {
+  var request = store.get(record.url);
+
+  request.onsuccess = function() {
+    // the size of a replaced file is freed
+    var excess = this.size + record.size - (request.result ? request.result.size : 0) - this.maxSize;
+
+    if (excess <= 0) {
+      store.put(record);
+      this._addSize(record.size - (request.result ? request.result.size : 0));
+      return;
+    }
+
+    // entries are ordered from the least recently used
+    var cursorRequest = store.index('access').openCursor();
+
+    cursorRequest.onsuccess = function() {
+      var cursor = cursorRequest.result;
+
+      if (cursor && excess > 0) {
+        if (cursor.value.url !== record.url) {
+          cursor.delete();
+          excess -= cursor.value.size;
+          this._addSize(-cursor.value.size);
+        }
+        cursor.continue();
+        return;
+      }
+
+      store.put(record);
+      this._addSize(record.size - (request.result ? request.result.size : 0));
+    }.bind(this);
+  }.bind(this);
+};
+
+/**
+ * @summary Updates the total size if it is known
+ * @param {int} delta - in bytes
+ * @private
+ */
+PSVStore.prototype._addSize = function(delta) {
+  if (this.size !== null) {
+    this.size += delta;
+  }
+};
+
+/**
+ * @summary Removes a file
+ * @param {string} url
+ * @returns {Promise}
+ */
+PSVStore.prototype.remove = function(url) {
+  return this._transaction('readwrite', function(store) {
+    var request = store.get(url);
+
+    request.onsuccess = function() {
+      if (request.result) {
+        store.delete(url);
+        this._addSize(-request.result.size);
+      }
+    }.bind(this);
+  }.bind(this));
+};
+
+/**
+ * @summary Removes all files
+ * @returns {Promise}
+ */
+PSVStore.prototype.clear = function() {
+  return this._transaction('readwrite', function(store) {
+    store.clear();
+    this.size = 0;
+  }.bind(this));
+};
+
+/**
+ * @summary Removes the expired files and the least recently used files exceeding the maximum size
+ * @description All the files are scanned, the total size is computed again
+ * @returns {Promise.<int>} size of the remaining files
+ */
+PSVStore.prototype.prune = function() {
+  return this._transaction('readwrite', function(store, result) {
+    var entries = [];
+    var request = store.index('access').openCursor();
+
+    request.onsuccess = function() {
+      var cursor = request.result;
+
+      if (cursor) {
+        entries.push({ url: cursor.value.url, size: cursor.value.size, time: cursor.value.time });
+        cursor.continue();
+        return;
+      }
+
+      var size = PSVUtils.sum(entries.map(function(entry) {
+        return entry.size;
+      }));
+
+      // entries are ordered from the least recently used
+      entries.forEach(function(entry) {
+        if (this._isExpired(entry) || size > this.maxSize) {
+          store.delete(entry.url);
+          size -= entry.size;
+        }
+      }, this);
+
+      this.size = size;
+      result.value = size;
+    }.bind(this);
+  }.bind(this));
+};
@@ -0,0 +1,271 @@
+/**
+ * Virtual tour made of scenes linked together
+ * @description The links of the current scene are displayed as markers, clicking on one of them loads the linked scene
+ * @param {PanoSphereViewer} psv
+ * @param {Object} config - `tour` option
+ * @param {PSVTour.Scene[]} config.scenes
+ * @param {string} [config.start_scene] - id of the first scene, the first of the list by default
+ * @constructor
+ * @throws {PSVError} when a scene is incorrect
+ */
+function PSVTour(psv, config) {
+  /**
+   * @member {PanoSphereViewer}
+   * @readonly
+   * @protected
+   */
+  this.psv = psv;
+
+  /**
+   * @member {Object}
+   * @readonly
+   * @private
+   */
+  this.config = config;
+
+  /**
+   * @summary All registered scenes
+   * @member {Object.<string, PSVTour.Scene>}
+   * @readonly
+   */
+  this.scenes = {};
+
+  /**
+   * @summary Currently displayed scene
+   * @member {PSVTour.Scene}
+   * @readonly
+   */
+  this.currentScene = null;
+
+  (config.scenes || []).forEach(this.addScene, this);
+
+  this.psv.on('select-marker', this);
+}
+
+/**
+ * @typedef {Object} PSVTour.Scene
+ * @summary Definition of a scene, the options of {@link PanoSphereViewer.PANORAMA_OPTIONS} can also be defined
+ * @property {string} id
+ * @property {*} panorama - see {@link PanoSphereViewer#setPanorama}
+ * @property {string} [caption]
+ * @property {PanoSphereViewer.ExtendedPosition} [position] - default view when the scene is not entered by a link
+ * @property {Object[]} [markers]
+ * @property {PSVTour.Link[]} [links]
+ * @property {PanoSphereViewer.Point} [plan] - position on the floor plan of the minimap, in pixels of the image
+ */
+
+/**
+ * @typedef {Object} PSVTour.Link
+ * @summary Link to another scene
+ * @property {string} scene - id of the linked scene
+ * @property {float|string} longitude - direction of the link in the current scene
+ * @property {float|string} [latitude=0]
+ * @property {PanoSphereViewer.ExtendedPosition} [position] - view in the linked scene, the direction of the link is kept by default
+ * @property {string} [tooltip] - the caption of the linked scene by default
+ */
+
+/**
+ * @summary Prefix of the ids of the markers of links
+ * @type {string}
+ * @readonly
+ * @private
+ */
+PSVTour.LINK_PREFIX = 'psv-tour-link-';
+
+/**
+ * @summary Destroys the tour
+ */
+PSVTour.prototype.destroy = function() {
+  this.psv.off('select-marker', this);
+
+  delete this.psv;
+};
+
+/**
+ * @summary Handles events
+ * @param {Event} e
+ * @private
+ */
+PSVTour.prototype.handleEvent = function(e) {
+  switch (e.type) {
+    // @formatter:off
+    case 'select-marker': this._onSelectMarker(e.args[0]); break;
+    // @formatter:on
+  }
+};
+
+/**
+ * @summary Adds a scene
+ * @param {PSVTour.Scene} scene
+ * @throws {PSVError} when the scene id or panorama is missing or the id already exists
+ */
+PSVTour.prototype.addScene = function(scene) {
+  if (!scene.id) {
+    throw new PSVError('missing scene id');
+  }
+
+  if (this.scenes[scene.id]) {
+    throw new PSVError('scene "' + scene.id + '" already exists');
+  }
+
+  if (!scene.panorama) {
+    throw new PSVError('missing panorama of scene "' + scene.id + '"');
+  }
+
+  this.scenes[scene.id] = scene;
+};
+
+/**
+ * @summary Removes a scene, the current scene cannot be removed
+ * @param {string} id
+ * @throws {PSVError} when the scene is displayed
+ */
+PSVTour.prototype.removeScene = function(id) {
+  if (this.currentScene && this.currentScene.id === id) {
+    throw new PSVError('cannot remove the current scene');
+  }
+
+  delete this.scenes[id];
+};
+
+/**
+ * @summary Returns a scene
+ * @param {string} id
+ * @returns {PSVTour.Scene}
+ * @throws {PSVError} when the scene cannot be found
+ */
+PSVTour.prototype.getScene = function(id) {
+  if (!this.scenes[id]) {
+    throw new PSVError('cannot find scene "' + id + '"');
+  }
+
+  return this.scenes[id];
+};
+
+/**
+ * @summary Loads the first scene
+ * @param {string} [id] - `start_scene` or the first scene by default
+ * @returns {Promise}
+ * @throws {PSVError} when the scene cannot be found
+ */
+PSVTour.prototype.start = function(id) {
+  return this.goToScene(id || this.config.start_scene || Object.keys(this.scenes)[0]);
+};
+
+/**
+ * @summary Checks if another scene can be displayed, the current loading must be abortable
+ * @returns {boolean}
+ */
+PSVTour.prototype.canChangeScene = function() {
+  return !this.psv.prop.loading_promise || this.psv.config.abort_loading;
+};
+
+/**
+ * @summary Displays a scene
+ * @description When following a link, the view turns toward the link during the transition and the direction of the link is kept in the new scene
+ * @param {string} id
+ * @param {PSVTour.Link} [link] - followed link
+ * @returns {Promise}
+ * @fires PanoSphereViewer.scene-changed
+ * @throws {PSVError} when the scene cannot be found
+ */
+PSVTour.prototype.goToScene = function(id, link) {
+  var scene = this.getScene(id);
+  var options = {
+    caption: scene.caption || null,
+    markers: (scene.markers || []).concat((scene.links || []).map(this._createLinkMarker, this))
+  };
+
+  PanoSphereViewer.PANORAMA_OPTIONS.forEach(function(key) {
+    if (scene[key] !== undefined) {
+      options[key] = scene[key];
+    }
+  });
+
+  if (link) {
+    var direction = {
+      longitude: link.longitude,
+      latitude: link.latitude || 0
+    };
+
+    this.psv.cleanPosition(direction);
+
+    options.position = link.position ? PSVUtils.clone(link.position) : { longitude: direction.longitude, latitude: 0 };
+    options.transition = { target: direction };
+  }
+  else {
+    options.position = scene.position ? PSVUtils.clone(scene.position) : undefined;
+    options.transition = !!this.currentScene;
+  }
+
+  return this.psv.setPanorama(scene.panorama, options)
+    .then(function() {
+      var previous = this.currentScene;
+      this.currentScene = scene;
+
+      /**
+       * @event scene-changed
+       * @memberof PanoSphereViewer
+       * @summary Triggered when a scene of the tour is displayed
+       * @param {PSVTour.Scene} scene
+       * @param {PSVTour.Scene} previous
+       */
+      this.psv.trigger('scene-changed', scene, previous);
+    }.bind(this));
+};
+
+/**
+ * @summary Displays a scene requested by the user
+ * @description The loading errors are displayed by the viewer and the unexpected errors are thrown by {@link PanoSphereViewer#setPanorama},
+ *     the scenes which cannot be displayed by the viewer are reported in the console
+ * @param {string} id
+ * @param {PSVTour.Link} [link] - followed link
+ * @private
+ */
+PSVTour.prototype._navigate = function(id, link) {
+  this.goToScene(id, link)
+    .then(undefined, function(e) {
+      if (e instanceof PSVError && !(e instanceof PSVLoadError) && !(e instanceof PSVAbortError)) {
+        console.warn('PanoSphereViewer: cannot display the scene "' + id + '".', e);
+      }
+    });
+};
+
+/**
+ * @summary Creates the marker of a link
+ * @param {PSVTour.Link} link
+ * @param {int} index
+ * @returns {Object}
+ * @throws {PSVError} when the linked scene cannot be found
+ * @private
+ */
+PSVTour.prototype._createLinkMarker = function(link, index) {
+  var scene = this.getScene(link.scene);
+
+  return {
+    id: PSVTour.LINK_PREFIX + index,
+    html: this.psv.config.templates.tourLink({
+      link: link,
+      scene: scene
+    }),
+    className: 'psv-tour-link',
+    longitude: link.longitude,
+    latitude: link.latitude || 0,
+    anchor: 'center center',
+    tooltip: link.tooltip || scene.caption,
+    data: {
+      tourLink: link
+    }
+  };
+};
+
+/**
+ * @summary Follows the link of a selected marker
+ * @param {PSVMarker} marker
+ * @private
+ */
+PSVTour.prototype._onSelectMarker = function(marker) {
+  if (marker.data && marker.data.tourLink && this.canChangeScene()) {
+    this._navigate(marker.data.tourLink.scene, marker.data.tourLink);
+  }
+};
@@ -314,6 +314,26 @@ PSVUtils.dasherize = function(str) {
   });
 };
 
+/**
+ * @summary Parses the parameters of a URL hash, formatted like a query string
+ * @param {string} hash - with or without the leading "#"
+ * @returns {Object.<string, string>}
+ */
+PSVUtils.parseUrlHash = function(hash) {
+  var params = {};
+
+  hash.replace(/^#/, '').split('&').forEach(function(param) {
+    if (!param) {
+      return;
+    }
+
+    var parts = param.split('=');
+    params[decodeURIComponent(parts[0])] = parts.length > 1 ? decodeURIComponent(parts.slice(1).join('=')) : '';
+  });
+
+  return params;
+};
+
 /**
  * @summary Returns the value of a given attribute in the panorama metadata
  * @param {string} data
@@ -335,6 +355,225 @@ PSVUtils.getXMPValue = function(data, attr) {
   }
 };
 
+/**
+ * @summary Reads the APP1 segments (XMP and EXIF) of a JPEG file
+ * @description The parser stops at the first image data segment, if the headers exceed the buffer `complete` is false
+ *     and `length` is the number of bytes needed to read the next segment
+ * @param {ArrayBuffer} buffer - beginning of the file
+ * @returns {{complete: boolean, length: int, xmp: string, exif: PSVUtils.ExifData}} null if the file is not a JPEG
+ */
+PSVUtils.parseJPEGHeaders = function(buffer) {
+  var view = new DataView(buffer);
+  var result = {
+    complete: false,
+    length: 0,
+    xmp: null,
+    exif: null
+  };
+
+  // SOI marker
+  if (view.byteLength < 2 || view.getUint16(0) !== 0xFFD8) {
+    return null;
+  }
+
+  var offset = 2;
+
+  while (true) {
+    if (offset + 4 > view.byteLength) {
+      result.length = offset + 4;
+      return result;
+    }
+
+    if (view.getUint8(offset) !== 0xFF) {
+      break;
+    }
+
+    var marker = view.getUint8(offset + 1);
+
+    // SOS and EOI, end of the headers
+    if (marker === 0xDA || marker === 0xD9) {
+      break;
+    }
+
+    // standalone markers
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += 2;
+      continue;
+    }
+
+    var end = offset + 2 + view.getUint16(offset + 2);
+
+    if (end > view.byteLength) {
+      result.length = end;
+      return result;
+    }
+
+    // APP1 marker
+    if (marker === 0xE1) {
+      if (PSVUtils.readString(view, offset + 4, 6) === 'Exif\0\0') {
+        result.exif = PSVUtils.parseExif(view, offset + 10);
+      }
+      else if (PSVUtils.readString(view, offset + 4, 29) === 'http://ns.adobe.com/xap/1.0/\0') {
+        result.xmp = PSVUtils.readString(view, offset + 33, end - offset - 33);
+      }
+    }
+
+    offset = end;
+  }
+
+  result.complete = true;
+  result.length = offset;
+  return result;
+};
+
+/**
+ * @typedef {Object} PSVUtils.ExifData
+ * @summary Useful EXIF data of a panorama
+ * @property {Date} date - capture date
+ * @property {{latitude: float, longitude: float, altitude: float}} gps - position in degrees and meters
+ */
+
+/**
+ * @summary Reads the capture date and GPS position of a TIFF structure
+ * @param {DataView} view
+ * @param {int} start - offset of the TIFF header
+ * @returns {PSVUtils.ExifData}
+ */
+PSVUtils.parseExif = function(view, start) {
+  var little = view.getUint16(start) === 0x4949;
+  var sizes = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8];
+
+  var readIFD = function(offset) {
+    var tags = {};
+
+    if (!offset || start + offset + 2 > view.byteLength) {
+      return tags;
+    }
+
+    var count = view.getUint16(start + offset, little);
+
+    for (var i = 0; i < count; i++) {
+      var entry = start + offset + 2 + i * 12;
+
+      if (entry + 12 > view.byteLength) {
+        break;
+      }
+
+      var type = view.getUint16(entry + 2, little);
+      var length = view.getUint32(entry + 4, little);
+      var size = (sizes[type] || 1) * length;
+
+      tags[view.getUint16(entry, little)] = {
+        type: type,
+        length: length,
+        offset: size > 4 ? start + view.getUint32(entry + 8, little) : entry + 8
+      };
+    }
+
+    return tags;
+  };
+
+  var readValue = function(tag) {
+    if (!tag || tag.offset + (sizes[tag.type] || 1) * tag.length > view.byteLength) {
+      return null;
+    }
+
+    switch (tag.type) {
+      case 2: // ASCII
+        return PSVUtils.readString(view, tag.offset, tag.length).replace(/\0+$/, '');
+      case 3: // SHORT
+        return view.getUint16(tag.offset, little);
+      case 4: // LONG
+        return view.getUint32(tag.offset, little);
+      case 5: // RATIONAL
+        var values = [];
+        for (var i = 0; i < tag.length; i++) {
+          values.push(view.getUint32(tag.offset + i * 8, little) / view.getUint32(tag.offset + i * 8 + 4, little));
+        }
+        return tag.length === 1 ? values[0] : values;
+      default:
+        return view.getUint8(tag.offset);
+    }
+  };
+
+  var ifd0 = readIFD(view.getUint32(start + 4, little));
+  var exifIFD = readIFD(readValue(ifd0[0x8769]));
+  var gpsIFD = readIFD(readValue(ifd0[0x8825]));
+
+  var result = {
+    date: null,
+    gps: null
+  };
+
+  // DateTimeOriginal, DateTime
+  var date = readValue(exifIFD[0x9003]) || readValue(ifd0[0x0132]);
+  var parts = date ? date.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/) : null;
+  if (parts) {
+    result.date = new Date(parts[1], parts[2] - 1, parts[3], parts[4], parts[5], parts[6]);
+  }
+
+  // GPSLatitude, GPSLongitude, GPSAltitude and their references
+  var latitude = readValue(gpsIFD[0x0002]);
+  var longitude = readValue(gpsIFD[0x0004]);
+  if (Array.isArray(latitude) && Array.isArray(longitude)) {
+    var altitude = readValue(gpsIFD[0x0006]);
+
+    result.gps = {
+      latitude: (latitude[0] + latitude[1] / 60 + latitude[2] / 3600) * (readValue(gpsIFD[0x0001]) === 'S' ? -1 : 1),
+      longitude: (longitude[0] + longitude[1] / 60 + longitude[2] / 3600) * (readValue(gpsIFD[0x0003]) === 'W' ? -1 : 1),
+      altitude: altitude === null ? null : altitude * (readValue(gpsIFD[0x0005]) === 1 ? -1 : 1)
+    };
+  }
+
+  return result;
+};
+
+/**
+ * @summary Reads a string of 8-bits characters
+ * @param {DataView} view
+ * @param {int} offset
+ * @param {int} length
+ * @returns {string}
+ */
+PSVUtils.readString = function(view, offset, length) {
+  var str = '';
+
+  length = Math.min(length, view.byteLength - offset);
+
+  for (var i = 0; i < length; i++) {
+    str += String.fromCharCode(view.getUint8(offset + i));
+  }
+
+  return str;
+};
+
+/**
+ * @summary Calls a function when a signal is aborted, or immediately if it is already aborted
+ * @param {AbortSignal} [signal]
+ * @param {Function} callback
+ */
+PSVUtils.onAbort = function(signal, callback) {
+  if (!signal) {
+    return;
+  }
+
+  if (signal.aborted) {
+    callback();
+  }
+  else {
+    signal.addEventListener('abort', callback);
+  }
+};
+
+/**
+ * @summary Checks if an object is an ImageBitmap
+ * @param {*} obj
+ * @returns {boolean}
+ */
+PSVUtils.isImageBitmap = function(obj) {
+  return typeof ImageBitmap !== 'undefined' && obj instanceof ImageBitmap;
+};
+
 /**
  * @summary Detects if fullscreen is enabled
  * @param {HTMLElement} elt
@@ -388,6 +627,38 @@ PSVUtils.getShortestArc = function(from, to) {
   }, Infinity);
 };
 
+/**
+ * @summary Computes the distance to the center of the view of a point seen with a given angle
+ * @description Rectilinear and stereographic projections are both perspective projections,
+ *     from the center (perspective=0) or from the opposite side (perspective=1) of the unit sphere
+ * @param {float} angle - angle between the view direction and the point
+ * @param {{perspective: float, equisolid: boolean}} projection
+ * @returns {float}
+ */
+PSVUtils.projectAngle = function(angle, projection) {
+  if (projection.equisolid) {
+    return 2 * Math.sin(angle / 2);
+  }
+
+  return (projection.perspective + 1) * Math.sin(angle) / (projection.perspective + Math.cos(angle));
+};
+
+/**
+ * @summary Computes the angle between the view direction and a point at a given distance to the center of the view
+ * @description Inverse of {@link PSVUtils.projectAngle}
+ * @param {float} radius
+ * @param {{perspective: float, equisolid: boolean}} projection
+ * @returns {float}
+ */
+PSVUtils.unprojectRadius = function(radius, projection) {
+  if (projection.equisolid) {
+    return 2 * Math.asin(Math.min(radius / 2, 1));
+  }
+
+  var s = projection.perspective + 1;
+  return Math.acos(-radius * projection.perspective / Math.sqrt(radius * radius + s * s)) - Math.atan2(s, radius);
+};
+
 /**
  * @summary Translate CSS values like "top center" or "10% 50%" as top and left positions
  * @description The implementation is as close as possible to the "background-position" specification
@@ -779,6 +1050,31 @@ PSVUtils.isPlainObject = function(obj) {
   return false;
 };
 
+/**
+ * @summary Checks if a value can be converted to JSON without loss, i.e. is made of strings, numbers, booleans, null, arrays and plain objects
+ * @param {*} value
+ * @returns {boolean}
+ */
+PSVUtils.isSerializable = function(value) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+    return true;
+  }
+  else if (typeof value === 'number') {
+    return isFinite(value);
+  }
+  else if (Array.isArray(value)) {
+    return value.every(PSVUtils.isSerializable);
+  }
+  else if (PSVUtils.isPlainObject(value)) {
+    return Object.keys(value).every(function(key) {
+      return PSVUtils.isSerializable(value[key]);
+    });
+  }
+  else {
+    return false;
+  }
+};
+
 /**
  * @summary Merges the enumerable attributes of two objects
  * @description Replaces arrays and alters the target object.
@@ -1,5 +1,5 @@
 /**
- * @summary Main event loop, calls {@link PanoSphereViewer._render} if `prop.needsUpdate` is true
+ * @summary Main event loop, calls {@link PanoSphereViewer._render} if `prop.needsUpdate` is true or if a video is playing
  * @param {int} timestamp
  * @fires PanoSphereViewer.filter:before-render
  * @private
@@ -13,7 +13,7 @@ PanoSphereViewer.prototype._run = function(timestamp) {
    */
   this.trigger('before-render', timestamp || +new Date());
 
-  if (this.prop.needsUpdate) {
+  if (this.prop.needsUpdate || this.isVideoPlaying()) {
     this._render();
     this.prop.needsUpdate = false;
   }
@@ -31,15 +31,25 @@ PanoSphereViewer.prototype._render = function() {
   this.camera.position.set(0, 0, 0);
   this.camera.lookAt(this.prop.direction);
 
-  if (this.config.fisheye) {
+  var projectionPass = this._isProjectionPassActive();
+
+  if (this.config.fisheye && !projectionPass) {
     this.camera.position.copy(this.prop.direction).multiplyScalar(this.config.fisheye / 2).negate();
   }
 
+  // the camera is only used for its orientation by the projection pass
   this.camera.aspect = this.prop.aspect;
-  this.camera.fov = this.prop.vFov;
+  this.camera.fov = Math.min(this.prop.vFov, 179);
   this.camera.updateProjectionMatrix();
 
-  (this.stereoEffect || this.renderer).render(this.scene, this.camera);
+  if (projectionPass) {
+    this.camera.updateMatrixWorld();
+    this.camera.matrixWorldInverse.getInverse(this.camera.matrixWorld);
+    this._renderProjection();
+  }
+  else {
+    (this.stereoEffect || this.renderer).render(this.scene, this.camera);
+  }
 
   /**
    * @event render
@@ -50,93 +60,112 @@ PanoSphereViewer.prototype._render = function() {
 };
 
 /**
- * @summary Loads the XMP data with AJAX
- * @param {string} panorama
- * @returns {Promise.<PanoSphereViewer.PanoData>}
- * @throws {PSVError} when the image cannot be loaded
+ * @summary Loads the panorama texture(s)
+ * @param {string|string[]|PanoSphereViewer.ImageSource|PanoSphereViewer.TilesPanorama|PanoSphereViewer.VideoPanorama|HTMLVideoElement} panorama
+ * @param {AbortSignal} [signal] - cancels the requests
+ * @returns {Promise.<THREE.Texture|THREE.Texture[]|PanoSphereViewer.TilesTexture|THREE.VideoTexture>}
+ * @fires PanoSphereViewer.panorama-load-progress
+ * @throws {PSVError} when the panorama type does not match the viewer, the promise is rejected with a {@link PSVLoadError} when the image cannot be loaded
  * @private
  */
-PanoSphereViewer.prototype._loadXMP = function(panorama) {
-  if (!this.config.usexmpdata) {
-    return D.resolved(null);
-  }
+PanoSphereViewer.prototype._loadTexture = function(panorama, signal) {
+  this.prop.metadata = null;
 
-  var defer = D();
-  var xhr = new XMLHttpRequest();
-  var progress = 0;
+  var tiled = this._isTiledPanorama(panorama);
+  var video = this._isVideoPanorama(panorama);
 
-  xhr.onreadystatechange = function() {
-    if (xhr.readyState === 4) {
-      if (xhr.status === 200 || xhr.status === 201 || xhr.status === 202 || xhr.status === 0) {
-        this.loader.setProgress(100);
+  panorama = this._normalizePanorama(panorama);
 
-        var binary = xhr.responseText;
-        var a = binary.indexOf('<x:xmpmeta'), b = binary.indexOf('</x:xmpmeta>');
-        var data = binary.substring(a, b);
+  if (Array.isArray(panorama) || (tiled && this._isTiledCubemap(panorama)) || (video && panorama.cubemap === true)) {
+    if (this.prop.isCubemap === false) {
+      throw new PSVError('The viewer was initialized with an equirectangular panorama, cannot switch to cubemap.');
+    }
 
-        // No data retrieved
-        if (a === -1 || b === -1 || data.indexOf('GPano:') === -1) {
-          defer.resolve(null);
-        }
-        else {
-          var pano_data = {
-            full_width: parseInt(PSVUtils.getXMPValue(data, 'FullPanoWidthPixels')),
-            full_height: parseInt(PSVUtils.getXMPValue(data, 'FullPanoHeightPixels')),
-            cropped_width: parseInt(PSVUtils.getXMPValue(data, 'CroppedAreaImageWidthPixels')),
-            cropped_height: parseInt(PSVUtils.getXMPValue(data, 'CroppedAreaImageHeightPixels')),
-            cropped_x: parseInt(PSVUtils.getXMPValue(data, 'CroppedAreaLeftPixels')),
-            cropped_y: parseInt(PSVUtils.getXMPValue(data, 'CroppedAreaTopPixels'))
-          };
-
-          if (!pano_data.full_width || !pano_data.full_height || !pano_data.cropped_width || !pano_data.cropped_height) {
-            console.warn('PanoSphereViewer: invalid XMP data');
-            defer.resolve(null);
-          }
-          else {
-            defer.resolve(pano_data);
-          }
-        }
-      }
-      else {
-        this.container.textContent = 'Cannot load image';
-        throw new PSVError('Cannot load image');
-      }
+    if (this.config.fisheye) {
+      console.warn('PanoSphereViewer: fisheye effect with cubemap texture can generate distorsions.');
     }
-    else if (xhr.readyState === 3) {
-      this.loader.setProgress(progress += 10);
+
+    this.prop.isCubemap = true;
+
+    if (video) {
+      return this._loadVideoTexture(panorama, signal);
+    }
+    if (tiled) {
+      return this._loadTilesTexture(panorama, signal);
     }
-  }.bind(this);
 
-  xhr.onprogress = function(e) {
-    if (e.lengthComputable) {
-      var new_progress = parseInt(e.loaded / e.total * 100);
-      if (new_progress > progress) {
-        progress = new_progress;
-        this.loader.setProgress(progress);
-      }
+    return this._loadCubemapTexture(panorama, signal);
+  }
+  else {
+    if (this.prop.isCubemap === true) {
+      throw new PSVError('The viewer was initialized with an cubemap, cannot switch to equirectangular panorama.');
     }
-  }.bind(this);
 
-  xhr.onerror = function() {
-    this.container.textContent = 'Cannot load image';
-    throw new PSVError('Cannot load image');
-  }.bind(this);
+    this.prop.isCubemap = false;
 
-  xhr.open('GET', panorama, true);
-  xhr.send(null);
+    if (video) {
+      return this._loadVideoTexture(panorama, signal);
+    }
+    if (tiled) {
+      return this._loadTilesTexture(panorama, signal);
+    }
 
-  return defer.promise;
+    return this._loadEquirectangularTexture(panorama, signal);
+  }
 };
 
 /**
- * @summary Loads the panorama texture(s)
- * @param {string|string[]} panorama
- * @returns {Promise.<THREE.Texture|THREE.Texture[]>}
- * @fires PanoSphereViewer.panorama-load-progress
- * @throws {PSVError} when the image cannot be loaded
+ * @summary Loads the panorama texture(s), retrying failed loadings according to `load_retry`
+ * @description The delay before each retry is multiplied by `load_retry.factor`
+ * @param {*} panorama
+ * @param {AbortSignal} [signal]
+ * @returns {Promise.<THREE.Texture|THREE.Texture[]|PanoSphereViewer.TilesTexture|THREE.VideoTexture>}
  * @private
  */
-PanoSphereViewer.prototype._loadTexture = function(panorama) {
+PanoSphereViewer.prototype._loadTextureWithRetry = function(panorama, signal) {
+  var retry = this.config.load_retry;
+  var attempt = 0;
+
+  var load = function() {
+    var loading;
+
+    // the errors thrown before the loading starts reject the promise, the caller can restore its state
+    try {
+      loading = this._loadTexture(panorama, signal);
+    }
+    catch (e) {
+      loading = D.rejected(e);
+    }
+
+    return loading
+      .then(undefined, function(e) {
+        if (!(e instanceof PSVLoadError) || attempt >= retry.count || (signal && signal.aborted)) {
+          throw e;
+        }
+
+        var defer = D();
+        var timeout = window.setTimeout(defer.resolve, retry.delay * Math.pow(retry.factor, attempt++));
+
+        PSVUtils.onAbort(signal, function() {
+          window.clearTimeout(timeout);
+          defer.reject(new PSVAbortError());
+        });
+
+        return defer.promise.then(load);
+      });
+  }.bind(this);
+
+  return load();
+};
+
+/**
+ * @summary Reorders the six images of a cubemap in the order of the cube faces
+ * @param {string[]|Object.<string, string>} panorama - array (left, front, right, back, top, bottom) or map
+ * @returns {string[]}
+ * @throws {PSVError} when the cubemap is incomplete
+ * @private
+ */
+PanoSphereViewer.prototype._normalizeCubemap = function(panorama) {
   var tempPanorama = [];
 
   if (Array.isArray(panorama)) {
@@ -148,9 +177,8 @@ PanoSphereViewer.prototype._loadTexture = function(panorama) {
     for (var i = 0; i < 6; i++) {
       tempPanorama[i] = panorama[PanoSphereViewer.CUBE_MAP[i]];
     }
-    panorama = tempPanorama;
   }
-  else if (typeof panorama === 'object') {
+  else {
     if (!PanoSphereViewer.CUBE_HASHMAP.every(function(side) {
         return !!panorama[side];
       })) {
@@ -161,77 +189,101 @@ PanoSphereViewer.prototype._loadTexture = function(panorama) {
     PanoSphereViewer.CUBE_HASHMAP.forEach(function(side, i) {
       tempPanorama[i] = panorama[side];
     });
-    panorama = tempPanorama;
   }
 
-  if (Array.isArray(panorama)) {
-    if (this.prop.isCubemap === false) {
-      throw new PSVError('The viewer was initialized with an equirectangular panorama, cannot switch to cubemap.');
-    }
-
-    if (this.config.fisheye) {
-      console.warn('PanoSphereViewer: fisheye effect with cubemap texture can generate distorsions.');
-    }
-
-    if (this.config.cache_texture === PanoSphereViewer.DEFAULTS.cache_texture) {
-      this.config.cache_texture *= 6;
-    }
-
-    this.prop.isCubemap = true;
+  return tempPanorama;
+};
 
-    return this._loadCubemapTexture(panorama);
+/**
+ * @summary Reorders the faces of a cubemap, other panoramas are returned unchanged
+ * @param {*} panorama
+ * @returns {*}
+ * @throws {PSVError} when the cubemap is incomplete
+ * @private
+ */
+PanoSphereViewer.prototype._normalizePanorama = function(panorama) {
+  if (!!panorama && typeof panorama === 'object' && !this._isTiledPanorama(panorama) && !this._isVideoPanorama(panorama) && !this._isImageSource(panorama)) {
+    return this._normalizeCubemap(panorama);
   }
-  else {
-    if (this.prop.isCubemap === true) {
-      throw new PSVError('The viewer was initialized with an cubemap, cannot switch to equirectangular panorama.');
-    }
-
-    this.prop.isCubemap = false;
 
-    return this._loadEquirectangularTexture(panorama);
-  }
+  return panorama;
 };
 
 /**
  * @summary Loads the sphere texture
- * @param {string} panorama
+ * @param {string|PanoSphereViewer.ImageSource} panorama
+ * @param {AbortSignal} [signal]
+ * @param {boolean} [preload=false] - only fills the cache, without changing the state of the viewer
  * @returns {Promise.<THREE.Texture>}
  * @fires PanoSphereViewer.panorama-load-progress
- * @throws {PSVError} when the image cannot be loaded
  * @private
  */
-PanoSphereViewer.prototype._loadEquirectangularTexture = function(panorama) {
+PanoSphereViewer.prototype._loadEquirectangularTexture = function(panorama, signal, preload) {
   if (this.config.cache_texture) {
-    var cache = this.getPanoramaCache(panorama);
+    var cache = this.cache.get(panorama);
 
     if (cache) {
-      this.prop.pano_data = cache.pano_data;
+      if (!preload) {
+        this.prop.pano_data = cache.pano_data;
+        this.prop.metadata = cache.metadata;
+      }
 
       return D.resolved(cache.image);
     }
   }
 
-  return this._loadXMP(panorama).then(function(pano_data) {
-    var defer = D();
-    var loader = new THREE.ImageLoader();
-    var progress = pano_data ? 100 : 0;
-    var origin = window.location.origin;
+  var source = panorama;
+  var progress = 0;
 
-    loader.setCrossOrigin(origin);
+  var onprogress = function(e) {
+    if (e.lengthComputable && !preload) {
+      var new_progress = parseInt(e.loaded / e.total * 100);
+
+      if (new_progress > progress) {
+        progress = new_progress;
+        this.loader.setProgress(progress);
+        this.trigger('panorama-load-progress', panorama, progress);
+      }
+    }
+  }.bind(this);
+
+  var loadMetadata;
+
+  // with the persistent cache, the file is entirely downloaded first, then the headers and the image are read locally
+  if (this.store && typeof panorama === 'string') {
+    loadMetadata = this._loadStoredFile(panorama, onprogress, signal)
+      .then(function(record) {
+        source = record.blob;
+        return this._loadStoredMetadata(record, signal);
+      }.bind(this));
+  }
+  else {
+    loadMetadata = this._loadMetadata(panorama, signal);
+  }
+
+  return loadMetadata.then(function(metadata) {
+    var defer = D();
+    var pano_data = metadata ? metadata.pano_data : null;
 
     var onload = function(img) {
+      if (signal && signal.aborted) {
+        return;
+      }
+
       progress = 100;
 
-      this.loader.setProgress(progress);
+      if (!preload) {
+        this.loader.setProgress(progress);
 
-      /**
-       * @event panorama-load-progress
-       * @memberof PanoSphereViewer
-       * @summary Triggered while a panorama image is loading
-       * @param {string} panorama
-       * @param {int} progress
-       */
-      this.trigger('panorama-load-progress', panorama, progress);
+        /**
+         * @event panorama-load-progress
+         * @memberof PanoSphereViewer
+         * @summary Triggered while a panorama image is loading
+         * @param {string|PanoSphereViewer.ImageSource} panorama
+         * @param {int} progress
+         */
+        this.trigger('panorama-load-progress', panorama, progress);
+      }
 
       // Config XMP data
       if (!pano_data && this.config.pano_data) {
@@ -250,14 +302,17 @@ PanoSphereViewer.prototype._loadEquirectangularTexture = function(panorama) {
         };
       }
 
-      this.prop.pano_data = pano_data;
+      if (!preload) {
+        this.prop.pano_data = pano_data;
+        this.prop.metadata = metadata;
+      }
 
       var texture;
 
       var ratio = Math.min(pano_data.full_width, PanoSphereViewer.SYSTEM.maxTextureWidth) / pano_data.full_width;
 
-      // resize image / fill cropped parts with black
-      if (ratio !== 1 || pano_data.cropped_width !== pano_data.full_width || pano_data.cropped_height !== pano_data.full_height) {
+      // resize image / fill cropped parts with black / flip ImageBitmap which ignores UNPACK_FLIP_Y_WEBGL
+      if (ratio !== 1 || PSVUtils.isImageBitmap(img) || pano_data.cropped_width !== pano_data.full_width || pano_data.cropped_height !== pano_data.full_height) {
         var resized_pano_data = PSVUtils.clone(pano_data);
 
         resized_pano_data.full_width *= ratio;
@@ -267,9 +322,6 @@ PanoSphereViewer.prototype._loadEquirectangularTexture = function(panorama) {
         resized_pano_data.cropped_x *= ratio;
         resized_pano_data.cropped_y *= ratio;
 
-        img.width = resized_pano_data.cropped_width;
-        img.height = resized_pano_data.cropped_height;
-
         var buffer = document.createElement('canvas');
         buffer.width = resized_pano_data.full_width;
         buffer.height = resized_pano_data.full_height;
@@ -291,32 +343,32 @@ PanoSphereViewer.prototype._loadEquirectangularTexture = function(panorama) {
         this._putPanoramaCache({
           panorama: panorama,
           image: texture,
-          pano_data: pano_data
+          pano_data: pano_data,
+          metadata: metadata
         });
       }
 
       defer.resolve(texture);
     };
 
-    var onprogress = function(e) {
-      if (e.lengthComputable) {
-        var new_progress = parseInt(e.loaded / e.total * 100);
-
-        if (new_progress > progress) {
-          progress = new_progress;
-          this.loader.setProgress(progress);
-          this.trigger('panorama-load-progress', panorama, progress);
-        }
+    var onerror = function(e) {
+      if (signal && signal.aborted) {
+        return;
       }
-    };
 
-    var onerror = function(e) {
-      this.container.textContent = 'Cannot load image';
-      defer.reject(e);
-      throw new PSVError('Cannot load image');
+      defer.reject(e instanceof PSVError ? e : new PSVLoadError('Cannot load image', null, e));
     };
 
-    loader.load(panorama, onload.bind(this), onprogress.bind(this), onerror.bind(this));
+    if (this._isImageSource(source)) {
+      this._loadImageSource(source).then(onload.bind(this), onerror.bind(this));
+    }
+    else {
+      this._loadImage(source, onprogress, signal).then(onload.bind(this), onerror.bind(this));
+    }
+
+    PSVUtils.onAbort(signal, function() {
+      defer.reject(new PSVAbortError());
+    });
 
     return defer.promise;
   }.bind(this));
@@ -324,21 +376,26 @@ PanoSphereViewer.prototype._loadEquirectangularTexture = function(panorama) {
 
 /**
  * @summary Load the six textures of the cube
- * @param {string[]} panorama
+ * @param {Array.<string|PanoSphereViewer.ImageSource>} panorama
+ * @param {AbortSignal} [signal]
+ * @param {boolean} [preload=false] - only fills the cache, without changing the state of the viewer
  * @returns {Promise.<THREE.Texture[]>}
  * @fires PanoSphereViewer.panorama-load-progress
- * @throws {PSVError} when the image cannot be loaded
  * @private
  */
-PanoSphereViewer.prototype._loadCubemapTexture = function(panorama) {
+PanoSphereViewer.prototype._loadCubemapTexture = function(panorama, signal, preload) {
+  if (this.config.cache_texture) {
+    var cache = this.cache.get(panorama);
+
+    if (cache) {
+      return D.resolved(cache.image);
+    }
+  }
+
   var defer = D();
-  var loader = new THREE.ImageLoader();
   var progress = [0, 0, 0, 0, 0, 0];
   var loaded = [];
   var done = 0;
-  var origin = window.location.origin;
-
-  loader.setCrossOrigin(origin);
 
   var onend = function() {
     loaded.forEach(function(img) {
@@ -347,20 +404,33 @@ PanoSphereViewer.prototype._loadCubemapTexture = function(panorama) {
       img.generateMipmaps = false;
     });
 
+    if (this.config.cache_texture) {
+      this._putPanoramaCache({
+        panorama: panorama,
+        image: loaded
+      });
+    }
+
     defer.resolve(loaded);
-  };
+  }.bind(this);
 
   var onload = function(i, img) {
+    if (signal && signal.aborted) {
+      return;
+    }
+
     done++;
     progress[i] = 100;
 
-    this.loader.setProgress(PSVUtils.sum(progress) / 6);
-    this.trigger('panorama-load-progress', panorama[i], progress[i]);
+    if (!preload) {
+      this.loader.setProgress(PSVUtils.sum(progress) / 6);
+      this.trigger('panorama-load-progress', panorama[i], progress[i]);
+    }
 
     var ratio = Math.min(img.width, PanoSphereViewer.SYSTEM.maxTextureWidth / 2) / img.width;
 
-    // resize image
-    if (ratio !== 1) {
+    // resize image / flip ImageBitmap which ignores UNPACK_FLIP_Y_WEBGL
+    if (ratio !== 1 || PSVUtils.isImageBitmap(img)) {
       var buffer = document.createElement('canvas');
       buffer.width = img.width * ratio;
       buffer.height = img.height * ratio;
@@ -374,20 +444,13 @@ PanoSphereViewer.prototype._loadCubemapTexture = function(panorama) {
       loaded[i] = new THREE.Texture(img);
     }
 
-    if (this.config.cache_texture) {
-      this._putPanoramaCache({
-        panorama: panorama[i],
-        image: loaded[i]
-      });
-    }
-
     if (done === 6) {
       onend();
     }
   };
 
   var onprogress = function(i, e) {
-    if (e.lengthComputable) {
+    if (e.lengthComputable && !preload) {
       var new_progress = parseInt(e.loaded / e.total * 100);
 
       if (new_progress > progress[i]) {
@@ -399,36 +462,43 @@ PanoSphereViewer.prototype._loadCubemapTexture = function(panorama) {
   };
 
   var onerror = function(i, e) {
-    this.container.textContent = 'Cannot load image';
-    defer.reject(e);
-    throw new PSVError('Cannot load image ' + i);
+    if (signal && signal.aborted) {
+      return;
+    }
+
+    defer.reject(e instanceof PSVError ? e : new PSVLoadError('Cannot load image ' + i, null, e));
   };
 
   for (var i = 0; i < 6; i++) {
-    if (this.config.cache_texture) {
-      var cache = this.getPanoramaCache(panorama[i]);
-
-      if (cache) {
-        done++;
-        progress[i] = 100;
-        loaded[i] = cache.image;
-        continue;
-      }
+    if (this._isImageSource(panorama[i])) {
+      this._loadImageSource(panorama[i]).then(onload.bind(this, i), onerror.bind(this, i));
+    }
+    else {
+      this._loadImage(panorama[i], onprogress.bind(this, i), signal).then(onload.bind(this, i), onerror.bind(this, i));
     }
-
-    loader.load(panorama[i], onload.bind(this, i), onprogress.bind(this, i), onerror.bind(this, i));
   }
 
-  if (done === 6) {
-    defer.resolve(loaded);
-  }
+  PSVUtils.onAbort(signal, function() {
+    defer.reject(new PSVAbortError());
+  });
 
   return defer.promise;
 };
 
+/**
+ * @summary Releases the GPU memory of a texture which is not displayed anymore, the cached textures are released by the cache
+ * @param {THREE.Texture} texture
+ * @private
+ */
+PanoSphereViewer.prototype._disposeTexture = function(texture) {
+  if (texture && !(this.cache && this.cache.hasTexture(texture))) {
+    texture.dispose();
+  }
+};
+
 /**
  * @summary Applies the texture to the scene, creates the scene if needed
- * @param {THREE.Texture|THREE.Texture[]} texture
+ * @param {THREE.Texture|THREE.Texture[]|PanoSphereViewer.TilesTexture|THREE.VideoTexture} texture
  * @fires PanoSphereViewer.panorama-loaded
  * @private
  */
@@ -437,21 +507,47 @@ PanoSphereViewer.prototype._setTexture = function(texture) {
     this._createScene();
   }
 
+  var wasVideo = !!this.prop.video;
+
+  this._clearTiles();
+  this._clearVideo();
+
+  var base = texture.tiles ? texture.base : texture;
+  var single = !!base && !Array.isArray(base);
+
   if (this.prop.isCubemap) {
+    // a video cubemap uses a single texture for the six faces
+    if (single !== wasVideo) {
+      this.mesh.geometry.dispose();
+      this.mesh.geometry = this._createCubemapGeometry(single);
+    }
+
     for (var i = 0; i < 6; i++) {
-      if (this.mesh.material[i].map) {
-        this.mesh.material[i].map.dispose();
-      }
+      this._disposeTexture(this.mesh.material[i].map);
 
-      this.mesh.material[i].map = texture[i];
+      this.mesh.material[i].map = single ? base : base ? base[i] : null;
+      this.mesh.material[i].needsUpdate = true;
     }
   }
   else {
-    if (this.mesh.material.map) {
-      this.mesh.material.map.dispose();
-    }
+    this._disposeTexture(this.mesh.material.map);
 
-    this.mesh.material.map = texture;
+    this.mesh.material.map = base;
+    this.mesh.material.needsUpdate = true;
+
+    this._applySphereCorrection();
+  }
+
+  // the initial view can be defined by the metadata of the first panorama
+  if (!this.prop.ready) {
+    this._applyMetadataView();
+  }
+
+  if (texture.tiles) {
+    this._setTiles(texture.tiles);
+  }
+  else if (texture.isVideoTexture) {
+    this._setVideo(texture.image);
   }
 
   /**
@@ -496,6 +592,10 @@ PanoSphereViewer.prototype._createScene = function() {
     this._createSphere();
   }
 
+  if (this.config.projection !== 'rectilinear' || this.config.little_planet_intro) {
+    this._createProjectionPass();
+  }
+
   // create canvas container
   this.canvas_container = document.createElement('div');
   this.canvas_container.className = 'psv-canvas-container';
@@ -505,17 +605,39 @@ PanoSphereViewer.prototype._createScene = function() {
 };
 
 /**
- * @summary Creates the sphere mesh
+ * @summary Creates a sphere geometry or a portion of it
+ * @param {float} radius
+ * @param {Object} [bounds] - portion of the panorama covered by the geometry, in texture ratio (0 to 1)
+ * @param {float} bounds.x
+ * @param {float} bounds.y
+ * @param {float} bounds.width
+ * @param {float} bounds.height
+ * @returns {THREE.SphereGeometry}
  * @private
  */
-PanoSphereViewer.prototype._createSphere = function() {
+PanoSphereViewer.prototype._createSphereGeometry = function(radius, bounds) {
+  if (!bounds) {
+    bounds = { x: 0, y: 0, width: 1, height: 1 };
+  }
+
   // The middle of the panorama is placed at longitude=0
-  var geometry = new THREE.SphereGeometry(
-    PanoSphereViewer.SPHERE_RADIUS,
-    PanoSphereViewer.SPHERE_VERTICES,
-    PanoSphereViewer.SPHERE_VERTICES,
-    -PSVUtils.HalfPI
+  return new THREE.SphereGeometry(
+    radius,
+    Math.ceil(PanoSphereViewer.SPHERE_VERTICES * bounds.width),
+    Math.ceil(PanoSphereViewer.SPHERE_VERTICES * bounds.height),
+    -PSVUtils.HalfPI + bounds.x * PSVUtils.TwoPI,
+    bounds.width * PSVUtils.TwoPI,
+    bounds.y * Math.PI,
+    bounds.height * Math.PI
   );
+};
+
+/**
+ * @summary Creates the sphere mesh
+ * @private
+ */
+PanoSphereViewer.prototype._createSphere = function() {
+  var geometry = this._createSphereGeometry(PanoSphereViewer.SPHERE_RADIUS);
 
   var material = new THREE.MeshBasicMaterial({
     side: THREE.DoubleSide, // needs to be DoubleSide for CanvasRenderer
@@ -524,9 +646,7 @@ PanoSphereViewer.prototype._createSphere = function() {
 
   this.mesh = new THREE.Mesh(geometry, material);
   this.mesh.scale.x = -1;
-  this.mesh.rotation.x = this.config.sphere_correction.tilt;
-  this.mesh.rotation.y = this.config.sphere_correction.pan;
-  this.mesh.rotation.z = this.config.sphere_correction.roll;
+  this._applySphereCorrection();
 
   this.scene.add(this.mesh);
 };
@@ -536,10 +656,7 @@ PanoSphereViewer.prototype._createSphere = function() {
  * @private
  */
 PanoSphereViewer.prototype._createCubemap = function() {
-  var geometry = new THREE.BoxGeometry(
-    PanoSphereViewer.SPHERE_RADIUS * 2, PanoSphereViewer.SPHERE_RADIUS * 2, PanoSphereViewer.SPHERE_RADIUS * 2,
-    PanoSphereViewer.CUBE_VERTICES, PanoSphereViewer.CUBE_VERTICES, PanoSphereViewer.CUBE_VERTICES
-  );
+  var geometry = this._createCubemapGeometry();
 
   var materials = [];
   for (var i = 0; i < 6; i++) {
@@ -559,86 +676,268 @@ PanoSphereViewer.prototype._createCubemap = function() {
 };
 
 /**
- * @summary Performs transition between the current and a new texture
+ * @summary Checks if a transition option is an effect name or a custom effect instead of transition options
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+PanoSphereViewer.prototype._isTransitionEffect = function(value) {
+  return typeof value === 'string' || (PSVUtils.isPlainObject(value) && ['fragment', 'start', 'update', 'end'].some(function(key) {
+    return key in value;
+  }));
+};
+
+/**
+ * @summary Merges the transition overrides of {@link PanoSphereViewer#setPanorama} with "config.transition"
+ * @param {boolean|string|PanoSphereViewer.TransitionEffect|Object} transition - true, an effect or overrides of "config.transition"
+ * @returns {Object}
+ * @private
+ */
+PanoSphereViewer.prototype._getTransitionOptions = function(transition) {
+  var options = PSVUtils.clone(this.config.transition);
+
+  if (this._isTransitionEffect(transition)) {
+    options.effect = transition;
+  }
+  else if (PSVUtils.isPlainObject(transition)) {
+    PSVUtils.deepmerge(options, transition);
+  }
+
+  if (options.target) {
+    this.cleanPosition(options.target);
+  }
+
+  return options;
+};
+
+/**
+ * @summary Returns a transition effect, unknown effects and shader effects without WebGL are replaced by the fade
+ * @param {string|PanoSphereViewer.TransitionEffect} effect
+ * @returns {PanoSphereViewer.TransitionEffect}
+ * @private
+ */
+PanoSphereViewer.prototype._getTransitionEffect = function(effect) {
+  if (typeof effect === 'string') {
+    if (!PanoSphereViewer.TRANSITIONS.hasOwnProperty(effect)) {
+      console.warn('PanoSphereViewer: unknown transition effect "' + effect + '".');
+      return PanoSphereViewer.TRANSITIONS.fade;
+    }
+
+    effect = PanoSphereViewer.TRANSITIONS[effect];
+  }
+
+  if (effect.fragment && (!PanoSphereViewer.SYSTEM.isWebGLSupported || !this.config.webgl)) {
+    console.warn('PanoSphereViewer: transition effects with a shader require WebGL.');
+    return PanoSphereViewer.TRANSITIONS.fade;
+  }
+
+  return effect;
+};
+
+/**
+ * @summary Creates the material of the new panorama during a transition
+ * @param {PanoSphereViewer.TransitionEffect} effect
  * @param {THREE.Texture} texture
+ * @param {int} side
+ * @returns {THREE.Material}
+ * @private
+ */
+PanoSphereViewer.prototype._createTransitionMaterial = function(effect, texture, side) {
+  if (!effect.fragment) {
+    return new THREE.MeshBasicMaterial({
+      side: side,
+      overdraw: PanoSphereViewer.SYSTEM.isWebGLSupported && this.config.webgl ? 0 : 1,
+      map: texture,
+      transparent: true,
+      opacity: 0
+    });
+  }
+
+  var uniforms = {
+    map: { value: texture },
+    progress: { value: 0 }
+  };
+
+  Object.keys(effect.uniforms || {}).forEach(function(name) {
+    uniforms[name] = { value: effect.uniforms[name] };
+  });
+
+  return new THREE.ShaderMaterial({
+    uniforms: uniforms,
+    vertexShader: PanoSphereViewer.TRANSITION_SHADER.vertex,
+    fragmentShader: PanoSphereViewer.TRANSITION_SHADER.header + '\n' + effect.fragment,
+    side: side,
+    transparent: true
+  });
+};
+
+/**
+ * @summary Performs transition between the current and a new texture
+ * @param {THREE.Texture|THREE.Texture[]} texture - six textures for a cubemap
  * @param {PanoSphereViewer.Position} [position]
+ * @param {AbortSignal} [signal] - stops the transition
+ * @param {Object} [options] - see {@link PanoSphereViewer#_getTransitionOptions}
+ * @param {function} [display] - called when the new texture replaces the current one, rotates the camera to the position by default
  * @returns {Promise}
+ * @fires PanoSphereViewer.transition-start
+ * @fires PanoSphereViewer.transition-end
  * @private
- * @throws {PSVError} if the panorama is a cubemap
  */
-PanoSphereViewer.prototype._transition = function(texture, position) {
+PanoSphereViewer.prototype._transition = function(texture, position, signal, options, display) {
+  if (!options) {
+    options = this._getTransitionOptions(true);
+  }
+
+  var effect = this._getTransitionEffect(options.effect);
+  var panorama = this.config.panorama;
+  var mesh;
+  var materials;
+
   if (this.prop.isCubemap) {
-    throw new PSVError('Transition is not available with cubemap.');
+    // create a new cube with the new textures, in front of the current one
+    materials = texture.map(function(map) {
+      return this._createTransitionMaterial(effect, map, THREE.BackSide);
+    }, this);
+
+    mesh = new THREE.Mesh(this._createCubemapGeometry(), materials);
+    // same orientation as the main cube
+    mesh.applyMatrix(new THREE.Matrix4().makeScale(0.9, 0.9, -0.9));
   }
+  else {
+    // create a new sphere with the new texture
+    materials = [this._createTransitionMaterial(effect, texture, THREE.DoubleSide)];
 
-  // create a new sphere with the new texture
-  var geometry = new THREE.SphereGeometry(
-    PanoSphereViewer.SPHERE_RADIUS * 0.9,
-    PanoSphereViewer.SPHERE_VERTICES,
-    PanoSphereViewer.SPHERE_VERTICES,
-    -PSVUtils.HalfPI
-  );
+    mesh = new THREE.Mesh(this._createSphereGeometry(PanoSphereViewer.SPHERE_RADIUS * 0.9), materials[0]);
+    mesh.scale.x = -1;
+  }
 
-  var material = new THREE.MeshBasicMaterial({
-    side: THREE.DoubleSide,
-    overdraw: PanoSphereViewer.SYSTEM.isWebGLSupported && this.config.webgl ? 0 : 1,
-    map: texture,
-    transparent: true,
-    opacity: 0
-  });
+  var context = {
+    options: options,
+    mesh: mesh,
+    materials: materials,
+    position: position,
+    from: {
+      longitude: this.prop.position.longitude,
+      latitude: this.prop.position.latitude
+    }
+  };
 
-  var mesh = new THREE.Mesh(geometry, material);
-  mesh.scale.x = -1;
+  // the view turns toward the target during the transition, whatever the effect
+  context.view = options.target || context.from;
+
+  if (effect.start) {
+    effect.start.call(this, context);
+  }
 
-  // rotate the new sphere to make the target position face the camera
+  // rotate the new mesh to make the target position face the camera at the end of the effect
   if (position) {
     // Longitude rotation along the vertical axis
-    mesh.rotateY(position.longitude - this.prop.position.longitude);
+    mesh.rotateY(position.longitude - context.view.longitude);
 
     // Latitude rotation along the camera horizontal axis
-    var axis = new THREE.Vector3(0, 1, 0).cross(this.camera.getWorldDirection()).normalize();
-    var q = new THREE.Quaternion().setFromAxisAngle(axis, position.latitude - this.prop.position.latitude);
+    var axis = new THREE.Vector3(0, 1, 0).cross(this.sphericalCoordsToVector3(context.view)).normalize();
+    var q = new THREE.Quaternion().setFromAxisAngle(axis, position.latitude - context.view.latitude);
     mesh.quaternion.multiplyQuaternions(q, mesh.quaternion);
-
-    // FIXME: find a better way to handle ranges
-    if (this.config.latitude_range || this.config.longitude_range) {
-      this.config.longitude_range = this.config.latitude_range = null;
-      console.warn('PanoSphereViewer: trying to perform transition with longitude_range and/or latitude_range, ranges cleared.');
-    }
   }
 
   this.scene.add(mesh);
   this.needsUpdate();
 
-  return PSVUtils.animation({
+  /**
+   * @event transition-start
+   * @memberof PanoSphereViewer
+   * @summary Triggered when the transition to a new panorama starts
+   * @param {*} panorama
+   * @param {Object} options - "config.transition" with the overrides of {@link PanoSphereViewer#setPanorama}
+   */
+  this.trigger('transition-start', panorama, options);
+
+  var animation = PSVUtils.animation({
     properties: {
-      opacity: { start: 0.0, end: 1.0 }
+      progress: { start: 0.0, end: 1.0 }
     },
-    duration: this.config.transition.duration,
-    easing: 'outCubic',
-    onTick: function(properties) {
-      material.opacity = properties.opacity;
+    duration: options.duration,
+    easing: effect.easing,
+    onTick: function(properties, progress) {
+      if (options.target) {
+        this.rotate({
+          longitude: context.from.longitude + PSVUtils.getShortestArc(context.from.longitude, context.view.longitude) * progress,
+          latitude: context.from.latitude + (context.view.latitude - context.from.latitude) * progress
+        });
+      }
+
+      materials.forEach(function(material) {
+        if (material.uniforms) {
+          material.uniforms.progress.value = properties.progress;
+        }
+        else {
+          material.opacity = properties.progress;
+        }
+      });
+
+      if (effect.update) {
+        effect.update.call(this, context, progress);
+      }
+
       this.needsUpdate();
     }.bind(this)
-  })
-    .then(function() {
-      // remove temp sphere and transfer the texture to the main sphere
-      this.mesh.material.map.dispose();
-      this.mesh.material.map = texture;
+  });
 
-      this.scene.remove(mesh);
-      this.needsUpdate();
+  PSVUtils.onAbort(signal, animation.cancel);
 
-      mesh.geometry.dispose();
-      mesh.geometry = null;
-      mesh.material.dispose();
-      mesh.material = null;
+  var end = function(completed) {
+    this.scene.remove(mesh);
+    this.needsUpdate();
+
+    mesh.geometry.dispose();
+    mesh.geometry = null;
+    materials.forEach(function(material) {
+      material.dispose();
+    });
+    mesh.material = null;
+
+    if (effect.end) {
+      effect.end.call(this, context, completed);
+    }
+
+    /**
+     * @event transition-end
+     * @memberof PanoSphereViewer
+     * @summary Triggered when the transition to a new panorama ends
+     * @param {*} panorama
+     * @param {boolean} completed - false if the transition was aborted
+     */
+    this.trigger('transition-end', panorama, completed);
+  }.bind(this);
+
+  return animation
+    .then(function() {
+      // remove temp mesh and transfer the texture to the main mesh
+      if (this.prop.isCubemap) {
+        for (var i = 0; i < 6; i++) {
+          this._disposeTexture(this.mesh.material[i].map);
+          this.mesh.material[i].map = texture[i];
+        }
+      }
+      else {
+        this._disposeTexture(this.mesh.material.map);
+        this.mesh.material.map = texture;
+        this._applySphereCorrection();
+      }
+
+      end(true);
 
       // actually rotate the camera
-      if (position) {
+      if (display) {
+        display();
+      }
+      else if (position) {
         this.rotate(position);
       }
-    }.bind(this));
+    }.bind(this), function(e) {
+      end(false);
+      throw e;
+    });
 };
 
 /**
@@ -680,7 +979,7 @@ PanoSphereViewer.prototype._reverseAutorotate = function() {
 };
 
 /**
- * @summary Adds a panorama to the cache
+ * @summary Adds a panorama to the cache, canvas and panoramas bigger than the budget are ignored
  * @param {PanoSphereViewer.CacheItem} cache
  * @fires PanoSphereViewer.panorama-cached
  * @throws {PSVError} when the cache is disabled
@@ -691,22 +990,15 @@ PanoSphereViewer.prototype._putPanoramaCache = function(cache) {
     throw new PSVError('Cannot add panorama to cache, cache_texture is disabled');
   }
 
-  var existingCache = this.getPanoramaCache(cache.panorama);
-
-  if (existingCache) {
-    existingCache.image = cache.image;
-    existingCache.pano_data = cache.pano_data;
-  }
-  else {
-    this.prop.cache = this.prop.cache.slice(0, this.config.cache_texture - 1); // remove most ancient elements
-    this.prop.cache.unshift(cache);
+  if (!this.cache.put(cache)) {
+    return;
   }
 
   /**
    * @event panorama-cached
    * @memberof PanoSphereViewer
    * @summary Triggered when a panorama is stored in the cache
-   * @param {string} panorama
+   * @param {string|string[]|PanoSphereViewer.ImageSource} panorama
    */
   this.trigger('panorama-cached', cache.panorama);
 };
@@ -55,6 +55,102 @@ PanoSphereViewer.SPHERE_VERTICES = 64;
  */
 PanoSphereViewer.CUBE_VERTICES = 8;
 
+/**
+ * @summary Maximum number of tiles loaded simultaneously
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.TILES_CONCURRENCY = 4;
+
+/**
+ * @summary Delay in milliseconds between two computations of the visible tiles
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.TILES_UPDATE_DELAY = 100;
+
+/**
+ * @summary Delay in milliseconds between two updates of the URL hash
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.URL_HASH_DELAY = 500;
+
+/**
+ * @summary Angle in radians beyond the visible area after which the tiles of the current level are released
+ * @type {float}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.TILES_EVICTION_DISTANCE = Math.PI / 4;
+
+/**
+ * @summary Greatest value of `cache_texture` read as a number of panoramas, its former meaning
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.CACHE_TEXTURE_LEGACY_MAX = 10;
+
+/**
+ * @summary Megabytes allowed per panorama when `cache_texture` is a number of panoramas, the size of a 8192x4096 texture
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.CACHE_TEXTURE_LEGACY_SIZE = 128;
+
+/**
+ * @summary Number of subdivisions of each tile side used to test its visibility
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.TILES_SAMPLES = 4;
+
+/**
+ * @summary Relative radius reduction between two levels of tiles
+ * @type {float}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.TILES_LAYER_OFFSET = 0.001;
+
+/**
+ * @summary Number of bytes downloaded at once to read the headers of a panorama
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.METADATA_CHUNK_SIZE = 65536;
+
+/**
+ * @summary Maximum number of bytes downloaded to read the headers of a panorama
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.METADATA_MAX_SIZE = 1048576;
+
+/**
+ * @summary Maximum number of files downloaded simultaneously in the persistent cache
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.DOWNLOAD_CONCURRENCY = 2;
+
+/**
+ * @summary Maximum number of panoramas preloaded simultaneously
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.PRELOAD_CONCURRENCY = 2;
+
 /**
  * @summary Order of cube textures for arrays
  * @type {int[]}
@@ -71,6 +167,264 @@ PanoSphereViewer.CUBE_MAP = [0, 2, 4, 5, 3, 1];
  */
 PanoSphereViewer.CUBE_HASHMAP = ['left', 'right', 'top', 'bottom', 'back', 'front'];
 
+/**
+ * @summary Orientation of each face of the cube geometry, in the order of {@link PanoSphereViewer.CUBE_HASHMAP}
+ * @description `u` and `v` are the axes of the texture, `w` is the axis normal to the face
+ * @type {Object[]}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.CUBE_FACES_AXES = [
+  { u: 'z', v: 'y', w: 'x', udir: -1, vdir: -1, wdir: 1 },
+  { u: 'z', v: 'y', w: 'x', udir: 1, vdir: -1, wdir: -1 },
+  { u: 'x', v: 'z', w: 'y', udir: 1, vdir: 1, wdir: 1 },
+  { u: 'x', v: 'z', w: 'y', udir: 1, vdir: -1, wdir: -1 },
+  { u: 'x', v: 'y', w: 'z', udir: 1, vdir: -1, wdir: 1 },
+  { u: 'x', v: 'y', w: 'z', udir: -1, vdir: -1, wdir: -1 }
+];
+
+/**
+ * @summary Extensions of files loaded as video panoramas
+ * @type {RegExp}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.VIDEO_EXTENSIONS = /\.(mp4|webm|ogv|m4v|mov)([?#].*)?$/i;
+
+/**
+ * @summary Events of the video element forwarded by the viewer
+ * @type {string[]}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.VIDEO_EVENTS = ['play', 'pause', 'ended', 'timeupdate', 'durationchange', 'volumechange'];
+
+/**
+ * @summary Available projections
+ * @description
+ *  - perspective: position of the projection center, 0 for rectilinear, 1 for stereographic
+ *  - equisolid: uses the equisolid fisheye formula instead of a perspective
+ *  - nadir: the view is locked to the bottom of the sphere
+ *  - max_fov: maximum vertical FOV in degrees
+ *  - fov_range: min_fov and max_fov used when they are not configured
+ * @type {Object.<string, Object>}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.PROJECTIONS = {
+  'rectilinear': { perspective: 0, equisolid: false, nadir: false, max_fov: 179, fov_range: [30, 90] },
+  'stereographic': { perspective: 1, equisolid: false, nadir: false, max_fov: 300, fov_range: [30, 150] },
+  'little-planet': { perspective: 1, equisolid: false, nadir: true, max_fov: 300, fov_range: [90, 300] },
+  'fisheye': { perspective: 0, equisolid: true, nadir: false, max_fov: 360, fov_range: [30, 180] }
+};
+
+/**
+ * @summary Vertical FOV in degrees at the beginning of the little planet intro
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.INTRO_FOV = 280;
+
+/**
+ * @summary Duration in milliseconds of the little planet intro
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.INTRO_DURATION = 2500;
+
+/**
+ * @summary Bounds of the size of the faces of the cube rendered for the projection pass
+ * @type {int[]}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.PROJECTION_CUBE_SIZE = [256, 2048];
+
+/**
+ * @summary Shaders of the projection pass, the scene rendered in a cube is projected on the screen
+ * @type {Object.<string, string>}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.PROJECTION_SHADER = {
+  vertex: [
+    'varying vec2 vUv;',
+    'void main() {',
+    '  vUv = uv;',
+    '  gl_Position = vec4(position.xy, 0.0, 1.0);',
+    '}'
+  ].join('\n'),
+  fragment: [
+    'uniform samplerCube tCube;',
+    'uniform mat3 rotation;',
+    'uniform float scale;',
+    'uniform float aspect;',
+    'uniform float perspective;',
+    'uniform bool equisolid;',
+    'uniform float maxAngle;',
+    'varying vec2 vUv;',
+    'void main() {',
+    '  vec2 point = (vUv * 2.0 - 1.0) * vec2(aspect, 1.0) * scale;',
+    '  float radius = length(point);',
+    '  float angle;',
+    '  if (equisolid) {',
+    '    angle = radius > 2.0 ? 4.0 : 2.0 * asin(radius / 2.0);',
+    '  }',
+    '  else {',
+    '    float s = perspective + 1.0;',
+    '    angle = acos(-radius * perspective / sqrt(radius * radius + s * s)) - atan(s, radius);',
+    '  }',
+    '  if (angle > maxAngle) {',
+    '    gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);',
+    '    return;',
+    '  }',
+    '  vec2 dir = radius > 0.0 ? point / radius : vec2(0.0);',
+    '  vec3 direction = rotation * vec3(dir * sin(angle), -cos(angle));',
+    // render targets of THREE.CubeCamera are mirrored on the X axis
+    '  gl_FragColor = textureCube(tCube, vec3(-direction.x, direction.yz));',
+    '}'
+  ].join('\n')
+};
+
+/**
+ * @summary Options of the configuration which can be changed for each panorama with {@link PanoSphereViewer#setPanorama}
+ * @description The panoramas which do not define them use the values of the configuration
+ * @type {string[]}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.PANORAMA_OPTIONS = ['pano_data', 'sphere_correction', 'min_fov', 'max_fov', 'longitude_range', 'latitude_range'];
+
+/**
+ * @summary Common parts of the shaders of transition effects
+ * @description The vertex shader provides the texture coordinates in `vUv` and the clip space position in `vPosition`,
+ * the header declares them with the `map` texture and the `progress` of the transition (0 to 1, with easing)
+ * @type {Object.<string, string>}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.TRANSITION_SHADER = {
+  vertex: [
+    'varying vec2 vUv;',
+    'varying vec4 vPosition;',
+    'void main() {',
+    '  vUv = uv;',
+    '  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);',
+    '  vPosition = gl_Position;',
+    '}'
+  ].join('\n'),
+  header: [
+    'uniform sampler2D map;',
+    'uniform float progress;',
+    'varying vec2 vUv;',
+    'varying vec4 vPosition;'
+  ].join('\n')
+};
+
+/**
+ * @typedef {Object} PanoSphereViewer.TransitionEffect
+ * @summary Effect displaying the new panorama over the current one
+ * @property {string} [easing='linear'] - see {@link PSVUtils.animation.easings}
+ * @property {string} [fragment] - fragment shader of the new panorama, see {@link PanoSphereViewer.TRANSITION_SHADER},
+ *    without shader the new panorama is faded in with the opacity of its material (also works without WebGL)
+ * @property {Object.<string, *>} [uniforms] - additional uniforms of the shader and their initial value
+ * @property {function} [start] - called with the {@link PanoSphereViewer.TransitionContext} before the animation
+ * @property {function} [update] - called with the context and the progress on each frame
+ * @property {function} [end] - called with the context and a boolean indicating if the transition completed
+ */
+
+/**
+ * @typedef {Object} PanoSphereViewer.TransitionContext
+ * @summary State of a transition, passed to the callbacks of the effect, which are called with the viewer as context
+ * @property {Object} options - "config.transition" with the overrides of {@link PanoSphereViewer#setPanorama}
+ * @property {THREE.Mesh} mesh - mesh of the new panorama
+ * @property {THREE.Material[]} materials - materials of the new panorama
+ * @property {PanoSphereViewer.Position} [position] - new position of the camera, in the new panorama
+ * @property {PanoSphereViewer.Position} from - position of the camera at the start of the effect, in the current panorama
+ * @property {PanoSphereViewer.Position} view - position facing the camera at the end of the effect, in the current panorama,
+ *    "options.target" if defined, the camera is turned toward it before "update" is called
+ */
+
+/**
+ * @summary Available transition effects
+ * @type {Object.<string, PanoSphereViewer.TransitionEffect>}
+ * @readonly
+ */
+PanoSphereViewer.TRANSITIONS = {
+  // the new panorama fades in over the current one
+  'fade': {
+    easing: 'outCubic'
+  },
+
+  // dives toward "options.target" or the center of the view, then fades in while zooming out
+  'zoom': {
+    easing: 'inOutQuad',
+    fragment: [
+      'void main() {',
+      '  gl_FragColor = vec4(texture2D(map, vUv).rgb, smoothstep(0.4, 0.8, progress));',
+      '}'
+    ].join('\n'),
+    start: function(context) {
+      context.vFov = this.prop.vFov;
+    },
+    update: function(context, progress) {
+      // the view dives during the first half and zooms out during the second half
+      var dive = Math.min(progress * 2, 1);
+      var ratio = 1 - (1 - PanoSphereViewer.TRANSITION_ZOOM) * (progress < 0.5 ? dive : 2 - progress * 2);
+      var vFov = Math.max(context.vFov * ratio, 1);
+
+      this.rotate({
+        longitude: context.from.longitude + PSVUtils.getShortestArc(context.from.longitude, context.view.longitude) * dive,
+        latitude: context.from.latitude + (context.view.latitude - context.from.latitude) * dive
+      });
+
+      this.prop.vFov = vFov;
+      this.prop.hFov = this._getHFov(vFov);
+      this.needsUpdate();
+    },
+    end: function() {
+      this.zoom(this.prop.zoom_lvl);
+    }
+  },
+
+  // the new panorama is revealed from left to right
+  'wipe': {
+    easing: 'inOutQuad',
+    uniforms: {
+      softness: 0.1
+    },
+    fragment: [
+      'uniform float softness;',
+      'void main() {',
+      '  float x = (vPosition.x / vPosition.w + 1.0) / 2.0;',
+      '  float edge = progress * (1.0 + softness);',
+      '  gl_FragColor = vec4(texture2D(map, vUv).rgb, 1.0 - smoothstep(edge - softness, edge, x));',
+      '}'
+    ].join('\n')
+  },
+
+  // the view goes to black, then the new panorama appears
+  'dip': {
+    easing: 'linear',
+    fragment: [
+      'void main() {',
+      '  vec3 color = texture2D(map, vUv).rgb * clamp(progress * 2.0 - 1.0, 0.0, 1.0);',
+      '  gl_FragColor = vec4(color, clamp(progress * 2.0, 0.0, 1.0));',
+      '}'
+    ].join('\n')
+  }
+};
+
+/**
+ * @summary Ratio of the FOV at the end of the dive of the "zoom" transition
+ * @type {float}
+ * @readonly
+ * @private
+ */
+PanoSphereViewer.TRANSITION_ZOOM = 0.3;
+
 /**
  * @summary Map between keyboard events `keyCode|which` and `key`
  * @type {Object.<int, string>}
@@ -78,12 +432,18 @@ PanoSphereViewer.CUBE_HASHMAP = ['left', 'right', 'top', 'bottom', 'back', 'fron
  * @private
  */
 PanoSphereViewer.KEYMAP = {
+  8: 'Backspace',
+  13: 'Enter',
+  27: 'Escape',
   33: 'PageUp',
   34: 'PageDown',
   37: 'ArrowLeft',
   38: 'ArrowUp',
   39: 'ArrowRight',
   40: 'ArrowDown',
+  46: 'Delete',
+  89: 'y',
+  90: 'z',
   107: '+',
   109: '-'
 };
@@ -141,9 +501,13 @@ PanoSphereViewer.DEFAULTS = {
   anim_speed: '2rpm',
   anim_lat: null,
   fisheye: false,
+  projection: 'rectilinear',
+  little_planet_intro: false,
   navbar: [
     'autorotate',
     'zoom',
+    'videoPlay',
+    'videoProgress',
     'download',
     'markers',
     'caption',
@@ -161,12 +525,29 @@ PanoSphereViewer.DEFAULTS = {
     zoom: 'Zoom',
     zoomOut: 'Zoom out',
     zoomIn: 'Zoom in',
+    videoPlay: 'Play/Pause',
+    videoProgress: 'Video progress',
     download: 'Download',
     fullscreen: 'Fullscreen',
     markers: 'Markers',
+    layers: 'Layers',
     gyroscope: 'Gyroscope',
     stereo: 'Stereo view',
-    stereo_notification: 'Click anywhere to exit stereo view.'
+    stereo_notification: 'Click anywhere to exit stereo view.',
+    loadError: 'The panorama cannot be loaded.',
+    retry: 'Retry',
+    markerEditor: {
+      select: 'Select',
+      image: 'Image',
+      polygon: 'Polygon',
+      polyline: 'Polyline',
+      undo: 'Undo',
+      redo: 'Redo',
+      export: 'Export',
+      tooltip: 'Tooltip',
+      content: 'Content',
+      delete: 'Delete'
+    }
   },
   mousewheel: true,
   mousewheel_factor: 1,
@@ -177,14 +558,52 @@ PanoSphereViewer.DEFAULTS = {
   click_event_on_marker: false,
   transition: {
     duration: 1500,
-    loader: true
+    loader: true,
+    effect: 'fade'
+  },
+  abort_loading: false,
+  request: {
+    credentials: false,
+    cross_origin: 'anonymous',
+    headers: null,
+    rewrite_url: null
+  },
+  load_retry: {
+    count: 0,
+    delay: 1000,
+    factor: 2
+  },
+  video: {
+    autoplay: true,
+    loop: true,
+    muted: false
   },
   loading_img: null,
   loading_txt: 'Loading...',
   size: null,
   cache_texture: 0,
+  persistent_cache: {
+    enabled: false,
+    db_name: 'PanoSphereViewer',
+    max_size: 500,
+    max_age: 604800000
+  },
   templates: {},
-  markers: []
+  markers: [],
+  tour: null,
+  url_hash: false,
+  minimap: {
+    image: null,
+    size: 200,
+    north: 0
+  },
+  marker_editor: {
+    enabled: false,
+    image: null,
+    width: 32,
+    height: 32,
+    anchor: 'center center'
+  }
 };
 
 /**
@@ -196,6 +615,15 @@ PanoSphereViewer.TEMPLATES = {
   markersList: '\
 <div class="psv-markers-list-container"> \
   <h1 class="psv-markers-list-title">{{= it.config.lang.markers }}</h1> \
+  {{? it.layers && it.layers.length }} \
+  <ul class="psv-markers-list-layers" title="{{= it.config.lang.layers }}"> \
+  {{~ it.layers: layer }} \
+    <li class="psv-markers-list-layer"> \
+      <label><input type="checkbox" data-psv-layer="{{! layer.name }}"{{? layer.visible }} checked{{?}}/> {{! layer.name }}</label> \
+    </li> \
+  {{~}} \
+  </ul> \
+  {{?}} \
   <ul class="psv-markers-list"> \
   {{~ it.markers: marker }} \
     <li data-psv-marker="{{= marker.id }}" class="psv-markers-list-item {{? marker.className }}{{= marker.className }}{{?}}"> \
@@ -204,5 +632,40 @@ PanoSphereViewer.TEMPLATES = {
     </li> \
   {{~}} \
   </ul> \
+</div>',
+
+  loadError: '\
+<div class="psv-error"> \
+  <p class="psv-error-text">{{= it.config.lang.loadError }}</p> \
+  {{? it.retry }}<button class="psv-error-retry">{{= it.config.lang.retry }}</button>{{?}} \
+</div>',
+
+  tourLink: '\
+<div class="psv-tour-link-arrow"></div>',
+
+  markerEditorToolbar: '\
+{{~ it.modes: mode }} \
+  <button class="psv-marker-editor-button" data-psv-action="mode" data-psv-mode="{{= mode }}">{{= it.config.lang.markerEditor[mode] }}</button> \
+{{~}} \
+<button class="psv-marker-editor-button" data-psv-action="undo">{{= it.config.lang.markerEditor.undo }}</button> \
+<button class="psv-marker-editor-button" data-psv-action="redo">{{= it.config.lang.markerEditor.redo }}</button> \
+<button class="psv-marker-editor-button" data-psv-action="export">{{= it.config.lang.markerEditor.export }}</button>',
+
+  markerEditor: '\
+<div class="psv-marker-editor"> \
+  <h1 class="psv-marker-editor-title">{{! it.marker.id }}</h1> \
+  <label class="psv-marker-editor-label">{{= it.config.lang.markerEditor.tooltip }} \
+    <textarea class="psv-marker-editor-field" name="tooltip">{{? it.marker.tooltip }}{{! it.marker.tooltip.content }}{{?}}</textarea> \
+  </label> \
+  <label class="psv-marker-editor-label">{{= it.config.lang.markerEditor.content }} \
+    <textarea class="psv-marker-editor-field" name="content">{{? it.marker.content }}{{! it.marker.content }}{{?}}</textarea> \
+  </label> \
+  <button class="psv-marker-editor-button" data-psv-action="delete">{{= it.config.lang.markerEditor.delete }}</button> \
+</div>',
+
+  markerEditorExport: '\
+<div class="psv-marker-editor"> \
+  <h1 class="psv-marker-editor-title">{{= it.config.lang.markerEditor.export }}</h1> \
+  <textarea class="psv-marker-editor-field psv-marker-editor-export" readonly>{{! it.json }}</textarea> \
 </div>'
 };
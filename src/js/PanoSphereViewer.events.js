@@ -80,6 +80,7 @@ PanoSphereViewer.prototype.handleEvent = function(evt) {
   switch (evt.type) {
     // @formatter:off
     case 'resize': PSVUtils.throttle(this._onResize(), 50); break;
+    case 'hashchange':  this._onHashChange();     break;
     case 'keydown':     this._onKeyDown(evt);     break;
     case 'mousedown':   this._onMouseDown(evt);   break;
     case 'mouseenter':  this._onMouseDown(evt);   break;
@@ -89,6 +90,12 @@ PanoSphereViewer.prototype.handleEvent = function(evt) {
     case 'touchend':    this._onTouchEnd(evt);    break;
     case 'mousemove':   this._onMouseMove(evt);   break;
     case 'touchmove':   this._onTouchMove(evt);   break;
+    case 'play':            this._onVideoEvent(evt);  break;
+    case 'pause':           this._onVideoEvent(evt);  break;
+    case 'ended':           this._onVideoEvent(evt);  break;
+    case 'timeupdate':      this._onVideoEvent(evt);  break;
+    case 'durationchange':  this._onVideoEvent(evt);  break;
+    case 'volumechange':    this._onVideoEvent(evt);  break;
     case PanoSphereViewer.SYSTEM.fullscreenEvent:  this._fullscreenToggled();  break;
     case PanoSphereViewer.SYSTEM.mouseWheelEvent:  this._onMouseWheel(evt);    break;
     // @formatter:on
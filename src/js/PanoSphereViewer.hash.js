@@ -0,0 +1,178 @@
+/**
+ * @typedef {Object} PanoSphereViewer.UrlHashState
+ * @summary View stored in the URL hash, missing values are not changed
+ * @property {string} [scene] - id of the scene of the tour
+ * @property {float} [longitude]
+ * @property {float} [latitude]
+ * @property {int} [zoom]
+ */
+
+/**
+ * @summary Keeps the URL hash in sync with the view
+ * @description The hash is replaced when the view changes and a new history entry is added when the scene changes
+ * @returns {PanoSphereViewer.UrlHashState} view of the current URL, to be applied to the first panorama
+ * @private
+ */
+PanoSphereViewer.prototype._bindUrlHash = function() {
+  var state = this._readUrlHash();
+
+  this.prop.url_hash_listener = PSVUtils.throttle(this._writeUrlHash.bind(this, false), PanoSphereViewer.URL_HASH_DELAY);
+  this.prop.url_hash_scene_listener = this._writeUrlHash.bind(this, true);
+
+  this.on('position-updated zoom-updated', this.prop.url_hash_listener);
+  this.on('scene-changed', this.prop.url_hash_scene_listener);
+  window.addEventListener('hashchange', this);
+
+  return state;
+};
+
+/**
+ * @summary Applies the view of the URL hash once the first panorama is displayed
+ * @description The position of the panorama and the little planet intro are applied first, the view of the URL replaces them
+ * @param {Promise} [loading] - loading of the first panorama
+ * @param {PanoSphereViewer.UrlHashState} state
+ * @private
+ */
+PanoSphereViewer.prototype._applyInitialUrlHash = function(loading, state) {
+  if (!loading) {
+    this._applyUrlHashView(state);
+    return;
+  }
+
+  loading.then(function() {
+    if (this.prop.intro_promise) {
+      this.once('intro-done', this._applyUrlHashView.bind(this, state));
+    }
+    else {
+      this._applyUrlHashView(state);
+    }
+  }.bind(this));
+};
+
+/**
+ * @summary Stops to sync the URL hash
+ * @private
+ */
+PanoSphereViewer.prototype._unbindUrlHash = function() {
+  this.off('position-updated zoom-updated', this.prop.url_hash_listener);
+  this.off('scene-changed', this.prop.url_hash_scene_listener);
+  window.removeEventListener('hashchange', this);
+
+  this.prop.url_hash_listener = null;
+  this.prop.url_hash_scene_listener = null;
+};
+
+/**
+ * @summary Parses the URL hash, the unknown scenes and invalid values are ignored
+ * @returns {PanoSphereViewer.UrlHashState} null if the hash contains no view
+ * @private
+ */
+PanoSphereViewer.prototype._readUrlHash = function() {
+  var params = PSVUtils.parseUrlHash(window.location.hash);
+  var state = {};
+
+  if (params.scene !== undefined && this.tour && this.tour.scenes[params.scene]) {
+    state.scene = params.scene;
+  }
+
+  var longitude = parseFloat(params.longitude);
+  var latitude = parseFloat(params.latitude);
+  var zoom = parseInt(params.zoom);
+
+  if (!isNaN(longitude)) {
+    state.longitude = PSVUtils.parseAngle(THREE.Math.degToRad(longitude));
+  }
+
+  if (!isNaN(latitude)) {
+    state.latitude = PSVUtils.parseAngle(THREE.Math.degToRad(latitude), true);
+  }
+
+  if (!isNaN(zoom)) {
+    state.zoom = PSVUtils.bound(zoom, 0, 100);
+  }
+
+  return Object.keys(state).length ? state : null;
+};
+
+/**
+ * @summary Writes the current view in the URL hash, the other parameters of the hash are kept
+ * @param {boolean} [push=false] - adds a history entry if the scene changed
+ * @private
+ */
+PanoSphereViewer.prototype._writeUrlHash = function(push) {
+  // the view is written when the new panorama is displayed, the throttled call can happen after destroy
+  if (this.prop.loading_promise || !this.prop.url_hash_listener) {
+    return;
+  }
+
+  var params = PSVUtils.parseUrlHash(window.location.hash);
+  var scene = this.tour && this.tour.currentScene ? this.tour.currentScene.id : undefined;
+
+  // the first scene and the back navigation replace the current entry
+  push = push && params.scene !== undefined && params.scene !== scene;
+
+  if (scene !== undefined) {
+    params.scene = scene;
+  }
+  params.longitude = THREE.Math.radToDeg(this.prop.position.longitude).toFixed(2);
+  params.latitude = THREE.Math.radToDeg(this.prop.position.latitude).toFixed(2);
+  params.zoom = this.prop.zoom_lvl;
+
+  var hash = '#' + Object.keys(params).map(function(key) {
+    return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+  }).join('&');
+
+  if (hash !== window.location.hash) {
+    window.history[push ? 'pushState' : 'replaceState'](null, '', hash);
+  }
+};
+
+/**
+ * @summary Displays the view of the URL hash
+ * @param {PanoSphereViewer.UrlHashState} state
+ * @returns {Promise}
+ * @private
+ */
+PanoSphereViewer.prototype._applyUrlHash = function(state) {
+  var loading;
+
+  if (state.scene !== undefined && this.tour.canChangeScene() &&
+    (!this.tour.currentScene || this.tour.currentScene.id !== state.scene)) {
+    loading = this.tour.goToScene(state.scene);
+  }
+  else {
+    loading = D.resolved();
+  }
+
+  return loading.then(this._applyUrlHashView.bind(this, state));
+};
+
+/**
+ * @summary Applies the position and zoom of the URL hash
+ * @param {PanoSphereViewer.UrlHashState} state
+ * @private
+ */
+PanoSphereViewer.prototype._applyUrlHashView = function(state) {
+  if (state.longitude !== undefined || state.latitude !== undefined) {
+    this.rotate({
+      longitude: state.longitude !== undefined ? state.longitude : this.prop.position.longitude,
+      latitude: state.latitude !== undefined ? state.latitude : this.prop.position.latitude
+    });
+  }
+
+  if (state.zoom !== undefined) {
+    this.zoom(state.zoom);
+  }
+};
+
+/**
+ * @summary Displays the view of the URL hash after a navigation
+ * @private
+ */
+PanoSphereViewer.prototype._onHashChange = function() {
+  var state = this._readUrlHash();
+
+  if (state) {
+    this._applyUrlHash(state);
+  }
+};
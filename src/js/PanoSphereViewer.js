@@ -39,9 +39,11 @@
 /**
  * @typedef {Object} PanoSphereViewer.CacheItem
  * @summary An entry in the memory cache
- * @property {string} panorama
- * @property {THREE.Texture} image
+ * @property {string|string[]|PanoSphereViewer.ImageSource} panorama - cubemaps faces are in the order of {@link PanoSphereViewer.CUBE_HASHMAP}
+ * @property {THREE.Texture|THREE.Texture[]} image
  * @property {PanoSphereViewer.PanoData} pano_data
+ * @property {PanoSphereViewer.PanoramaMetadata} metadata
+ * @property {int} size - estimated memory usage in bytes
  */
 
 /**
@@ -69,6 +71,28 @@
  * @property {PSVMarker} [marker] - clicked marker
  */
 
+/**
+ * @typedef {Object} PanoSphereViewer.ViewerState
+ * @summary Snapshot of the viewer, can be converted to JSON
+ * @property {*} panorama - null if the panorama is not serializable (in-memory image, video element...)
+ * @property {string} [scene] - id of the scene of the tour
+ * @property {PanoSphereViewer.Position} position
+ * @property {int} zoom
+ * @property {string[]} visible_markers - ids of the visible markers
+ * @property {string[]} hidden_layers - names of the hidden layers of markers
+ * @property {string} selected_marker - id of the last selected marker
+ * @property {boolean} autorotate
+ * @property {boolean} gyroscope
+ * @property {PanoSphereViewer.PanelState} panel - null if the panel is closed or displays a custom content
+ */
+
+/**
+ * @typedef {Object} PanoSphereViewer.PanelState
+ * @summary Content of the side panel in a {@link PanoSphereViewer.ViewerState}
+ * @property {string} type - "markers-list", "marker" (content of a marker) or "marker-editor"
+ * @property {string} [marker] - id of the marker for the types "marker" and "marker-editor"
+ */
+
 /**
  * Viewer class
  * @param {Object} options - see {@link http://pano-sphere-viewer.js.org/#options}
@@ -110,26 +134,8 @@ function PanoSphereViewer(options) {
     throw new PSVError('Missing Three.js components: CanvasRenderer, Projector. Get them from three.js-examples package.');
   }
 
-  // longitude range must have two values
-  if (this.config.longitude_range && this.config.longitude_range.length !== 2) {
-    this.config.longitude_range = null;
-    console.warn('PanoSphereViewer: longitude_range must have exactly two elements.');
-  }
-
-  if (this.config.latitude_range) {
-    // latitude range must have two values
-    if (this.config.latitude_range.length !== 2) {
-      this.config.latitude_range = null;
-      console.warn('PanoSphereViewer: latitude_range must have exactly two elements.');
-    }
-    // latitude range must be ordered
-    else if (this.config.latitude_range[0] > this.config.latitude_range[1]) {
-      this.config.latitude_range = [this.config.latitude_range[1], this.config.latitude_range[0]];
-      console.warn('PanoSphereViewer: latitude_range values must be ordered.');
-    }
-  }
   // migrate legacy tilt_up_max and tilt_down_max
-  else if (this.config.tilt_up_max !== undefined || this.config.tilt_down_max !== undefined) {
+  if (!this.config.latitude_range && (this.config.tilt_up_max !== undefined || this.config.tilt_down_max !== undefined)) {
     this.config.latitude_range = [
       this.config.tilt_down_max !== undefined ? this.config.tilt_down_max - Math.PI / 4 : -PSVUtils.HalfPI,
       this.config.tilt_up_max !== undefined ? this.config.tilt_up_max + Math.PI / 4 : PSVUtils.HalfPI
@@ -137,31 +143,78 @@ function PanoSphereViewer(options) {
     console.warn('PanoSphereViewer: tilt_up_max and tilt_down_max are deprecated, use latitude_range instead.');
   }
 
-  // min_fov and max_fov must be ordered
-  if (this.config.max_fov < this.config.min_fov) {
-    var temp_fov = this.config.max_fov;
-    this.config.max_fov = this.config.min_fov;
-    this.config.min_fov = temp_fov;
-    console.warn('PanoSphereViewer: max_fov cannot be lower than min_fov.');
+  // projection must exist and requires WebGL
+  if (!PanoSphereViewer.PROJECTIONS.hasOwnProperty(this.config.projection)) {
+    console.warn('PanoSphereViewer: unknown projection "' + this.config.projection + '".');
+    this.config.projection = PanoSphereViewer.DEFAULTS.projection;
+  }
+  else if (this.config.projection !== 'rectilinear' && (!PanoSphereViewer.SYSTEM.isWebGLSupported || !this.config.webgl)) {
+    console.warn('PanoSphereViewer: projection "' + this.config.projection + '" requires WebGL.');
+    this.config.projection = PanoSphereViewer.DEFAULTS.projection;
+  }
+
+  if (this.config.little_planet_intro && (!PanoSphereViewer.SYSTEM.isWebGLSupported || !this.config.webgl)) {
+    console.warn('PanoSphereViewer: little_planet_intro requires WebGL.');
+    this.config.little_planet_intro = false;
+  }
+
+  var projection = PanoSphereViewer.PROJECTIONS[this.config.projection];
+
+  // default min_fov and max_fov depend on the projection
+  if (this.config.min_fov === PanoSphereViewer.DEFAULTS.min_fov && this.config.max_fov === PanoSphereViewer.DEFAULTS.max_fov) {
+    this.config.min_fov = projection.fov_range[0];
+    this.config.max_fov = projection.fov_range[1];
+  }
+
+  // transition can be defined by its effect only
+  if (this.config.transition && this._isTransitionEffect(options.transition)) {
+    this.config.transition = PSVUtils.clone(PanoSphereViewer.DEFAULTS.transition);
+    this.config.transition.effect = options.transition;
   }
 
-  if (this.config.cache_texture && (!PSVUtils.isInteger(this.config.cache_texture) || this.config.cache_texture < 0)) {
+  if (this.config.cache_texture && (typeof this.config.cache_texture !== 'number' || this.config.cache_texture < 0)) {
     this.config.cache_texture = PanoSphereViewer.DEFAULTS.cache_texture;
     console.warn('PanoSphereViewer: invalid value for cache_texture');
   }
 
+  if (PSVUtils.isInteger(this.config.cache_texture) && this.config.cache_texture > 0 &&
+    this.config.cache_texture <= PanoSphereViewer.CACHE_TEXTURE_LEGACY_MAX) {
+    this.config.cache_texture *= PanoSphereViewer.CACHE_TEXTURE_LEGACY_SIZE;
+    console.warn('PanoSphereViewer: cache_texture as a number of panoramas is deprecated, it is a budget in megabytes, ' +
+      this.config.cache_texture + ' MB are used');
+  }
+
+  if (this.config.persistent_cache.enabled && !PSVStore.isSupported()) {
+    this.config.persistent_cache.enabled = false;
+    console.warn('PanoSphereViewer: persistent_cache requires IndexedDB.');
+  }
+
   if ('panorama_roll' in this.config) {
     this.config.sphere_correction.roll = this.config.panorama_roll;
     console.warn('PanoSphereViewer: panorama_roll is deprecated, use sphere_correction.roll instead');
   }
 
+  if (this.config.minimap.image && !this.config.tour) {
+    this.config.minimap.image = null;
+    console.warn('PanoSphereViewer: minimap requires tour.');
+  }
+
+  this.config.minimap.north = PSVUtils.parseAngle(this.config.minimap.north);
+
   if ('gyroscope' in this.config) {
     console.warn('PanoSphereViewer: gyroscope is deprecated, the control is automatically created if DeviceOrientationControls.js is loaded');
   }
 
-  // min_fov/max_fov between 1 and 179
-  this.config.min_fov = PSVUtils.bound(this.config.min_fov, 1, 179);
-  this.config.max_fov = PSVUtils.bound(this.config.max_fov, 1, 179);
+  // ranges, FOV bounds and sphere correction can be changed for each panorama
+  this._cleanPanoramaOptions(this.config);
+
+  // the metadata of the panorama can replace the options left to their default value
+  var metadataOverrides = {
+    default_long: this.config.default_long === PanoSphereViewer.DEFAULTS.default_long,
+    default_lat: this.config.default_lat === PanoSphereViewer.DEFAULTS.default_lat,
+    default_fov: this.config.default_fov === PanoSphereViewer.DEFAULTS.default_fov,
+    sphere_correction: !this.config.sphere_correction.pan && !this.config.sphere_correction.tilt && !this.config.sphere_correction.roll
+  };
 
   // default default_fov is middle point between min_fov and max_fov
   if (this.config.default_fov === null) {
@@ -178,11 +231,6 @@ function PanoSphereViewer(options) {
   // parse default_lat, is between -PI/2 and PI/2
   this.config.default_lat = PSVUtils.parseAngle(this.config.default_lat, true);
 
-  // parse camera_correction, is between -PI/2 and PI/2
-  this.config.sphere_correction.pan = PSVUtils.parseAngle(this.config.sphere_correction.pan, true);
-  this.config.sphere_correction.tilt = PSVUtils.parseAngle(this.config.sphere_correction.tilt, true);
-  this.config.sphere_correction.roll = PSVUtils.parseAngle(this.config.sphere_correction.roll, true);
-
   // default anim_lat is default_lat
   if (this.config.anim_lat === null) {
     this.config.anim_lat = this.config.default_lat;
@@ -192,20 +240,6 @@ function PanoSphereViewer(options) {
     this.config.anim_lat = PSVUtils.parseAngle(this.config.anim_lat, true);
   }
 
-  // parse longitude_range, between 0 and 2*PI
-  if (this.config.longitude_range) {
-    this.config.longitude_range = this.config.longitude_range.map(function(angle) {
-      return PSVUtils.parseAngle(angle);
-    });
-  }
-
-  // parse latitude_range, between -PI/2 and PI/2
-  if (this.config.latitude_range) {
-    this.config.latitude_range = this.config.latitude_range.map(function(angle) {
-      return PSVUtils.parseAngle(angle, true);
-    });
-  }
-
   // parse anim_speed
   this.config.anim_speed = PSVUtils.parseSpeed(this.config.anim_speed);
 
@@ -242,6 +276,40 @@ function PanoSphereViewer(options) {
    */
   this.loader = null;
 
+  /**
+   * @member {module:components.PSVErrorOverlay}
+   * @readonly
+   */
+  this.errorOverlay = null;
+
+  /**
+   * @summary Memory cache of the textures, if `cache_texture` is enabled
+   * @member {PSVCache}
+   * @readonly
+   */
+  this.cache = null;
+
+  /**
+   * @summary Persistent cache of the files, if `persistent_cache` is enabled
+   * @member {PSVStore}
+   * @readonly
+   */
+  this.store = null;
+
+  /**
+   * @summary Virtual tour, if `tour` is configured
+   * @member {PSVTour}
+   * @readonly
+   */
+  this.tour = null;
+
+  /**
+   * @summary Floor plan of the tour, if `minimap.image` is configured
+   * @member {module:components.PSVMinimap}
+   * @readonly
+   */
+  this.minimap = null;
+
   /**
    * @member {module:components.PSVNavBar}
    * @readonly
@@ -339,6 +407,7 @@ function PanoSphereViewer(options) {
    * @readonly
    * @property {boolean} needsUpdate - if the view needs to be renderer
    * @property {boolean} isCubemap - if the panorama is a cubemap
+   * @property {boolean} ready - if the first render has been performed
    * @property {PanoSphereViewer.Position} position - current direction of the camera
    * @property {THREE.Vector3} direction - direction of the camera
    * @property {float} anim_speed - parsed animation speed (rad/sec)
@@ -361,12 +430,22 @@ function PanoSphereViewer(options) {
    * @property {function} autorotate_cb - update callback of the automatic rotation
    * @property {Promise} animation_promise - promise of the current animation (either go to position or image transition)
    * @property {Promise} loading_promise - promise of the setPanorama method
+   * @property {function} loading_abort - aborts the current setPanorama
+   * @property {{queue: PanoSphereViewer.PreloadItem[], loading: PanoSphereViewer.PreloadItem[]}} preload - pending and running preloads
    * @property start_timeout - timeout id of the automatic rotation delay
    * @property {PanoSphereViewer.ClickData} dblclick_data - temporary storage of click data between two clicks
    * @property dblclick_timeout - timeout id for double click
-   * @property {PanoSphereViewer.CacheItem[]} cache - cached panoramas
    * @property {PanoSphereViewer.Size} size - size of the container
-   * @property {PanoSphereViewer.PanoData} pano_data - panorama metadata
+   * @property {PanoSphereViewer.PanoData} pano_data - panorama crop information
+   * @property {PanoSphereViewer.PanoramaMetadata} metadata - metadata of the current panorama
+   * @property {Object.<string, boolean>} metadata_overrides - options which can be replaced by the metadata
+   * @property {Object} default_options - options of the configuration which can be changed for each panorama, see {@link PanoSphereViewer.PANORAMA_OPTIONS}
+   * @property {Object} tiles - state of the current tiled panorama
+   * @property {HTMLVideoElement} video - element of the current video panorama
+   * @property {Object} projection - current projection parameters, see {@link PanoSphereViewer.PROJECTIONS}
+   * @property {Promise} intro_promise - promise of the little planet intro
+   * @property {function} url_hash_listener - updates the URL hash when the view changes
+   * @property {function} url_hash_scene_listener - updates the URL hash when the scene changes
    */
   this.prop = {
     needsUpdate: true,
@@ -397,10 +476,14 @@ function PanoSphereViewer(options) {
     autorotate_cb: null,
     animation_promise: null,
     loading_promise: null,
+    loading_abort: null,
+    preload: {
+      queue: [],
+      loading: []
+    },
     start_timeout: null,
     dblclick_data: null,
     dblclick_timeout: null,
-    cache: [],
     size: {
       width: 0,
       height: 0
@@ -412,7 +495,19 @@ function PanoSphereViewer(options) {
       cropped_height: 0,
       cropped_x: 0,
       cropped_y: 0
-    }
+    },
+    metadata: null,
+    metadata_overrides: metadataOverrides,
+    default_options: PSVUtils.clone(PanoSphereViewer.PANORAMA_OPTIONS.reduce(function(options, key) {
+      options[key] = this.config[key];
+      return options;
+    }.bind(this), {})),
+    tiles: null,
+    video: null,
+    projection: PSVUtils.clone(projection),
+    intro_promise: null,
+    url_hash_listener: null,
+    url_hash_scene_listener: null
   };
 
   // init templates
@@ -452,10 +547,29 @@ function PanoSphereViewer(options) {
     latitude: this.config.default_lat
   });
 
+  // init cache
+  if (this.config.cache_texture) {
+    this.cache = new PSVCache(this, this.config.cache_texture);
+  }
+
+  if (this.config.persistent_cache.enabled) {
+    this.store = new PSVStore(this.config.persistent_cache);
+
+    // removes the expired files
+    this.store.prune()
+      .then(undefined, function(e) {
+        console.warn('PanoSphereViewer: cannot open the persistent cache', e);
+      });
+  }
+
   // load loader (!!)
   this.loader = new PSVLoader(this);
   this.loader.hide();
 
+  // load error overlay
+  this.errorOverlay = new PSVErrorOverlay(this);
+  this.errorOverlay.hide();
+
   // load navbar
   this.navbar = new PSVNavBar(this);
   this.navbar.hide();
@@ -476,9 +590,34 @@ function PanoSphereViewer(options) {
   // attach event handlers
   this._bindEvents();
 
-  // load panorama
-  if (this.config.panorama) {
-    this.setPanorama(this.config.panorama, false);
+  // the little planet intro starts with the first panorama
+  if (this.config.little_planet_intro && this.config.projection !== 'little-planet') {
+    this.once('panorama-loaded', this._startLittlePlanetIntro.bind(this));
+  }
+
+  if (this.config.tour) {
+    this.tour = new PSVTour(this, this.config.tour);
+
+    if (this.config.minimap.image) {
+      this.minimap = new PSVMinimap(this);
+    }
+  }
+
+  // the view of the URL replaces the initial view
+  var urlState = this.config.url_hash ? this._bindUrlHash() : null;
+
+  // load panorama, or the first scene of the tour
+  var loading = null;
+
+  if (this.tour) {
+    loading = this.tour.start(urlState ? urlState.scene : undefined);
+  }
+  else if (this.config.panorama) {
+    loading = this.setPanorama(this.config.panorama, false);
+  }
+
+  if (urlState) {
+    this._applyInitialUrlHash(loading, urlState);
   }
 
   // enable GUI after first render
@@ -498,8 +637,12 @@ function PanoSphereViewer(options) {
       this.hud.renderMarkers();
     }
 
-    // Queue animation
-    if (this.config.time_anim !== false) {
+    if (this.config.marker_editor.enabled) {
+      this.hud.startMarkerEditor();
+    }
+
+    // Queue animation, delayed by the little planet intro
+    if (this.config.time_anim !== false && !this.prop.intro_promise) {
       this.prop.start_timeout = window.setTimeout(this.startAutorotate.bind(this), this.config.time_anim);
     }
 
@@ -507,6 +650,8 @@ function PanoSphereViewer(options) {
       // start render loop
       this._run();
 
+      this.prop.ready = true;
+
       /**
        * @event ready
        * @memberof PanoSphereViewer
@@ -0,0 +1,202 @@
+/**
+ * @typedef {Object} PanoSphereViewer.PanoramaMetadata
+ * @summary Metadata read from the XMP and EXIF headers of a panorama, angles are in degrees, missing values are null
+ * @property {PanoSphereViewer.PanoData} pano_data - crop information
+ * @property {string} projection_type
+ * @property {float} pose_heading - compass heading of the center of the image
+ * @property {float} pose_pitch
+ * @property {float} pose_roll
+ * @property {float} initial_heading - compass heading of the initial view
+ * @property {float} initial_pitch
+ * @property {float} initial_roll
+ * @property {float} initial_fov - horizontal FOV of the initial view
+ * @property {{latitude: float, longitude: float, altitude: float}} gps - capture position
+ * @property {Date} date - capture date
+ */
+
+/**
+ * @summary Loads the XMP and EXIF data of a JPEG file, only the headers are downloaded
+ * @param {string|PanoSphereViewer.ImageSource} panorama
+ * @param {AbortSignal} [signal]
+ * @returns {Promise.<PanoSphereViewer.PanoramaMetadata>}
+ * @private
+ */
+PanoSphereViewer.prototype._loadMetadata = function(panorama, signal) {
+  var isBlob = typeof Blob !== 'undefined' && panorama instanceof Blob;
+
+  // decoded images do not have metadata
+  if (!this.config.usexmpdata || (typeof panorama !== 'string' && !isBlob)) {
+    return D.resolved(null);
+  }
+
+  var readHeaders = function(length) {
+    return this._loadPanoramaHeaders(panorama, length, signal)
+      .then(function(buffer) {
+        var headers = PSVUtils.parseJPEGHeaders(buffer);
+
+        if (!headers) {
+          return null;
+        }
+
+        // the headers are bigger than the downloaded part, but the file is not over
+        if (!headers.complete && buffer.byteLength >= length && length < PanoSphereViewer.METADATA_MAX_SIZE) {
+          return readHeaders(Math.min(headers.length + PanoSphereViewer.METADATA_CHUNK_SIZE, PanoSphereViewer.METADATA_MAX_SIZE));
+        }
+
+        return this._parseMetadata(headers);
+      }.bind(this));
+  }.bind(this);
+
+  return readHeaders(PanoSphereViewer.METADATA_CHUNK_SIZE);
+};
+
+/**
+ * @summary Downloads the beginning of a file with a ranged request or reads the beginning of a Blob
+ * @description Servers not supporting ranged requests will return the whole file
+ * @param {string|Blob} panorama
+ * @param {int} length
+ * @param {AbortSignal} [signal]
+ * @returns {Promise.<ArrayBuffer>}
+ * @private
+ */
+PanoSphereViewer.prototype._loadPanoramaHeaders = function(panorama, length, signal) {
+  if (typeof panorama !== 'string') {
+    var defer = D();
+    var reader = new FileReader();
+
+    reader.onload = function() {
+      defer.resolve(reader.result);
+    };
+    reader.onerror = function() {
+      defer.reject(new PSVLoadError('Cannot read file', null, reader.error));
+    };
+
+    PSVUtils.onAbort(signal, function() {
+      reader.abort();
+      defer.reject(new PSVAbortError());
+    });
+
+    reader.readAsArrayBuffer(panorama.slice(0, length));
+
+    return defer.promise;
+  }
+
+  return this._request(panorama, 'arraybuffer', { Range: 'bytes=0-' + (length - 1) }, null, signal);
+};
+
+/**
+ * @summary Extracts the metadata from the JPEG headers
+ * @param {{xmp: string, exif: PSVUtils.ExifData}} headers
+ * @returns {PanoSphereViewer.PanoramaMetadata}
+ * @private
+ */
+PanoSphereViewer.prototype._parseMetadata = function(headers) {
+  var xmp = headers.xmp && headers.xmp.indexOf('GPano:') !== -1 ? headers.xmp : '';
+
+  var getFloat = function(attr) {
+    var value = parseFloat(PSVUtils.getXMPValue(xmp, attr));
+    return isNaN(value) ? null : value;
+  };
+
+  var metadata = {
+    pano_data: null,
+    projection_type: PSVUtils.getXMPValue(xmp, 'ProjectionType'),
+    pose_heading: getFloat('PoseHeadingDegrees'),
+    pose_pitch: getFloat('PosePitchDegrees'),
+    pose_roll: getFloat('PoseRollDegrees'),
+    initial_heading: getFloat('InitialViewHeadingDegrees'),
+    initial_pitch: getFloat('InitialViewPitchDegrees'),
+    initial_roll: getFloat('InitialViewRollDegrees'),
+    initial_fov: getFloat('InitialHorizontalFOVDegrees'),
+    gps: headers.exif ? headers.exif.gps : null,
+    date: headers.exif ? headers.exif.date : null
+  };
+
+  if (xmp) {
+    var pano_data = {
+      full_width: parseInt(PSVUtils.getXMPValue(xmp, 'FullPanoWidthPixels')),
+      full_height: parseInt(PSVUtils.getXMPValue(xmp, 'FullPanoHeightPixels')),
+      cropped_width: parseInt(PSVUtils.getXMPValue(xmp, 'CroppedAreaImageWidthPixels')),
+      cropped_height: parseInt(PSVUtils.getXMPValue(xmp, 'CroppedAreaImageHeightPixels')),
+      cropped_x: parseInt(PSVUtils.getXMPValue(xmp, 'CroppedAreaLeftPixels')),
+      cropped_y: parseInt(PSVUtils.getXMPValue(xmp, 'CroppedAreaTopPixels'))
+    };
+
+    if (!pano_data.full_width || !pano_data.full_height || !pano_data.cropped_width || !pano_data.cropped_height) {
+      console.warn('PanoSphereViewer: invalid XMP data');
+    }
+    else {
+      metadata.pano_data = pano_data;
+    }
+  }
+
+  return metadata;
+};
+
+/**
+ * @summary Returns the sphere correction, either configured or computed from the pose of the panorama
+ * @returns {{pan: float, tilt: float, roll: float}}
+ * @private
+ */
+PanoSphereViewer.prototype._getSphereCorrection = function() {
+  var metadata = this.prop.metadata;
+
+  if (!this.prop.metadata_overrides.sphere_correction || !metadata) {
+    return this.config.sphere_correction;
+  }
+
+  // the sphere is rotated to place the north at longitude 0 and the horizon at latitude 0
+  return {
+    pan: PSVUtils.parseAngle(-THREE.Math.degToRad(metadata.pose_heading || 0), true),
+    tilt: PSVUtils.parseAngle(-THREE.Math.degToRad(metadata.pose_pitch || 0), true),
+    roll: PSVUtils.parseAngle(-THREE.Math.degToRad(metadata.pose_roll || 0), true)
+  };
+};
+
+/**
+ * @summary Applies the sphere correction to the sphere mesh
+ * @private
+ */
+PanoSphereViewer.prototype._applySphereCorrection = function() {
+  var correction = this._getSphereCorrection();
+
+  this.mesh.rotation.set(correction.tilt, correction.pan, correction.roll);
+};
+
+/**
+ * @summary Uses the initial view of the metadata for the options left to their default value
+ * @private
+ */
+PanoSphereViewer.prototype._applyMetadataView = function() {
+  var metadata = this.prop.metadata;
+  var overrides = this.prop.metadata_overrides;
+
+  if (!metadata) {
+    return;
+  }
+
+  if (overrides.default_long && metadata.initial_heading !== null) {
+    var heading = THREE.Math.degToRad(metadata.initial_heading - (metadata.pose_heading || 0));
+    this.config.default_long = PSVUtils.parseAngle(heading - this._getSphereCorrection().pan);
+  }
+
+  if (overrides.default_lat && metadata.initial_pitch !== null) {
+    this.config.default_lat = PSVUtils.parseAngle(THREE.Math.degToRad(metadata.initial_pitch), true);
+  }
+
+  if (overrides.default_fov && metadata.initial_fov !== null) {
+    var projection = this.prop.projection;
+    var radius = PSVUtils.projectAngle(THREE.Math.degToRad(metadata.initial_fov) / 2, projection) / this.prop.aspect;
+    var vFov = THREE.Math.radToDeg(2 * PSVUtils.unprojectRadius(radius, projection));
+
+    this.config.default_fov = PSVUtils.bound(vFov, this.config.min_fov, this.config.max_fov);
+
+    var tempZoom = Math.round((this.config.default_fov - this.config.min_fov) / (this.config.max_fov - this.config.min_fov) * 100);
+    this.zoom(tempZoom - 2 * (tempZoom - 50));
+  }
+
+  this.rotate({
+    longitude: this.config.default_long,
+    latitude: this.config.default_lat
+  });
+};
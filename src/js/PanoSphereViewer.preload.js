@@ -0,0 +1,150 @@
+/**
+ * @typedef {Object} PanoSphereViewer.PreloadItem
+ * @summary An entry of the preload queue
+ * @property {string|string[]|PanoSphereViewer.ImageSource} panorama - cubemaps are normalized
+ * @property {int} priority - higher priorities are loaded first
+ * @property {Object} defer - deferred of the promise returned by {@link PanoSphereViewer#preloadPanorama}
+ * @property {AbortController} controller - cancels the current loading
+ * @property {Object} run - token of the current loading, a paused loading is ignored when it ends
+ */
+
+/**
+ * @summary Checks if two panoramas are the same file(s)
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ * @private
+ */
+PanoSphereViewer.prototype._isSamePanorama = function(a, b) {
+  var key = this._getPanoramaCacheKey(a);
+
+  return a === b || (key !== null && PSVCache.keysEqual(key, this._getPanoramaCacheKey(b)));
+};
+
+/**
+ * @summary Returns the entry of a panorama in the preload queue or in the running preloads
+ * @param {*} panorama - normalized
+ * @returns {PanoSphereViewer.PreloadItem}
+ * @private
+ */
+PanoSphereViewer.prototype._findPreload = function(panorama) {
+  return this.prop.preload.queue.concat(this.prop.preload.loading).filter(function(item) {
+    return this._isSamePanorama(item.panorama, panorama);
+  }, this).shift();
+};
+
+/**
+ * @summary Inserts an entry in the queue, after the entries with the same or a higher priority
+ * @param {PanoSphereViewer.PreloadItem} item
+ * @param {boolean} [first=false] - inserts before the entries with the same priority
+ * @private
+ */
+PanoSphereViewer.prototype._queuePreload = function(item, first) {
+  var queue = this.prop.preload.queue;
+  var i = 0;
+
+  while (i < queue.length && (queue[i].priority > item.priority || (!first && queue[i].priority === item.priority))) {
+    i++;
+  }
+
+  queue.splice(i, 0, item);
+};
+
+/**
+ * @summary Starts the next preloads, unless a panorama is loading with {@link PanoSphereViewer#setPanorama}
+ * @private
+ */
+PanoSphereViewer.prototype._loadNextPreloads = function() {
+  var preload = this.prop.preload;
+
+  if (this.prop.loading_promise) {
+    return;
+  }
+
+  while (preload.queue.length && preload.loading.length < PanoSphereViewer.PRELOAD_CONCURRENCY) {
+    this._startPreload(preload.queue.shift());
+  }
+};
+
+/**
+ * @summary Loads a queued panorama
+ * @param {PanoSphereViewer.PreloadItem} item
+ * @private
+ */
+PanoSphereViewer.prototype._startPreload = function(item) {
+  var preload = this.prop.preload;
+  var run = item.run = {};
+
+  item.controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  preload.loading.push(item);
+
+  var signal = item.controller ? item.controller.signal : undefined;
+  var loading = Array.isArray(item.panorama) ?
+    this._loadCubemapTexture(item.panorama, signal, true) :
+    this._loadEquirectangularTexture(item.panorama, signal, true);
+
+  var done = function(callback, value) {
+    // the loading was paused or cancelled
+    if (item.run !== run) {
+      return;
+    }
+
+    preload.loading.splice(preload.loading.indexOf(item), 1);
+    item.run = null;
+    item.controller = null;
+
+    callback(value);
+
+    this._loadNextPreloads();
+  }.bind(this);
+
+  loading.then(done.bind(null, item.defer.resolve), done.bind(null, item.defer.reject));
+};
+
+/**
+ * @summary Stops the running preloads and puts them back at the top of the queue
+ * @description Loadings which cannot be aborted continue in background
+ * @private
+ */
+PanoSphereViewer.prototype._pausePreloads = function() {
+  var preload = this.prop.preload;
+
+  // reversed to keep the order of the entries with the same priority
+  preload.loading.slice().reverse().forEach(function(item) {
+    if (!item.controller) {
+      return;
+    }
+
+    item.run = null;
+    item.controller.abort();
+    item.controller = null;
+
+    preload.loading.splice(preload.loading.indexOf(item), 1);
+    this._queuePreload(item, true);
+  }, this);
+};
+
+/**
+ * @summary Removes an entry from the queue or stops its loading, its promise is rejected with a {@link PSVAbortError}
+ * @param {PanoSphereViewer.PreloadItem} item
+ * @private
+ */
+PanoSphereViewer.prototype._cancelPreload = function(item) {
+  var preload = this.prop.preload;
+  var index;
+
+  if ((index = preload.queue.indexOf(item)) !== -1) {
+    preload.queue.splice(index, 1);
+  }
+  else if ((index = preload.loading.indexOf(item)) !== -1) {
+    preload.loading.splice(index, 1);
+
+    if (item.controller) {
+      item.controller.abort();
+    }
+  }
+
+  item.run = null;
+  item.controller = null;
+  item.defer.reject(new PSVAbortError('Preload cancelled'));
+};
@@ -0,0 +1,182 @@
+/**
+ * @summary Creates the objects used to render non rectilinear projections
+ * @description The scene is first rendered in a cube around the camera, which is then projected on a full screen quad
+ * @private
+ */
+PanoSphereViewer.prototype._createProjectionPass = function() {
+  var cubeCamera = new THREE.CubeCamera(1, this.camera.far, PanoSphereViewer.PROJECTION_CUBE_SIZE[0]);
+  cubeCamera.renderTarget.texture.minFilter = THREE.LinearFilter;
+  this.scene.add(cubeCamera);
+
+  var material = new THREE.ShaderMaterial({
+    uniforms: {
+      tCube: { value: cubeCamera.renderTarget.texture },
+      rotation: { value: new THREE.Matrix3() },
+      scale: { value: 1 },
+      aspect: { value: 1 },
+      perspective: { value: 0 },
+      equisolid: { value: false },
+      maxAngle: { value: Math.PI }
+    },
+    vertexShader: PanoSphereViewer.PROJECTION_SHADER.vertex,
+    fragmentShader: PanoSphereViewer.PROJECTION_SHADER.fragment,
+    depthTest: false,
+    depthWrite: false
+  });
+
+  var scene = new THREE.Scene();
+  scene.add(new THREE.Mesh(new THREE.PlaneBufferGeometry(2, 2), material));
+
+  this.passes = {
+    cubeCamera: cubeCamera,
+    scene: scene,
+    camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1),
+    material: material
+  };
+};
+
+/**
+ * @summary Checks if the current view must be rendered with the projection pass
+ * @returns {boolean}
+ * @private
+ */
+PanoSphereViewer.prototype._isProjectionPassActive = function() {
+  return !!this.passes && !this.stereoEffect && (this.prop.projection.equisolid || this.prop.projection.perspective > 0);
+};
+
+/**
+ * @summary Renders the scene with the current projection
+ * @private
+ */
+PanoSphereViewer.prototype._renderProjection = function() {
+  var projection = this.prop.projection;
+  var cubeCamera = this.passes.cubeCamera;
+  var uniforms = this.passes.material.uniforms;
+  var scale = PSVUtils.projectAngle(THREE.Math.degToRad(this.prop.vFov) / 2, projection);
+
+  // the faces of the cube must have at least the resolution of the center of the screen
+  var size = this.prop.size.height * PanoSphereViewer.SYSTEM.pixelRatio / scale;
+  size = Math.pow(2, Math.ceil(Math.log(size) / Math.LN2));
+  size = PSVUtils.bound(size, PanoSphereViewer.PROJECTION_CUBE_SIZE[0], Math.min(PanoSphereViewer.PROJECTION_CUBE_SIZE[1], PanoSphereViewer.SYSTEM.maxTextureWidth || Infinity));
+
+  if (cubeCamera.renderTarget.width !== size) {
+    cubeCamera.renderTarget.setSize(size, size);
+  }
+
+  cubeCamera.position.copy(this.camera.position);
+  cubeCamera.update(this.renderer, this.scene);
+
+  uniforms.rotation.value.setFromMatrix4(this.camera.matrixWorld);
+  uniforms.scale.value = scale;
+  uniforms.aspect.value = this.prop.aspect;
+  uniforms.perspective.value = projection.perspective;
+  uniforms.equisolid.value = projection.equisolid;
+  uniforms.maxAngle.value = this._getProjectionMaxAngle();
+
+  this.renderer.render(this.passes.scene, this.passes.camera);
+};
+
+/**
+ * @summary Returns the maximum angle between the view direction and a visible point
+ * @returns {float}
+ * @private
+ */
+PanoSphereViewer.prototype._getProjectionMaxAngle = function() {
+  var projection = this.prop.projection;
+
+  return projection.equisolid ? Math.PI : Math.acos(-Math.min(projection.perspective, 1));
+};
+
+/**
+ * @summary Releases the objects of the projection pass
+ * @private
+ */
+PanoSphereViewer.prototype._destroyProjectionPass = function() {
+  if (!this.passes) {
+    return;
+  }
+
+  this.passes.cubeCamera.renderTarget.dispose();
+  this.passes.material.dispose();
+  PSVUtils.cleanTHREEScene(this.passes.scene);
+};
+
+/**
+ * @summary Computes the horizontal FOV for a vertical FOV, with the current projection
+ * @param {float} vFov - in degrees
+ * @returns {float} in degrees
+ * @private
+ */
+PanoSphereViewer.prototype._getHFov = function(vFov) {
+  var projection = this.prop.projection;
+  var radius = PSVUtils.projectAngle(THREE.Math.degToRad(vFov) / 2, projection) * this.prop.aspect;
+
+  return THREE.Math.radToDeg(2 * PSVUtils.unprojectRadius(radius, projection));
+};
+
+/**
+ * @summary Plays an animation from a little planet view to the default position
+ * @returns {Promise}
+ * @fires PanoSphereViewer.intro-done
+ * @private
+ */
+PanoSphereViewer.prototype._startLittlePlanetIntro = function() {
+  var target = this.prop.projection;
+  var startPerspective = PanoSphereViewer.PROJECTIONS['little-planet'].perspective;
+
+  // the fisheye formula cannot be interpolated with a perspective, it is applied at the end
+  var endPerspective = target.equisolid ? startPerspective : target.perspective;
+
+  var endVFov = this.prop.vFov;
+
+  this.prop.projection = PSVUtils.clone(PanoSphereViewer.PROJECTIONS['little-planet']);
+  this.prop.projection.nadir = false;
+  this.prop.position.latitude = -PSVUtils.HalfPI + PanoSphereViewer.ANGLE_THRESHOLD;
+  this.prop.vFov = PanoSphereViewer.INTRO_FOV;
+  this.prop.hFov = this._getHFov(PanoSphereViewer.INTRO_FOV);
+
+  this.prop.intro_promise = PSVUtils.animation({
+    properties: {
+      lat: { start: -PSVUtils.HalfPI + PanoSphereViewer.ANGLE_THRESHOLD, end: this.config.default_lat },
+      vFov: { start: PanoSphereViewer.INTRO_FOV, end: endVFov },
+      perspective: { start: startPerspective, end: endPerspective }
+    },
+    duration: PanoSphereViewer.INTRO_DURATION,
+    easing: 'inOutQuad',
+    onTick: function(properties) {
+      this.prop.position.latitude = properties.lat;
+      this.prop.vFov = properties.vFov;
+      this.prop.hFov = this._getHFov(properties.vFov);
+      this.prop.projection.perspective = properties.perspective;
+      this.needsUpdate();
+    }.bind(this)
+  });
+
+  // the projection is restored even if the intro is cancelled
+  var done = function(completed) {
+    this.prop.projection = target;
+    this.prop.intro_promise = null;
+    this.zoom(this.prop.zoom_lvl);
+
+    // the automatic rotation is delayed until the end of the intro
+    if (completed && this.config.time_anim !== false) {
+      this.prop.start_timeout = window.setTimeout(this.startAutorotate.bind(this), this.config.time_anim);
+    }
+
+    /**
+     * @event intro-done
+     * @memberof PanoSphereViewer
+     * @summary Triggered when the little planet intro is finished or cancelled
+     */
+    this.trigger('intro-done');
+  }.bind(this);
+
+  return this.prop.intro_promise.then(
+    function() {
+      done(true);
+    },
+    function() {
+      done(false);
+    }
+  );
+};
@@ -31,6 +31,142 @@ PanoSphereViewer.prototype.getZoomLevel = function() {
   return this.prop.zoom_lvl;
 };
 
+/**
+ * @summary Returns a snapshot of the viewer which can be restored with {@link PanoSphereViewer#setState}
+ * @returns {PanoSphereViewer.ViewerState}
+ */
+PanoSphereViewer.prototype.getState = function() {
+  var panorama = this.config.panorama;
+  var state = {
+    panorama: panorama !== undefined && panorama !== null && PSVUtils.isSerializable(panorama) ? PSVUtils.clone(panorama) : null,
+    position: this.getPosition(),
+    zoom: this.getZoomLevel(),
+    visible_markers: [],
+    hidden_layers: Object.keys(this.hud.prop.hiddenLayers),
+    selected_marker: this.hud.currentMarker ? this.hud.currentMarker.id : null,
+    autorotate: this.isAutorotateEnabled(),
+    gyroscope: this.isGyroscopeEnabled(),
+    panel: null
+  };
+
+  if (this.hud.prop.panelOpened) {
+    state.panel = { type: 'markers-list' };
+  }
+  else if (this.hud.editor && this.hud.editor.selectedMarker) {
+    state.panel = { type: 'marker-editor', marker: this.hud.editor.selectedMarker.id };
+  }
+  else if (this.hud.prop.panelMarker) {
+    state.panel = { type: 'marker', marker: this.hud.prop.panelMarker.id };
+  }
+
+  if (this.tour && this.tour.currentScene) {
+    state.scene = this.tour.currentScene.id;
+  }
+
+  PSVUtils.forEach(this.hud.markers, function(marker, id) {
+    if (marker.visible) {
+      state.visible_markers.push(id);
+    }
+  });
+
+  return state;
+};
+
+/**
+ * @summary Restores a snapshot returned by {@link PanoSphereViewer#getState}
+ * @description The scene or the panorama is loaded if it changed, the missing properties are not changed,
+ * the markers which are not in the snapshot are hidden
+ * @param {PanoSphereViewer.ViewerState} state
+ * @returns {Promise}
+ * @throws {PSVError} when another panorama is already loading
+ */
+PanoSphereViewer.prototype.setState = function(state) {
+  var loading;
+
+  if (state.scene !== undefined && this.tour) {
+    loading = !this.tour.currentScene || this.tour.currentScene.id !== state.scene ?
+      this.tour.goToScene(state.scene) : D.resolved();
+  }
+  else if (state.panorama && !this._isSamePanorama(state.panorama, this.config.panorama)) {
+    loading = this.setPanorama(state.panorama, {
+      position: state.position ? PSVUtils.clone(state.position) : undefined,
+      transition: false
+    });
+  }
+  else {
+    loading = D.resolved();
+  }
+
+  return loading.then(function() {
+    if (state.position) {
+      this.rotate(PSVUtils.clone(state.position));
+    }
+
+    if (state.zoom !== undefined) {
+      this.zoom(state.zoom);
+    }
+
+    if (state.visible_markers) {
+      PSVUtils.forEach(this.hud.markers, function(marker, id) {
+        marker.visible = state.visible_markers.indexOf(id) !== -1;
+      });
+      this.hud.renderMarkers();
+    }
+
+    if (state.hidden_layers) {
+      this.hud.prop.hiddenLayers = Object.create(null);
+      state.hidden_layers.forEach(function(layer) {
+        this.hud.prop.hiddenLayers[layer] = true;
+      }, this);
+      this.hud.renderMarkers();
+    }
+
+    if (state.selected_marker !== undefined) {
+      this.hud.currentMarker = state.selected_marker ? this.hud.markers[state.selected_marker] || null : null;
+    }
+
+    if (state.autorotate === false && this.isAutorotateEnabled()) {
+      this.stopAutorotate();
+    }
+    if (state.gyroscope === false && this.isGyroscopeEnabled()) {
+      this.stopGyroscopeControl();
+    }
+    if (state.autorotate && !this.isAutorotateEnabled()) {
+      this.startAutorotate();
+    }
+    if (state.gyroscope && !this.isGyroscopeEnabled()) {
+      this.startGyroscopeControl();
+    }
+
+    if (state.panel !== undefined) {
+      this._setPanelState(state.panel);
+    }
+  }.bind(this));
+};
+
+/**
+ * @summary Reopens the side panel described by {@link PanoSphereViewer#getState} with the component which owns it,
+ * the panel is closed if its content cannot be displayed anymore
+ * @param {PanoSphereViewer.PanelState} panel
+ * @private
+ */
+PanoSphereViewer.prototype._setPanelState = function(panel) {
+  var marker = panel && panel.marker !== undefined ? this.hud.markers[panel.marker] : null;
+
+  if (panel && panel.type === 'markers-list') {
+    this.hud.showMarkersList();
+  }
+  else if (panel && panel.type === 'marker-editor' && marker && this.hud.editor) {
+    this.hud.editor.select(marker);
+  }
+  else if (panel && panel.type === 'marker' && marker && marker.content) {
+    this.hud.showMarkerPanel(marker);
+  }
+  else if (this.panel.prop.opened) {
+    this.panel.hidePanel();
+  }
+};
+
 /**
  * @summary Returns the current viewer size
  * @returns {PanoSphereViewer.Size}
@@ -42,6 +178,14 @@ PanoSphereViewer.prototype.getSize = function() {
   };
 };
 
+/**
+ * @summary Returns the XMP and EXIF metadata of the current panorama
+ * @returns {PanoSphereViewer.PanoramaMetadata} null if the panorama has no metadata or is not an equirectangular image
+ */
+PanoSphereViewer.prototype.getPanoramaMetadata = function() {
+  return this.prop.metadata;
+};
+
 /**
  * @summary Checks if the automatic rotation is enabled
  * @returns {boolean}
@@ -99,6 +243,7 @@ PanoSphereViewer.prototype.destroy = function() {
   this._stopAll();
   this.stopKeyboardControl();
   this.stopNoSleep();
+  this.cancelPreload();
 
   if (this.isFullscreenEnabled()) {
     PSVUtils.exitFullscreen();
@@ -107,6 +252,10 @@ PanoSphereViewer.prototype.destroy = function() {
   // remove listeners
   this._unbindEvents();
 
+  if (this.prop.url_hash_listener) {
+    this._unbindUrlHash();
+  }
+
   // destroy components
   if (this.tooltip) {
     this.tooltip.destroy();
@@ -120,6 +269,15 @@ PanoSphereViewer.prototype.destroy = function() {
   if (this.loader) {
     this.loader.destroy();
   }
+  if (this.errorOverlay) {
+    this.errorOverlay.destroy();
+  }
+  if (this.minimap) {
+    this.minimap.destroy();
+  }
+  if (this.tour) {
+    this.tour.destroy();
+  }
   if (this.navbar) {
     this.navbar.destroy();
   }
@@ -128,6 +286,15 @@ PanoSphereViewer.prototype.destroy = function() {
   }
 
   // destroy ThreeJS view
+  if (this.cache) {
+    this.cache.clear();
+  }
+
+  this._clearTiles();
+  this._clearVideo();
+
+  this._destroyProjectionPass();
+
   if (this.scene) {
     PSVUtils.cleanTHREEScene(this.scene);
   }
@@ -144,8 +311,11 @@ PanoSphereViewer.prototype.destroy = function() {
   delete this.parent;
   delete this.container;
   delete this.loader;
+  delete this.errorOverlay;
   delete this.navbar;
   delete this.hud;
+  delete this.tour;
+  delete this.minimap;
   delete this.panel;
   delete this.tooltip;
   delete this.notification;
@@ -157,87 +327,253 @@ PanoSphereViewer.prototype.destroy = function() {
   delete this.mesh;
   delete this.raycaster;
   delete this.passes;
+  delete this.cache;
   delete this.config;
-  this.prop.cache.length = 0;
 };
 
 /**
  * @summary Loads a new panorama file
  * @description Loads a new panorama file, optionally changing the camera position and activating the transition animation.<br>
  * If the "position" is not defined, the camera will not move and the ongoing animation will continue<br>
- * "config.transition" must be configured for "transition" to be taken in account
- * @param {string|string[]} path - URL of the new panorama file
- * @param {PanoSphereViewer.ExtendedPosition} [position]
- * @param {boolean} [transition=false]
+ * The second parameter can also be an object of options, the options of {@link PanoSphereViewer.PANORAMA_OPTIONS} then replace the configuration for this panorama,
+ * they are validated like the configuration and applied when the panorama is displayed, "caption" and "markers" replace the current ones if defined<br>
+ * "config.transition" must be configured for "transition" to be taken in account, "transition" can also be an effect or overrides of "config.transition"<br>
+ * Transitions are not available from or to a tiled or video panorama<br>
+ * If "config.abort_loading" is enabled, a loading in progress is aborted and its promise is rejected with a {@link PSVAbortError}<br>
+ * If the panorama cannot be loaded, the previous one stays displayed, an error is shown and the promise is rejected with a {@link PSVLoadError}<br>
+ * If the panorama cannot be displayed by the viewer (cubemap instead of equirectangular or the contrary), the previous one stays displayed
+ * and the promise is rejected with a {@link PSVError}
+ * @param {string|string[]|PanoSphereViewer.ImageSource|PanoSphereViewer.TilesPanorama|PanoSphereViewer.VideoPanorama|HTMLVideoElement} path - URL of the new panorama file or in-memory image
+ * @param {PanoSphereViewer.ExtendedPosition|Object} [position] - or options
+ * @param {PanoSphereViewer.ExtendedPosition} [position.position]
+ * @param {boolean|string|PanoSphereViewer.TransitionEffect|Object} [position.transition]
+ * @param {Array.<string|number>} [position.longitude_range]
+ * @param {Array.<string|number>} [position.latitude_range]
+ * @param {int} [position.min_fov]
+ * @param {int} [position.max_fov]
+ * @param {Object} [position.sphere_correction]
+ * @param {PanoSphereViewer.PanoData} [position.pano_data]
+ * @param {string} [position.caption]
+ * @param {Object[]} [position.markers]
+ * @param {boolean|string|PanoSphereViewer.TransitionEffect|Object} [transition=false] - e.g. `{effect: 'zoom', target: hotspotPosition}`
  * @returns {Promise}
- * @throws {PSVError} when another panorama is already loading
+ * @fires PanoSphereViewer.panorama-error
+ * @throws {PSVError} when another panorama is already loading or a marker is incorrect
  */
 PanoSphereViewer.prototype.setPanorama = function(path, position, transition) {
-  if (this.prop.loading_promise !== null) {
+  if (this.prop.loading_promise !== null && !this.config.abort_loading) {
     throw new PSVError('Loading already in progress');
   }
 
-  if (typeof position === 'boolean') {
+  if (typeof position === 'boolean' || this._isTransitionEffect(position)) {
     transition = position;
     position = undefined;
   }
 
-  if (transition && this.prop.isCubemap) {
-    throw new PSVError('Transition is not available with cubemap.');
+  var options = this._isPanoramaOptions(position) ? position : {
+    position: position,
+    transition: transition
+  };
+
+  position = options.position;
+  transition = options.transition;
+
+  // the options are validated before anything changes, the current panorama stays untouched if they are incorrect
+  var config = this._getPanoramaOptions(options);
+
+  if (this.prop.loading_promise !== null) {
+    this.abortLoading();
   }
 
   if (position) {
     this.cleanPosition(position);
+    this.applyRanges(position, config);
 
     this._stopAll();
   }
 
+  // computed before the loading, the target can be expressed in texture coordinates of the current panorama
+  var transitionOptions = transition && this.config.transition ? this._getTransitionOptions(transition) : null;
+
+  // the previous panorama stays displayed if the loading does not complete
+  var previous = {
+    panorama: this.config.panorama,
+    config_pano_data: this.config.pano_data,
+    pano_data: this.prop.pano_data,
+    metadata: this.prop.metadata
+  };
+
+  var restore = function() {
+    this.config.panorama = previous.panorama;
+    this.config.pano_data = previous.config_pano_data;
+    this.prop.pano_data = previous.pano_data;
+    this.prop.metadata = previous.metadata;
+  }.bind(this);
+
   this.config.panorama = path;
 
-  if (!transition || !this.config.transition || !this.scene) {
+  // the crop information is used by the loader
+  this.config.pano_data = config.pano_data;
+
+  this.errorOverlay.hideError();
+
+  // the preloads would slow down the loading
+  this._pausePreloads();
+
+  var defer = D();
+  var aborted = false;
+  var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  var signal = controller ? controller.signal : undefined;
+  var loading;
+
+  // the options of the new panorama are applied when it is displayed
+  var display = function() {
+    this._applyPanoramaOptions(config);
+
+    if (position) {
+      this.rotate(position);
+    }
+    else if (config.longitude_range || config.latitude_range) {
+      this.rotate(this.getPosition());
+    }
+  }.bind(this);
+
+  var abort = function() {
+    aborted = true;
+
+    if (controller) {
+      controller.abort();
+    }
+
+    restore();
+    defer.reject(new PSVAbortError());
+  };
+
+  if (!transitionOptions || !this.scene ||
+    this.prop.tiles || this._isTiledPanorama(path) || this.prop.video || this._isVideoPanorama(path)) {
     this.loader.show();
     if (this.canvas_container) {
       this.canvas_container.style.opacity = 0;
     }
 
-    this.prop.loading_promise = this._loadTexture(this.config.panorama)
+    loading = this._loadTextureWithRetry(this.config.panorama, signal)
       .then(function(texture) {
-        this._setTexture(texture);
-
-        if (position) {
-          this.rotate(position);
+        if (aborted) {
+          return;
         }
-      }.bind(this))
-      .ensure(function() {
-        this.loader.hide();
-        this.canvas_container.style.opacity = 1;
 
-        this.prop.loading_promise = null;
-      }.bind(this))
-      .rethrow();
+        this._setTexture(texture);
+
+        display();
+      }.bind(this));
   }
   else {
-    if (this.config.transition.loader) {
+    if (transitionOptions.loader) {
       this.loader.show();
     }
 
-    this.prop.loading_promise = this._loadTexture(this.config.panorama)
+    loading = this._loadTextureWithRetry(this.config.panorama, signal)
       .then(function(texture) {
-        this.loader.hide();
+        if (aborted) {
+          return;
+        }
 
-        return this._transition(texture, position);
-      }.bind(this))
-      .ensure(function() {
         this.loader.hide();
 
-        this.prop.loading_promise = null;
-      }.bind(this))
-      .rethrow();
+        return this._transition(texture, position, signal, transitionOptions, display);
+      }.bind(this));
   }
 
+  loading.then(defer.resolve, defer.reject);
+
+  this.prop.loading_abort = abort;
+
+  this.prop.loading_promise = defer.promise
+    .ensure(function() {
+      // the state has already been reset by abortLoading
+      if (aborted) {
+        return;
+      }
+
+      this.loader.hide();
+      if (this.canvas_container) {
+        this.canvas_container.style.opacity = 1;
+      }
+
+      this.prop.loading_promise = null;
+      this.prop.loading_abort = null;
+
+      this._loadNextPreloads();
+    }.bind(this))
+    .then(undefined, function(e) {
+      if (e instanceof PSVAbortError) {
+        throw e;
+      }
+
+      restore();
+
+      // the panorama cannot be displayed by the viewer
+      if (e instanceof PSVError && !(e instanceof PSVLoadError)) {
+        throw e;
+      }
+
+      // unexpected errors are also thrown outside of the promise, which stays rejected
+      if (!(e instanceof PSVLoadError)) {
+        D.rejected(e).rethrow();
+        throw e;
+      }
+
+      this.errorOverlay.showError(e, function() {
+        this.setPanorama(path, options);
+      }.bind(this));
+
+      /**
+       * @event panorama-error
+       * @memberof PanoSphereViewer
+       * @summary Triggered when a panorama cannot be loaded, after all retries, the previous panorama stays displayed
+       * @param {*} panorama
+       * @param {PSVLoadError} error - contains the URL and the cause of the failure
+       */
+      this.trigger('panorama-error', path, e);
+
+      throw e;
+    }.bind(this));
+
   return this.prop.loading_promise;
 };
 
+/**
+ * @summary Aborts the loading of the panorama in progress, the current panorama stays displayed
+ * @fires PanoSphereViewer.panorama-load-aborted
+ */
+PanoSphereViewer.prototype.abortLoading = function() {
+  if (!this.prop.loading_abort) {
+    return;
+  }
+
+  var panorama = this.config.panorama;
+
+  this.prop.loading_abort();
+
+  this.prop.loading_promise = null;
+  this.prop.loading_abort = null;
+
+  this._loadNextPreloads();
+
+  this.loader.hide();
+  if (this.canvas_container) {
+    this.canvas_container.style.opacity = 1;
+  }
+
+  /**
+   * @event panorama-load-aborted
+   * @memberof PanoSphereViewer
+   * @summary Triggered when the loading of a panorama is aborted
+   * @param {*} panorama
+   */
+  this.trigger('panorama-load-aborted', panorama);
+};
+
 /**
  * @summary Starts the automatic rotation
  * @fires PanoSphereViewer.autorotate
@@ -504,6 +840,95 @@ PanoSphereViewer.prototype.toggleStereoView = function() {
   }
 };
 
+/**
+ * @summary Returns the video element of the current panorama
+ * @returns {HTMLVideoElement|null}
+ */
+PanoSphereViewer.prototype.getVideo = function() {
+  return this.prop.video;
+};
+
+/**
+ * @summary Checks if the video panorama is playing
+ * @returns {boolean}
+ */
+PanoSphereViewer.prototype.isVideoPlaying = function() {
+  return !!this.prop.video && !this.prop.video.paused && !this.prop.video.ended;
+};
+
+/**
+ * @summary Starts the video panorama
+ * @fires PanoSphereViewer.video-play
+ * @throws {PSVError} if the panorama is not a video
+ */
+PanoSphereViewer.prototype.playVideo = function() {
+  var result = this._getCurrentVideo().play();
+
+  // browsers can prevent the video from starting without user interaction
+  if (result && result.then) {
+    result.then(null, function(e) {
+      console.warn('PanoSphereViewer: cannot play the video, ' + e.message);
+    });
+  }
+};
+
+/**
+ * @summary Pauses the video panorama
+ * @fires PanoSphereViewer.video-pause
+ * @throws {PSVError} if the panorama is not a video
+ */
+PanoSphereViewer.prototype.pauseVideo = function() {
+  this._getCurrentVideo().pause();
+};
+
+/**
+ * @summary Starts or pauses the video panorama
+ * @throws {PSVError} if the panorama is not a video
+ */
+PanoSphereViewer.prototype.toggleVideoPlay = function() {
+  if (this.isVideoPlaying()) {
+    this.pauseVideo();
+  }
+  else {
+    this.playVideo();
+  }
+};
+
+/**
+ * @summary Moves the video panorama to a specific time
+ * @param {float} time - in seconds
+ * @fires PanoSphereViewer.video-progress
+ * @throws {PSVError} if the panorama is not a video
+ */
+PanoSphereViewer.prototype.seekVideo = function(time) {
+  var video = this._getCurrentVideo();
+
+  video.currentTime = PSVUtils.bound(time, 0, video.duration || 0);
+  this.needsUpdate();
+};
+
+/**
+ * @summary Changes the volume of the video panorama
+ * @param {float} volume - between 0 and 1
+ * @fires PanoSphereViewer.video-volume-updated
+ * @throws {PSVError} if the panorama is not a video
+ */
+PanoSphereViewer.prototype.setVideoVolume = function(volume) {
+  this._getCurrentVideo().volume = PSVUtils.bound(volume, 0, 1);
+};
+
+/**
+ * @summary Mutes or unmutes the video panorama
+ * @param {boolean} [muted] - forced state
+ * @fires PanoSphereViewer.video-volume-updated
+ * @throws {PSVError} if the panorama is not a video
+ */
+PanoSphereViewer.prototype.toggleVideoMute = function(muted) {
+  var video = this._getCurrentVideo();
+
+  video.muted = muted === undefined ? !video.muted : !!muted;
+};
+
 /**
  * @summary Rotates the view to specific longitude and latitude
  * @param {PanoSphereViewer.ExtendedPosition} position
@@ -586,13 +1011,17 @@ PanoSphereViewer.prototype.animate = function(position, duration) {
 };
 
 /**
- * @summary Stops the ongoing animation
+ * @summary Stops the ongoing animation, including the little planet intro
  */
 PanoSphereViewer.prototype.stopAnimation = function() {
   if (this.prop.animation_promise) {
     this.prop.animation_promise.cancel();
     this.prop.animation_promise = null;
   }
+
+  if (this.prop.intro_promise) {
+    this.prop.intro_promise.cancel();
+  }
 };
 
 /**
@@ -603,7 +1032,7 @@ PanoSphereViewer.prototype.stopAnimation = function() {
 PanoSphereViewer.prototype.zoom = function(level) {
   this.prop.zoom_lvl = PSVUtils.bound(Math.round(level), 0, 100);
   this.prop.vFov = this.config.max_fov + (this.prop.zoom_lvl / 100) * (this.config.min_fov - this.config.max_fov);
-  this.prop.hFov = THREE.Math.radToDeg(2 * Math.atan(Math.tan(THREE.Math.degToRad(this.prop.vFov) / 2) * this.prop.aspect));
+  this.prop.hFov = this._getHFov(this.prop.vFov);
   this.needsUpdate();
 
   /**
@@ -684,21 +1113,76 @@ PanoSphereViewer.prototype.stopKeyboardControl = function() {
 
 /**
  * @summary Preload a panorama file without displaying it
- * @param {string} panorama
- * @returns {Promise}
- * @throws {PSVError} when the cache is disabled
+ * @description The panoramas are queued and loaded by order of priority, a few at a time. The queue is paused while a panorama is loading with {@link PanoSphereViewer#setPanorama}.<br>
+ * Without "config.cache_texture" the file is only kept by the browser or the persistent cache.<br>
+ * Preloading a queued panorama again updates its priority if higher and returns the same promise.
+ * @param {string|string[]|PanoSphereViewer.ImageSource} panorama - equirectangular or cubemap
+ * @param {int} [priority=0] - higher priorities are loaded first
+ * @returns {Promise.<THREE.Texture|THREE.Texture[]>} rejected with a {@link PSVAbortError} if cancelled
+ * @throws {PSVError} when the panorama is tiled or a video
  */
-PanoSphereViewer.prototype.preloadPanorama = function(panorama) {
-  if (!this.config.cache_texture) {
-    throw new PSVError('Cannot preload panorama, cache_texture is disabled');
+PanoSphereViewer.prototype.preloadPanorama = function(panorama, priority) {
+  if (this._isTiledPanorama(panorama) || this._isVideoPanorama(panorama)) {
+    throw new PSVError('Cannot preload tiled or video panorama');
+  }
+
+  panorama = this._normalizePanorama(panorama);
+  priority = priority || 0;
+
+  var item = this._findPreload(panorama);
+
+  if (item) {
+    if (priority > item.priority) {
+      item.priority = priority;
+
+      var index = this.prop.preload.queue.indexOf(item);
+      if (index !== -1) {
+        this.prop.preload.queue.splice(index, 1);
+        this._queuePreload(item);
+      }
+    }
+
+    return item.defer.promise;
   }
 
-  return this._loadTexture(panorama);
+  item = {
+    panorama: panorama,
+    priority: priority,
+    defer: D(),
+    controller: null,
+    run: null
+  };
+
+  this._queuePreload(item);
+  this._loadNextPreloads();
+
+  return item.defer.promise;
 };
 
 /**
- * @summary Removes a panorama from the cache or clears the entire cache
- * @param {string} [panorama]
+ * @summary Removes a panorama from the preload queue or cancels all the preloads
+ * @description The loadings in progress are aborted, the promises are rejected with a {@link PSVAbortError}
+ * @param {string|string[]|PanoSphereViewer.ImageSource} [panorama]
+ */
+PanoSphereViewer.prototype.cancelPreload = function(panorama) {
+  var items;
+
+  if (panorama) {
+    items = [this._findPreload(this._normalizePanorama(panorama))].filter(Boolean);
+  }
+  else {
+    items = this.prop.preload.queue.concat(this.prop.preload.loading);
+  }
+
+  items.forEach(function(item) {
+    this._cancelPreload(item);
+  }, this);
+};
+
+/**
+ * @summary Removes a panorama from the cache or clears the entire cache, the textures are released
+ * @param {string|string[]|PanoSphereViewer.ImageSource} [panorama]
+ * @fires PanoSphereViewer.cache-evicted
  * @throws {PSVError} when the cache is disabled
  */
 PanoSphereViewer.prototype.clearPanoramaCache = function(panorama) {
@@ -707,21 +1191,16 @@ PanoSphereViewer.prototype.clearPanoramaCache = function(panorama) {
   }
 
   if (panorama) {
-    for (var i = 0, l = this.prop.cache.length; i < l; i++) {
-      if (this.prop.cache[i].panorama === panorama) {
-        this.prop.cache.splice(i, 1);
-        break;
-      }
-    }
+    this.cache.remove(this._normalizePanorama(panorama));
   }
   else {
-    this.prop.cache.length = 0;
+    this.cache.clear();
   }
 };
 
 /**
- * @summary Retrieves the cache for a panorama
- * @param {string} panorama
+ * @summary Retrieves the cache for a panorama and marks it as recently used
+ * @param {string|string[]|PanoSphereViewer.ImageSource} panorama
  * @returns {PanoSphereViewer.CacheItem}
  * @throws {PSVError} when the cache is disabled
  */
@@ -730,7 +1209,112 @@ PanoSphereViewer.prototype.getPanoramaCache = function(panorama) {
     throw new PSVError('Cannot query cache, cache_texture is disabled');
   }
 
-  return this.prop.cache.filter(function(cache) {
-    return cache.panorama === panorama;
-  }).shift();
+  return this.cache.get(this._normalizePanorama(panorama));
+};
+
+/**
+ * @summary Downloads panoramas in the persistent cache, in order to display them offline
+ * @param {Array.<string|string[]|Object.<string, string>>} panoramas - equirectangular or cubemap URLs, tiled and video panoramas are ignored
+ * @returns {Promise.<string[]>} resolved with the URLs which cannot be downloaded
+ * @fires PanoSphereViewer.download-progress
+ * @throws {PSVError} when the persistent cache is disabled
+ */
+PanoSphereViewer.prototype.downloadPanoramas = function(panoramas) {
+  if (!this.store) {
+    throw new PSVError('Cannot download panoramas, persistent_cache is disabled');
+  }
+
+  var urls = [];
+  var equirectangulars = [];
+
+  panoramas.forEach(function(panorama) {
+    panorama = this._normalizePanorama(panorama);
+
+    if (typeof panorama === 'string' && !this._isVideoPanorama(panorama)) {
+      equirectangulars.push(panorama);
+    }
+
+    (Array.isArray(panorama) ? panorama : [panorama]).forEach(function(url) {
+      if (typeof url === 'string' && !this._isVideoPanorama(url) && urls.indexOf(url) === -1) {
+        urls.push(url);
+      }
+    }, this);
+  }, this);
+
+  var defer = D();
+  var progress = urls.map(function() {
+    return 0;
+  });
+  var queue = urls.slice();
+  var failed = [];
+  var running = 0;
+  var done = 0;
+
+  var report = function() {
+    /**
+     * @event download-progress
+     * @memberof PanoSphereViewer
+     * @summary Triggered while panoramas are downloaded in the persistent cache
+     * @param {int} progress - aggregated progress of all files, from 0 to 100
+     * @param {int} done - number of finished files
+     * @param {int} total - number of files
+     */
+    this.trigger('download-progress', urls.length ? Math.round(PSVUtils.sum(progress) / urls.length) : 100, done, urls.length);
+  }.bind(this);
+
+  var download = function(url) {
+    var i = urls.indexOf(url);
+
+    running++;
+
+    this._loadStoredFile(url, function(e) {
+      if (e.lengthComputable) {
+        progress[i] = e.loaded / e.total * 100;
+        report();
+      }
+    })
+      .then(function(record) {
+        if (equirectangulars.indexOf(url) !== -1) {
+          return this._loadStoredMetadata(record);
+        }
+      }.bind(this))
+      .then(undefined, function() {
+        failed.push(url);
+      })
+      .ensure(function() {
+        running--;
+        done++;
+        progress[i] = 100;
+        report();
+        next();
+      });
+  }.bind(this);
+
+  var next = function() {
+    if (!queue.length && !running) {
+      defer.resolve(failed);
+    }
+
+    while (queue.length && running < PanoSphereViewer.DOWNLOAD_CONCURRENCY) {
+      download(queue.shift());
+    }
+  };
+
+  report();
+  next();
+
+  return defer.promise;
+};
+
+/**
+ * @summary Removes all files from the persistent cache
+ * @returns {Promise}
+ * @throws {PSVError} when the persistent cache is disabled
+ */
+PanoSphereViewer.prototype.clearPersistentCache = function() {
+  if (!this.store) {
+    throw new PSVError('Cannot clear persistent cache, persistent_cache is disabled');
+  }
+
+  return this.store.clear();
 };
@@ -0,0 +1,185 @@
+/**
+ * @summary Returns the URL to request, after the `request.rewrite_url` hook
+ * @param {string} url
+ * @returns {string}
+ * @private
+ */
+PanoSphereViewer.prototype._getRequestUrl = function(url) {
+  var rewrite = this.config.request.rewrite_url;
+
+  return rewrite ? rewrite(url) : url;
+};
+
+/**
+ * @summary Returns the CORS mode used for images and videos elements
+ * @returns {string}
+ * @private
+ */
+PanoSphereViewer.prototype._getCrossOrigin = function() {
+  var request = this.config.request;
+
+  if (request.credentials) {
+    return 'use-credentials';
+  }
+
+  return request.cross_origin || undefined;
+};
+
+/**
+ * @summary Returns the headers sent with a request
+ * @param {string} url - rewritten URL
+ * @returns {Object.<string, string>}
+ * @private
+ */
+PanoSphereViewer.prototype._getRequestHeaders = function(url) {
+  var headers = this.config.request.headers;
+
+  if (typeof headers === 'function') {
+    headers = headers(url);
+  }
+
+  return headers || {};
+};
+
+/**
+ * @summary Performs an HTTP GET with the request options
+ * @param {string} url
+ * @param {string} responseType
+ * @param {Object.<string, string>} [headers] - additional headers
+ * @param {function} [onprogress]
+ * @param {AbortSignal} [signal]
+ * @returns {Promise.<*>} the response, rejected with a {@link PSVLoadError} on HTTP errors
+ * @private
+ */
+PanoSphereViewer.prototype._request = function(url, responseType, headers, onprogress, signal) {
+  var defer = D();
+  var xhr = new XMLHttpRequest();
+  var requestUrl = this._getRequestUrl(url);
+
+  headers = PSVUtils.deepmerge(PSVUtils.clone(this._getRequestHeaders(requestUrl)), headers || {});
+
+  xhr.onload = function() {
+    if (signal && signal.aborted) {
+      return;
+    }
+
+    // status 0 is returned for local files
+    if ((xhr.status >= 200 && xhr.status < 300) || xhr.status === 0) {
+      defer.resolve(xhr.response);
+    }
+    else {
+      defer.reject(new PSVLoadError('Cannot load file', url, xhr.status));
+    }
+  };
+
+  xhr.onerror = function(e) {
+    if (signal && signal.aborted) {
+      return;
+    }
+
+    defer.reject(new PSVLoadError('Cannot load file', url, e));
+  };
+
+  if (onprogress) {
+    xhr.onprogress = onprogress;
+  }
+
+  xhr.open('GET', requestUrl, true);
+  xhr.responseType = responseType;
+  xhr.withCredentials = !!this.config.request.credentials;
+
+  Object.keys(headers).forEach(function(name) {
+    xhr.setRequestHeader(name, headers[name]);
+  });
+
+  xhr.send(null);
+
+  PSVUtils.onAbort(signal, function() {
+    xhr.abort();
+    defer.reject(new PSVAbortError());
+  });
+
+  return defer.promise;
+};
+
+/**
+ * @summary Loads an image with the request options
+ * @description Images are read from the persistent cache if enabled, downloaded with an XMLHttpRequest when headers are configured, with an image element otherwise
+ * @param {string} url
+ * @param {function} [onprogress]
+ * @param {AbortSignal} [signal]
+ * @param {boolean} [persistent=true] - uses the persistent cache, the tiles are only kept by the browser cache
+ * @returns {Promise.<HTMLImageElement>} rejected with a {@link PSVLoadError} if the image cannot be loaded
+ * @private
+ */
+PanoSphereViewer.prototype._loadImage = function(url, onprogress, signal, persistent) {
+  if (this.store && persistent !== false) {
+    return this._loadStoredFile(url, onprogress, signal)
+      .then(function(record) {
+        return this._loadImageBlob(record.blob, url);
+      }.bind(this));
+  }
+
+  if (this.config.request.headers) {
+    return this._request(url, 'blob', null, onprogress, signal)
+      .then(function(blob) {
+        return this._loadImageBlob(blob, url);
+      }.bind(this));
+  }
+
+  var defer = D();
+  var loader = new THREE.ImageLoader();
+
+  loader.setCrossOrigin(this._getCrossOrigin());
+
+  var img = loader.load(
+    this._getRequestUrl(url),
+    function(img) {
+      if (signal && signal.aborted) {
+        return;
+      }
+
+      defer.resolve(img);
+    },
+    onprogress,
+    function(e) {
+      if (signal && signal.aborted) {
+        return;
+      }
+
+      defer.reject(new PSVLoadError('Cannot load image', url, e));
+    }
+  );
+
+  PSVUtils.onAbort(signal, function() {
+    img.src = '';
+    defer.reject(new PSVAbortError());
+  });
+
+  return defer.promise;
+};
+
+/**
+ * @summary Decodes a downloaded image
+ * @description Decoded as an image element and not an ImageBitmap, in order to keep the textures orientation
+ * @param {Blob} blob
+ * @param {string} url - used in errors
+ * @returns {Promise.<HTMLImageElement>}
+ * @private
+ */
+PanoSphereViewer.prototype._loadImageBlob = function(blob, url) {
+  var defer = D();
+  var img = document.createElement('img');
+
+  img.onload = function() {
+    URL.revokeObjectURL(img.src);
+    defer.resolve(img);
+  };
+  img.onerror = function(e) {
+    URL.revokeObjectURL(img.src);
+    defer.reject(new PSVLoadError('Cannot load image', url, e));
+  };
+  img.src = URL.createObjectURL(blob);
+
+  return defer.promise;
+};
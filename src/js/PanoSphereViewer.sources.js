@@ -0,0 +1,80 @@
+/**
+ * @typedef {Blob|File|ImageBitmap|HTMLCanvasElement} PanoSphereViewer.ImageSource
+ * @summary In-memory image usable instead of an URL for equirectangular panoramas and cubemap faces
+ */
+
+/**
+ * @summary Checks if a panorama is an in-memory image
+ * @param {*} panorama
+ * @returns {boolean}
+ * @private
+ */
+PanoSphereViewer.prototype._isImageSource = function(panorama) {
+  return (typeof Blob !== 'undefined' && panorama instanceof Blob) ||
+    PSVUtils.isImageBitmap(panorama) ||
+    (typeof HTMLCanvasElement !== 'undefined' && panorama instanceof HTMLCanvasElement);
+};
+
+/**
+ * @summary Returns a drawable image from an in-memory image
+ * @description Blobs are decoded with `createImageBitmap` if available, with a data URL otherwise
+ * @param {PanoSphereViewer.ImageSource} source
+ * @returns {Promise.<ImageBitmap|HTMLCanvasElement|HTMLImageElement>}
+ * @private
+ */
+PanoSphereViewer.prototype._loadImageSource = function(source) {
+  if (typeof Blob === 'undefined' || !(source instanceof Blob)) {
+    return D.resolved(source);
+  }
+
+  var defer = D();
+
+  if (window.createImageBitmap) {
+    window.createImageBitmap(source).then(defer.resolve, defer.reject);
+  }
+  else {
+    var reader = new FileReader();
+
+    reader.onload = function() {
+      var img = document.createElement('img');
+      img.onload = function() {
+        defer.resolve(img);
+      };
+      img.onerror = defer.reject;
+      img.src = reader.result;
+    };
+    reader.onerror = defer.reject;
+
+    reader.readAsDataURL(source);
+  }
+
+  return defer.promise;
+};
+
+/**
+ * @summary Returns the key used to identify a panorama in the cache
+ * @description Files are identified by their name, size and date, in order to match a file selected twice,
+ *     other in-memory images are identified by reference, except canvas which may be redrawn at any moment<br>
+ *     Cubemaps, already ordered with {@link PanoSphereViewer#_normalizeCubemap}, are identified by the keys of their faces
+ * @param {string|string[]|PanoSphereViewer.ImageSource} panorama
+ * @returns {*} null if the panorama cannot be cached
+ * @private
+ */
+PanoSphereViewer.prototype._getPanoramaCacheKey = function(panorama) {
+  if (Array.isArray(panorama)) {
+    var keys = panorama.map(this._getPanoramaCacheKey, this);
+
+    return keys.indexOf(null) === -1 ? keys : null;
+  }
+  if (!panorama || this._isTiledPanorama(panorama) || this._isVideoPanorama(panorama)) {
+    return null;
+  }
+  if (typeof File !== 'undefined' && panorama instanceof File) {
+    return 'file:' + panorama.name + ':' + panorama.size + ':' + panorama.lastModified;
+  }
+  if (typeof HTMLCanvasElement !== 'undefined' && panorama instanceof HTMLCanvasElement) {
+    return null;
+  }
+
+  return panorama;
+};
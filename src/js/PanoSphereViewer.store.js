@@ -0,0 +1,71 @@
+/**
+ * @summary Returns a file from the persistent cache, downloads and stores it if missing
+ * @description The database errors are ignored, the file is then downloaded without being stored
+ * @param {string} url
+ * @param {function} [onprogress]
+ * @param {AbortSignal} [signal]
+ * @returns {Promise.<PSVStore.Record>}
+ * @private
+ */
+PanoSphereViewer.prototype._loadStoredFile = function(url, onprogress, signal) {
+  return this.store.get(url)
+    .then(undefined, function(e) {
+      console.warn('PanoSphereViewer: cannot read the persistent cache', e);
+      return null;
+    })
+    .then(function(record) {
+      if (record) {
+        return record;
+      }
+
+      return this._request(url, 'blob', null, onprogress, signal)
+        .then(function(blob) {
+          record = {
+            url: url,
+            blob: blob
+          };
+
+          this._storeFile(record);
+
+          return record;
+        }.bind(this));
+    }.bind(this));
+};
+
+/**
+ * @summary Saves a file in the persistent cache, the errors are only logged
+ * @param {PSVStore.Record} record
+ * @private
+ */
+PanoSphereViewer.prototype._storeFile = function(record) {
+  this.store.put(record)
+    .then(undefined, function(e) {
+      console.warn('PanoSphereViewer: cannot write the persistent cache', e);
+    });
+};
+
+/**
+ * @summary Returns the metadata of a stored file, the headers are parsed on first use and the result is stored
+ * @description Only the metadata are written, the file may have been removed from the cache meanwhile
+ * @param {PSVStore.Record} record
+ * @param {AbortSignal} [signal]
+ * @returns {Promise.<PanoSphereViewer.PanoramaMetadata>}
+ * @private
+ */
+PanoSphereViewer.prototype._loadStoredMetadata = function(record, signal) {
+  if (record.metadata !== undefined) {
+    return D.resolved(record.metadata);
+  }
+
+  return this._loadMetadata(record.blob, signal)
+    .then(function(metadata) {
+      record.metadata = metadata;
+
+      this.store.setMetadata(record.url, metadata)
+        .then(undefined, function(e) {
+          console.warn('PanoSphereViewer: cannot write the persistent cache', e);
+        });
+
+      return metadata;
+    }.bind(this));
+};
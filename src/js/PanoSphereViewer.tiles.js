@@ -0,0 +1,717 @@
+/**
+ * @typedef {Object} PanoSphereViewer.TilesLevel
+ * @summary One resolution level of a tiled panorama
+ * @property {int} width - full width of the panorama at this level (equirectangular only)
+ * @property {int} height - full height of the panorama at this level (equirectangular only)
+ * @property {int} faceSize - size of each face of the cube at this level (cubemap only)
+ * @property {int} cols - number of columns of tiles (per face for a cubemap)
+ * @property {int} rows - number of rows of tiles (per face for a cubemap)
+ */
+
+/**
+ * @typedef {Object} PanoSphereViewer.TilesPanorama
+ * @summary Description of a multi-resolution tiled panorama
+ * @description The panorama is a cubemap if the levels are defined with `faceSize` instead of `width`
+ * @property {string|function} tileUrl - URL template of a tile, `{level}`, `{col}`, `{row}` and `{face}` are replaced,
+ *     or function called with `col`, `row`, `level` and `face`
+ * @property {string|string[]|Object} [baseUrl] - low resolution image displayed while the tiles are loading,
+ *     six images for a cubemap
+ * @property {int} [tileSize] - size of the tiles in pixels, used to compute `cols` and `rows` when not provided
+ * @property {PanoSphereViewer.TilesLevel[]} levels - resolution levels, from the lowest to the highest
+ */
+
+/**
+ * @typedef {Object} PanoSphereViewer.TilesTexture
+ * @summary Result of the loading of a tiled panorama
+ * @property {THREE.Texture|THREE.Texture[]} base - low resolution texture(s) of the whole panorama
+ * @property {Object} tiles - internal state of the tiled panorama
+ */
+
+
+/**
+ * @summary Checks if a panorama is a tiled panorama descriptor
+ * @param {*} panorama
+ * @returns {boolean}
+ * @private
+ */
+PanoSphereViewer.prototype._isTiledPanorama = function(panorama) {
+  return !!panorama && typeof panorama === 'object' && !Array.isArray(panorama) && 'tileUrl' in panorama;
+};
+
+/**
+ * @summary Checks if a tiled panorama descriptor is a cubemap
+ * @param {PanoSphereViewer.TilesPanorama} panorama
+ * @returns {boolean}
+ * @private
+ */
+PanoSphereViewer.prototype._isTiledCubemap = function(panorama) {
+  var level = panorama.levels ? panorama.levels[0] : panorama;
+  return !!level && 'faceSize' in level;
+};
+
+/**
+ * @summary Validates a tiled panorama descriptor and computes the size of each level
+ * @description For cubemaps, `width` and `height` of the returned levels are the size of one face
+ * @param {PanoSphereViewer.TilesPanorama} panorama
+ * @returns {PanoSphereViewer.TilesLevel[]}
+ * @throws {PSVError} when the descriptor is incorrect
+ * @private
+ */
+PanoSphereViewer.prototype._parseTilesLevels = function(panorama) {
+  var cubemap = this._isTiledCubemap(panorama);
+  var levels = panorama.levels || [{
+    width: panorama.width,
+    height: panorama.height,
+    faceSize: panorama.faceSize,
+    cols: panorama.cols,
+    rows: panorama.rows
+  }];
+
+  if (!levels.length) {
+    throw new PSVError('Tiled panorama must have at least one level.');
+  }
+
+  levels = levels.map(function(level) {
+    var width = cubemap ? level.faceSize : level.width;
+    var height = cubemap ? level.faceSize : level.height || level.width / 2;
+
+    if (!width) {
+      throw new PSVError(cubemap ? 'Tiled cubemap levels must have a faceSize.' : 'Tiled panorama levels must have a width.');
+    }
+
+    level = {
+      width: width,
+      height: height,
+      cols: level.cols || (panorama.tileSize ? Math.ceil(width / panorama.tileSize) : 0),
+      rows: level.rows || (cubemap && level.cols) || (panorama.tileSize ? Math.ceil(height / panorama.tileSize) : 0),
+      tileSize: panorama.tileSize || 0
+    };
+
+    if (!level.cols || !level.rows) {
+      throw new PSVError('Tiled panorama levels must have cols and rows, or tileSize must be provided.');
+    }
+
+    return level;
+  });
+
+  levels.sort(function(a, b) {
+    return a.width - b.width;
+  });
+
+  return levels;
+};
+
+/**
+ * @summary Returns the URL of a tile
+ * @param {Object} tiles
+ * @param {int} level
+ * @param {int} face
+ * @param {int} col
+ * @param {int} row
+ * @returns {string}
+ * @private
+ */
+PanoSphereViewer.prototype._getTileUrl = function(tiles, level, face, col, row) {
+  var faceName = tiles.cubemap ? PanoSphereViewer.CUBE_HASHMAP[face] : undefined;
+
+  if (typeof tiles.panorama.tileUrl === 'function') {
+    return tiles.panorama.tileUrl(col, row, level, faceName);
+  }
+
+  return tiles.panorama.tileUrl
+    .replace(/\{level\}/g, level)
+    .replace(/\{col\}/g, col)
+    .replace(/\{row\}/g, row)
+    .replace(/\{face\}/g, faceName);
+};
+
+/**
+ * @summary Returns the portion of the panorama (or of the cube face) covered by a tile
+ * @description When `tileSize` is provided, the last column and row can be smaller than the others
+ * @param {Object} tiles
+ * @param {int} level
+ * @param {int} col
+ * @param {int} row
+ * @returns {{x: float, y: float, width: float, height: float}} in texture ratio
+ * @private
+ */
+PanoSphereViewer.prototype._getTileBounds = function(tiles, level, col, row) {
+  var levelInfo = tiles.levels[level];
+  var tileWidth = levelInfo.tileSize ? levelInfo.tileSize / levelInfo.width : 1 / levelInfo.cols;
+  var tileHeight = levelInfo.tileSize ? levelInfo.tileSize / levelInfo.height : 1 / levelInfo.rows;
+
+  return {
+    x: col * tileWidth,
+    y: row * tileHeight,
+    width: Math.min(tileWidth, 1 - col * tileWidth),
+    height: Math.min(tileHeight, 1 - row * tileHeight)
+  };
+};
+
+/**
+ * @summary Computes the position of a point of the panorama, in the local space of the mesh
+ * @param {Object} tiles
+ * @param {int} face
+ * @param {float} s - horizontal texture coordinate, from 0 to 1
+ * @param {float} t - vertical texture coordinate, from 0 (top) to 1 (bottom)
+ * @param {THREE.Vector3} point - vector to fill
+ * @returns {THREE.Vector3} on the unit sphere or the unit cube
+ * @private
+ */
+PanoSphereViewer.prototype._getTilePoint = function(tiles, face, s, t, point) {
+  if (tiles.cubemap) {
+    var axes = PanoSphereViewer.CUBE_FACES_AXES[face];
+
+    point[axes.u] = (s * 2 - 1) * axes.udir;
+    point[axes.v] = (t * 2 - 1) * axes.vdir;
+    point[axes.w] = axes.wdir;
+  }
+  else {
+    var phi = -PSVUtils.HalfPI + s * PSVUtils.TwoPI;
+    var theta = t * Math.PI;
+
+    point.set(
+      -Math.cos(phi) * Math.sin(theta),
+      Math.cos(theta),
+      Math.sin(phi) * Math.sin(theta)
+    );
+  }
+
+  return point;
+};
+
+/**
+ * @summary Loads the low resolution texture of a tiled panorama
+ * @description If `baseUrl` is provided it is used as the base texture, otherwise all the tiles of the lowest level are loaded.
+ * @param {PanoSphereViewer.TilesPanorama} panorama
+ * @param {AbortSignal} [signal] - cancels the loading of the base texture or of the tiles of the lowest level
+ * @returns {Promise.<PanoSphereViewer.TilesTexture>}
+ * @fires PanoSphereViewer.panorama-load-progress
+ * @throws {PSVError} when the descriptor is incorrect
+ * @private
+ */
+PanoSphereViewer.prototype._loadTilesTexture = function(panorama, signal) {
+  var cubemap = this._isTiledCubemap(panorama);
+  var levels = this._parseTilesLevels(panorama);
+  var highest = levels[levels.length - 1];
+
+  var tiles = {
+    panorama: panorama,
+    cubemap: cubemap,
+    levels: levels,
+    level: -1,
+    layers: {},
+    queue: [],
+    loading: 0,
+    visible: 0,
+    loaded: 0,
+    failures: {},
+    controller: typeof AbortController !== 'undefined' ? new AbortController() : null,
+    listener: null
+  };
+
+  if (!cubemap) {
+    this.prop.pano_data = {
+      full_width: highest.width,
+      full_height: highest.height,
+      cropped_width: highest.width,
+      cropped_height: highest.height,
+      cropped_x: 0,
+      cropped_y: 0
+    };
+  }
+
+  if (panorama.baseUrl && cubemap) {
+    return this._loadCubemapTexture(this._normalizeCubemap(panorama.baseUrl), signal)
+      .then(function(textures) {
+        return {
+          base: textures,
+          tiles: tiles
+        };
+      });
+  }
+  else if (panorama.baseUrl) {
+    var onprogress = function(e) {
+      if (e.lengthComputable) {
+        var progress = parseInt(e.loaded / e.total * 100);
+        this.loader.setProgress(progress);
+        this.trigger('panorama-load-progress', panorama, progress);
+      }
+    };
+
+    return this._loadImage(panorama.baseUrl, onprogress.bind(this), signal)
+      .then(function(img) {
+        this.loader.setProgress(100);
+        this.trigger('panorama-load-progress', panorama, 100);
+
+        return {
+          base: this._createTileTexture(img),
+          tiles: tiles
+        };
+      }.bind(this));
+  }
+  else {
+    var promises = [];
+    var done = 0;
+    var faces = cubemap ? 6 : 1;
+    var total = faces * levels[0].cols * levels[0].rows;
+
+    var onload = function() {
+      var progress = parseInt(++done / total * 100);
+      this.loader.setProgress(progress);
+      this.trigger('panorama-load-progress', panorama, progress);
+    }.bind(this);
+
+    for (var face = 0; face < faces; face++) {
+      for (var col = 0; col < levels[0].cols; col++) {
+        for (var row = 0; row < levels[0].rows; row++) {
+          promises.push(this._loadTile(tiles, 0, face, col, row, signal).then(onload));
+        }
+      }
+    }
+
+    return D.all(promises).then(function() {
+      return {
+        base: null,
+        tiles: tiles
+      };
+    }, function(e) {
+      // the tiles are not displayed yet, the loaded ones are released here
+      PSVUtils.forEach(tiles.layers, function(layer, level) {
+        Object.keys(layer).forEach(function(key) {
+          this._removeTile(tiles, level, key);
+        }, this);
+      }.bind(this));
+
+      tiles.layers = {};
+
+      throw e;
+    }.bind(this));
+  }
+};
+
+/**
+ * @summary Creates a texture suitable for a tile
+ * @param {HTMLImageElement} img
+ * @returns {THREE.Texture}
+ * @private
+ */
+PanoSphereViewer.prototype._createTileTexture = function(img) {
+  var texture = new THREE.Texture(img);
+  texture.needsUpdate = true;
+  texture.minFilter = THREE.LinearFilter;
+  texture.generateMipmaps = false;
+
+  return texture;
+};
+
+/**
+ * @summary Loads one tile and stores its texture in the tiles state
+ * @param {Object} tiles
+ * @param {int} level
+ * @param {int} face
+ * @param {int} col
+ * @param {int} row
+ * @param {AbortSignal} [signal]
+ * @returns {Promise.<THREE.Texture>}
+ * @private
+ */
+PanoSphereViewer.prototype._loadTile = function(tiles, level, face, col, row, signal) {
+  var layer = tiles.layers[level] = tiles.layers[level] || {};
+  var key = face + ':' + col + 'x' + row;
+  var tile = layer[key] = { face: face, col: col, row: row, texture: null, mesh: null };
+
+  // the tiles are too many to be stored in the persistent cache
+  return this._loadImage(this._getTileUrl(tiles, level, face, col, row), undefined, signal, false)
+    .then(function(img) {
+      // the tile is not needed anymore, or was removed and requested again
+      if (layer[key] !== tile || tiles.layers[level] !== layer) {
+        throw new PSVAbortError();
+      }
+
+      tile.texture = this._createTileTexture(img);
+
+      if (tiles === this.prop.tiles) {
+        this._addTileMesh(tiles, level, key);
+        this.needsUpdate();
+      }
+
+      return tile.texture;
+    }.bind(this), function(e) {
+      if (layer[key] === tile) {
+        delete layer[key];
+      }
+      throw e;
+    });
+};
+
+/**
+ * @summary Creates the geometry of a tile
+ * @description Tiles of equirectangular panoramas are portions of sphere, tiles of cubemaps are portions of plane
+ * @param {Object} tiles
+ * @param {int} level
+ * @param {int} face
+ * @param {Object} bounds - see {@link PanoSphereViewer#_getTileBounds}
+ * @returns {THREE.Geometry|THREE.BufferGeometry}
+ * @private
+ */
+PanoSphereViewer.prototype._createTileGeometry = function(tiles, level, face, bounds) {
+  // each level is drawn slightly closer to the camera so higher levels are displayed over lower ones
+  var radius = PanoSphereViewer.SPHERE_RADIUS * (1 - PanoSphereViewer.TILES_LAYER_OFFSET * (level + 1));
+
+  if (!tiles.cubemap) {
+    return this._createSphereGeometry(radius, bounds);
+  }
+
+  var geometry = new THREE.PlaneBufferGeometry(
+    1, 1,
+    Math.ceil(PanoSphereViewer.CUBE_VERTICES * bounds.width), Math.ceil(PanoSphereViewer.CUBE_VERTICES * bounds.height)
+  );
+  var positions = geometry.attributes.position;
+  var uvs = geometry.attributes.uv;
+  var point = new THREE.Vector3();
+
+  for (var i = 0; i < positions.count; i++) {
+    this._getTilePoint(
+      tiles, face,
+      bounds.x + uvs.getX(i) * bounds.width,
+      bounds.y + (1 - uvs.getY(i)) * bounds.height,
+      point
+    ).multiplyScalar(radius);
+
+    positions.setXYZ(i, point.x, point.y, point.z);
+  }
+
+  return geometry;
+};
+
+/**
+ * @summary Creates the mesh of a loaded tile, as a child of the main mesh
+ * @param {Object} tiles
+ * @param {int} level
+ * @param {string} key
+ * @private
+ */
+PanoSphereViewer.prototype._addTileMesh = function(tiles, level, key) {
+  var tile = tiles.layers[level][key];
+
+  if (tile.mesh) {
+    return;
+  }
+
+  var geometry = this._createTileGeometry(tiles, level, tile.face, this._getTileBounds(tiles, level, tile.col, tile.row));
+
+  var material = new THREE.MeshBasicMaterial({
+    side: THREE.DoubleSide,
+    overdraw: PanoSphereViewer.SYSTEM.isWebGLSupported && this.config.webgl ? 0 : 1,
+    map: tile.texture
+  });
+
+  tile.mesh = new THREE.Mesh(geometry, material);
+  this.mesh.add(tile.mesh);
+};
+
+/**
+ * @summary Disposes a tile and removes its mesh
+ * @param {Object} tiles
+ * @param {int} level
+ * @param {string} key
+ * @private
+ */
+PanoSphereViewer.prototype._removeTile = function(tiles, level, key) {
+  var tile = tiles.layers[level][key];
+
+  if (tile.mesh) {
+    tile.mesh.parent.remove(tile.mesh);
+    tile.mesh.geometry.dispose();
+    tile.mesh.material.dispose();
+  }
+  if (tile.texture) {
+    tile.texture.dispose();
+  }
+
+  delete tiles.layers[level][key];
+};
+
+/**
+ * @summary Applies a tiled panorama to the mesh and starts to load visible tiles
+ * @param {Object} tiles
+ * @private
+ */
+PanoSphereViewer.prototype._setTiles = function(tiles) {
+  this.prop.tiles = tiles;
+
+  // lowest level tiles are already loaded if there is no base image
+  PSVUtils.forEach(tiles.layers, function(layer, level) {
+    PSVUtils.forEach(layer, function(tile, key) {
+      if (tile.texture) {
+        this._addTileMesh(tiles, +level, key);
+      }
+    }.bind(this));
+  }.bind(this));
+
+  tiles.listener = PSVUtils.throttle(this._updateTiles.bind(this), PanoSphereViewer.TILES_UPDATE_DELAY);
+  this.on('position-updated zoom-updated size-updated', tiles.listener);
+
+  this._updateTiles();
+};
+
+/**
+ * @summary Disposes all the tiles of the current tiled panorama
+ * @private
+ */
+PanoSphereViewer.prototype._clearTiles = function() {
+  var tiles = this.prop.tiles;
+
+  if (!tiles) {
+    return;
+  }
+
+  this.off('position-updated zoom-updated size-updated', tiles.listener);
+
+  // the tiles being loaded are not needed anymore
+  if (tiles.controller) {
+    tiles.controller.abort();
+  }
+
+  PSVUtils.forEach(tiles.layers, function(layer, level) {
+    Object.keys(layer).forEach(function(key) {
+      this._removeTile(tiles, level, key);
+    }, this);
+  }.bind(this));
+
+  tiles.layers = {};
+  tiles.queue.length = 0;
+
+  this.prop.tiles = null;
+};
+
+/**
+ * @summary Returns the level whose resolution best matches the current zoom
+ * @param {Object} tiles
+ * @returns {int}
+ * @private
+ */
+PanoSphereViewer.prototype._getTilesLevel = function(tiles) {
+  var screenResolution = this.prop.size.height * PanoSphereViewer.SYSTEM.pixelRatio / THREE.Math.degToRad(this.prop.vFov);
+
+  // a cube face covers a quarter of the horizon
+  var levelAngle = tiles.cubemap ? PSVUtils.HalfPI : PSVUtils.TwoPI;
+
+  for (var i = 0; i < tiles.levels.length; i++) {
+    if (tiles.levels[i].width / levelAngle >= screenResolution) {
+      return i;
+    }
+  }
+
+  return tiles.levels.length - 1;
+};
+
+/**
+ * @summary Computes the angular distance between the view direction and the closest point of a tile
+ * @param {Object} tiles
+ * @param {THREE.Vector3} direction - normalized view direction
+ * @param {int} face
+ * @param {Object} bounds - see {@link PanoSphereViewer#_getTileBounds}
+ * @returns {float}
+ * @private
+ */
+PanoSphereViewer.prototype._getTileDistance = function(tiles, direction, face, bounds) {
+  var samples = PanoSphereViewer.TILES_SAMPLES;
+  var point = new THREE.Vector3();
+  var distance = Math.PI;
+
+  for (var i = 0; i <= samples; i++) {
+    for (var j = 0; j <= samples; j++) {
+      this._getTilePoint(
+        tiles, face,
+        bounds.x + bounds.width * i / samples,
+        bounds.y + bounds.height * j / samples,
+        point
+      );
+      point.applyMatrix4(this.mesh.matrixWorld).normalize();
+
+      distance = Math.min(distance, point.angleTo(direction));
+    }
+  }
+
+  return distance;
+};
+
+/**
+ * @summary Loads the tiles visible with the current position and zoom, removes tiles which are not needed anymore
+ * @description Visible tiles are the ones intersecting the cone circumscribed to the camera frustum,
+ *     for cubemaps the faces outside of this cone are not loaded at all.<br>
+ *     The tiles of higher levels are removed, as well as the tiles of the current level farther than
+ *     {@link PanoSphereViewer.TILES_EVICTION_DISTANCE} from this cone, the lowest level is always kept
+ * @fires PanoSphereViewer.panorama-load-progress
+ * @private
+ */
+PanoSphereViewer.prototype._updateTiles = function() {
+  var tiles = this.prop.tiles;
+
+  if (!tiles || !this.mesh) {
+    return;
+  }
+
+  var level = this._getTilesLevel(tiles);
+  var cols = tiles.levels[level].cols;
+  var rows = tiles.levels[level].rows;
+  var faces = tiles.cubemap ? 6 : 1;
+
+  // higher levels are not needed anymore
+  PSVUtils.forEach(tiles.layers, function(layer, layerLevel) {
+    if (+layerLevel > level) {
+      Object.keys(layer).forEach(function(key) {
+        this._removeTile(tiles, layerLevel, key);
+      }, this);
+      delete tiles.layers[layerLevel];
+    }
+  }.bind(this));
+
+  tiles.level = level;
+  tiles.queue.length = 0;
+
+  this.mesh.updateMatrixWorld();
+
+  var direction = this.sphericalCoordsToVector3(this.prop.position).normalize();
+  var projection = this.prop.projection;
+
+  // angle of the corners of the viewer
+  var cornerRadius = PSVUtils.projectAngle(THREE.Math.degToRad(this.prop.vFov) / 2, projection) * Math.sqrt(1 + this.prop.aspect * this.prop.aspect);
+  var maxDistance = PSVUtils.unprojectRadius(cornerRadius, projection);
+
+  if (this.config.fisheye && !this._isProjectionPassActive()) {
+    maxDistance += PSVUtils.HalfPI * this.config.fisheye / 2;
+  }
+
+  var layer = tiles.layers[level] || {};
+  var distances = {};
+  var visible = 0;
+  var loaded = 0;
+
+  var faceNormal = new THREE.Vector3();
+  var now = Date.now();
+
+  for (var face = 0; face < faces; face++) {
+    // skip faces entirely out of view, atan(sqrt(2)) is the half angle of the cone circumscribed to a face
+    if (tiles.cubemap) {
+      this._getTilePoint(tiles, face, 0.5, 0.5, faceNormal).applyMatrix4(this.mesh.matrixWorld).normalize();
+
+      if (faceNormal.angleTo(direction) - Math.atan(Math.SQRT2) > maxDistance) {
+        continue;
+      }
+    }
+
+    for (var col = 0; col < cols; col++) {
+      for (var row = 0; row < rows; row++) {
+        var key = face + ':' + col + 'x' + row;
+        var distance = this._getTileDistance(tiles, direction, face, this._getTileBounds(tiles, level, col, row));
+
+        distances[key] = distance;
+
+        if (distance <= maxDistance) {
+          visible++;
+
+          if (!layer[key]) {
+            var failure = tiles.failures[level + '/' + key];
+
+            if (!failure || failure.retry <= now) {
+              tiles.queue.push({ level: level, face: face, col: col, row: row, distance: distance });
+            }
+          }
+          else if (layer[key].texture) {
+            loaded++;
+          }
+        }
+      }
+    }
+  }
+
+  // the tiles far from the view are released, the faces which were skipped have no distance
+  if (level > 0) {
+    Object.keys(layer).forEach(function(key) {
+      if (distances[key] === undefined || distances[key] > maxDistance + PanoSphereViewer.TILES_EVICTION_DISTANCE) {
+        this._removeTile(tiles, level, key);
+      }
+    }, this);
+  }
+
+  // closest tiles first
+  tiles.queue.sort(function(a, b) {
+    return a.distance - b.distance;
+  });
+
+  tiles.visible = visible;
+  tiles.loaded = loaded;
+
+  this._loadNextTiles();
+};
+
+/**
+ * @summary Loads queued tiles, limited to {@link PanoSphereViewer.TILES_CONCURRENCY} simultaneous requests
+ * @description The requests are aborted when the tiled panorama is cleared, unexpected errors are thrown outside of the promises
+ * @fires PanoSphereViewer.panorama-load-progress
+ * @private
+ */
+PanoSphereViewer.prototype._loadNextTiles = function() {
+  var tiles = this.prop.tiles;
+  var signal = tiles && tiles.controller ? tiles.controller.signal : undefined;
+
+  var next = function() {
+    tiles.loading--;
+    this._loadNextTiles();
+  }.bind(this);
+
+  while (tiles && tiles.loading < PanoSphereViewer.TILES_CONCURRENCY && tiles.queue.length) {
+    var tile = tiles.queue.shift();
+    tiles.loading++;
+
+    this._loadTile(tiles, tile.level, tile.face, tile.col, tile.row, signal)
+      .then(this._onTileLoaded.bind(this, tiles, tile), this._onTileError.bind(this, tiles, tile))
+      .ensure(next)
+      .rethrow();
+  }
+};
+
+/**
+ * @summary Reports the loading progress of the visible tiles
+ * @param {Object} tiles
+ * @param {Object} tile - queued tile
+ * @fires PanoSphereViewer.panorama-load-progress
+ * @private
+ */
+PanoSphereViewer.prototype._onTileLoaded = function(tiles, tile) {
+  delete tiles.failures[tile.level + '/' + tile.face + ':' + tile.col + 'x' + tile.row];
+
+  if (tile.level === tiles.level && tiles.visible) {
+    tiles.loaded++;
+    this.trigger('panorama-load-progress', tiles.panorama, Math.min(100, parseInt(tiles.loaded / tiles.visible * 100)));
+  }
+};
+
+/**
+ * @summary Records the failed loading of a tile, it is not requested again before the delay of `load_retry`
+ * @param {Object} tiles
+ * @param {Object} tile - queued tile
+ * @param {Error} e
+ * @throws {Error} unexpected errors
+ * @private
+ */
+PanoSphereViewer.prototype._onTileError = function(tiles, tile, e) {
+  // the tile is not needed anymore
+  if (e instanceof PSVAbortError) {
+    return;
+  }
+
+  var retry = this.config.load_retry;
+  var key = tile.level + '/' + tile.face + ':' + tile.col + 'x' + tile.row;
+  var failure = tiles.failures[key] = tiles.failures[key] || { count: 0, retry: 0 };
+
+  failure.count++;
+  failure.retry = failure.count > retry.count ? Infinity : Date.now() + retry.delay * Math.pow(retry.factor, failure.count - 1);
+
+  if (!(e instanceof PSVError)) {
+    throw e;
+  }
+};
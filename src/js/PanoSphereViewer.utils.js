@@ -107,7 +107,28 @@ PanoSphereViewer.prototype.viewerCoordsToVector3 = function(viewerPoint) {
     -2 * viewerPoint.y / this.prop.size.height + 1
   );
 
-  this.raycaster.setFromCamera(screen, this.camera);
+  if (this._isProjectionPassActive()) {
+    var projection = this.prop.projection;
+    var point = screen.multiplyScalar(PSVUtils.projectAngle(THREE.Math.degToRad(this.prop.vFov) / 2, projection));
+    point.x *= this.prop.aspect;
+
+    var radius = point.length();
+    var angle = PSVUtils.unprojectRadius(radius, projection);
+
+    if (angle > this._getProjectionMaxAngle()) {
+      return null;
+    }
+
+    if (radius > 0) {
+      point.multiplyScalar(Math.sin(angle) / radius);
+    }
+
+    var direction = new THREE.Vector3(point.x, point.y, -Math.cos(angle)).transformDirection(this.camera.matrixWorld);
+    this.raycaster.set(this.camera.position, direction);
+  }
+  else {
+    this.raycaster.setFromCamera(screen, this.camera);
+  }
 
   var intersects = this.raycaster.intersectObjects(this.scene.children);
 
@@ -126,7 +147,20 @@ PanoSphereViewer.prototype.viewerCoordsToVector3 = function(viewerPoint) {
  */
 PanoSphereViewer.prototype.vector3ToViewerCoords = function(vector) {
   vector = vector.clone();
-  vector.project(this.camera);
+
+  if (this._isProjectionPassActive()) {
+    var projection = this.prop.projection;
+    vector.applyMatrix4(this.camera.matrixWorldInverse).normalize();
+
+    var planar = Math.sqrt(vector.x * vector.x + vector.y * vector.y);
+    var radius = PSVUtils.projectAngle(Math.acos(-vector.z), projection);
+    var ratio = planar > 0 ? radius / planar / PSVUtils.projectAngle(THREE.Math.degToRad(this.prop.vFov) / 2, projection) : 0;
+
+    vector.set(vector.x * ratio / this.prop.aspect, vector.y * ratio, 0);
+  }
+  else {
+    vector.project(this.camera);
+  }
 
   return {
     x: parseInt((vector.x + 1) / 2 * this.prop.size.width),
@@ -134,6 +168,19 @@ PanoSphereViewer.prototype.vector3ToViewerCoords = function(vector) {
   };
 };
 
+/**
+ * @summary Checks if a THREE.Vector3 can be displayed with the current projection
+ * @param {THREE.Vector3} vector
+ * @returns {boolean}
+ */
+PanoSphereViewer.prototype.isVector3Projectable = function(vector) {
+  if (!this._isProjectionPassActive()) {
+    return vector.dot(this.prop.direction) > 0;
+  }
+
+  return vector.angleTo(this.prop.direction) < this._getProjectionMaxAngle();
+};
+
 /**
  * @summary Converts x/y to latitude/longitude if present and ensure boundaries
  * @param {PanoSphereViewer.ExtendedPosition} position - mutated
@@ -148,17 +195,182 @@ PanoSphereViewer.prototype.cleanPosition = function(position) {
   position.latitude = PSVUtils.parseAngle(position.latitude, true);
 };
 
+/**
+ * @summary Checks if the second parameter of {@link PanoSphereViewer#setPanorama} is an object of options instead of a position
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+PanoSphereViewer.prototype._isPanoramaOptions = function(value) {
+  return PSVUtils.isPlainObject(value) && !['longitude', 'latitude', 'x', 'y'].some(function(key) {
+    return key in value;
+  });
+};
+
+/**
+ * @summary Returns the options of a new panorama, the options of the configuration are used if not defined
+ * @description "caption" and "markers" are only defined if they must replace the current ones
+ * @param {Object} options - options of {@link PanoSphereViewer#setPanorama}
+ * @returns {Object} see {@link PanoSphereViewer.PANORAMA_OPTIONS}
+ * @throws {PSVError} when a marker is incorrect
+ * @private
+ */
+PanoSphereViewer.prototype._getPanoramaOptions = function(options) {
+  var config = PSVUtils.clone(this.prop.default_options);
+
+  PanoSphereViewer.PANORAMA_OPTIONS.forEach(function(key) {
+    if (options[key] !== undefined) {
+      config[key] = PSVUtils.clone(options[key]);
+    }
+  });
+
+  // a partial correction is completed with zeros
+  if (options.sphere_correction !== undefined) {
+    config.sphere_correction = PSVUtils.deepmerge({ pan: 0, tilt: 0, roll: 0 }, options.sphere_correction);
+  }
+
+  config.caption = options.caption;
+  config.markers = options.markers;
+
+  // the markers replace the current ones when the panorama is displayed, they must not fail at that time
+  if (config.markers) {
+    config.markers.reduce(function(ids, marker) {
+      PSVMarker.validate(marker);
+
+      if (ids.indexOf(marker.id) !== -1) {
+        throw new PSVError('marker "' + marker.id + '" already exists');
+      }
+
+      return ids.concat([marker.id]);
+    }, []);
+  }
+
+  this._cleanPanoramaOptions(config);
+
+  return config;
+};
+
+/**
+ * @summary Checks and parses the options which can be changed for each panorama
+ * @param {Object} config - see {@link PanoSphereViewer.PANORAMA_OPTIONS}, mutated
+ * @private
+ */
+PanoSphereViewer.prototype._cleanPanoramaOptions = function(config) {
+  var projection = PanoSphereViewer.PROJECTIONS[this.config.projection];
+
+  // longitude range must have two values
+  if (config.longitude_range && config.longitude_range.length !== 2) {
+    config.longitude_range = null;
+    console.warn('PanoSphereViewer: longitude_range must have exactly two elements.');
+  }
+
+  // latitude range must have two values
+  if (config.latitude_range && config.latitude_range.length !== 2) {
+    config.latitude_range = null;
+    console.warn('PanoSphereViewer: latitude_range must have exactly two elements.');
+  }
+
+  // parse longitude_range, between 0 and 2*PI
+  if (config.longitude_range) {
+    config.longitude_range = config.longitude_range.map(function(angle) {
+      return PSVUtils.parseAngle(angle);
+    });
+  }
+
+  // parse latitude_range, between -PI/2 and PI/2
+  if (config.latitude_range) {
+    config.latitude_range = config.latitude_range.map(function(angle) {
+      return PSVUtils.parseAngle(angle, true);
+    });
+
+    // latitude range must be ordered
+    if (config.latitude_range[0] > config.latitude_range[1]) {
+      config.latitude_range = [config.latitude_range[1], config.latitude_range[0]];
+      console.warn('PanoSphereViewer: latitude_range values must be ordered.');
+    }
+  }
+
+  // min_fov and max_fov must be ordered
+  if (config.max_fov < config.min_fov) {
+    var temp_fov = config.max_fov;
+    config.max_fov = config.min_fov;
+    config.min_fov = temp_fov;
+    console.warn('PanoSphereViewer: max_fov cannot be lower than min_fov.');
+  }
+
+  // min_fov/max_fov between 1 and the maximum of the projection (179 for rectilinear)
+  config.min_fov = PSVUtils.bound(config.min_fov, 1, projection.max_fov);
+  config.max_fov = PSVUtils.bound(config.max_fov, 1, projection.max_fov);
+
+  // parse sphere_correction, is between -PI/2 and PI/2
+  config.sphere_correction.pan = PSVUtils.parseAngle(config.sphere_correction.pan, true);
+  config.sphere_correction.tilt = PSVUtils.parseAngle(config.sphere_correction.tilt, true);
+  config.sphere_correction.roll = PSVUtils.parseAngle(config.sphere_correction.roll, true);
+};
+
+/**
+ * @summary Applies the options of a new panorama when it is displayed
+ * @param {Object} config - returned by {@link PanoSphereViewer#_getPanoramaOptions}
+ * @private
+ */
+PanoSphereViewer.prototype._applyPanoramaOptions = function(config) {
+  this.config.pano_data = config.pano_data;
+  this.config.longitude_range = config.longitude_range;
+  this.config.latitude_range = config.latitude_range;
+
+  // the metadata is used if the panorama has no correction
+  this.config.sphere_correction = config.sphere_correction;
+  this.prop.metadata_overrides.sphere_correction = !config.sphere_correction.pan && !config.sphere_correction.tilt && !config.sphere_correction.roll;
+
+  if (this.mesh && !this.prop.isCubemap) {
+    this._applySphereCorrection();
+  }
+
+  // the current FOV is kept if possible
+  if (config.min_fov !== this.config.min_fov || config.max_fov !== this.config.max_fov) {
+    var vFov = PSVUtils.bound(this.prop.vFov, config.min_fov, config.max_fov);
+
+    this.config.min_fov = config.min_fov;
+    this.config.max_fov = config.max_fov;
+
+    this.zoom(config.min_fov === config.max_fov ? 0 : Math.round((vFov - config.max_fov) / (config.min_fov - config.max_fov) * 100));
+  }
+
+  if (config.caption !== undefined) {
+    this.config.caption = config.caption;
+
+    if (this.setCaption) {
+      this.setCaption(config.caption);
+    }
+  }
+
+  if (config.markers !== undefined && this.hud) {
+    this.hud.clearMarkers(false);
+
+    (config.markers || []).forEach(function(marker) {
+      this.hud.addMarker(marker, false);
+    }, this);
+
+    this.hud.renderMarkers();
+  }
+};
+
 /**
  * @summary Apply "longitude_range" and "latitude_range"
  * @param {PanoSphereViewer.Position} position - mutated
+ * @param {Object} [ranges=this.config] - object with "longitude_range" and "latitude_range" properties
  * @returns {string[]} list of sides that were reached
  * @private
  */
-PanoSphereViewer.prototype.applyRanges = function(position) {
+PanoSphereViewer.prototype.applyRanges = function(position, ranges) {
   var range, offset, sidesReached = [];
 
-  if (this.config.longitude_range) {
-    range = PSVUtils.clone(this.config.longitude_range);
+  if (!ranges) {
+    ranges = this.config;
+  }
+
+  if (ranges.longitude_range) {
+    range = PSVUtils.clone(ranges.longitude_range);
     offset = THREE.Math.degToRad(this.prop.hFov) / 2;
 
     range[0] = PSVUtils.parseAngle(range[0] + offset);
@@ -188,8 +400,8 @@ PanoSphereViewer.prototype.applyRanges = function(position) {
     }
   }
 
-  if (this.config.latitude_range) {
-    range = PSVUtils.clone(this.config.latitude_range);
+  if (ranges.latitude_range) {
+    range = PSVUtils.clone(ranges.latitude_range);
     offset = THREE.Math.degToRad(this.prop.vFov) / 2;
 
     range[0] = PSVUtils.parseAngle(Math.min(range[0] + offset, range[1]), true);
@@ -205,5 +417,10 @@ PanoSphereViewer.prototype.applyRanges = function(position) {
     }
   }
 
+  // little planet is always seen from the nadir
+  if (this.prop.projection.nadir) {
+    position.latitude = -PSVUtils.HalfPI + PanoSphereViewer.ANGLE_THRESHOLD;
+  }
+
   return sidesReached;
 };
@@ -0,0 +1,291 @@
+/**
+ * @typedef {Object} PanoSphereViewer.VideoPanorama
+ * @summary Description of a video panorama
+ * @property {string|HTMLVideoElement} video - URL of the video file or existing video element
+ * @property {boolean} [cubemap=false] - the video contains the six faces of a cube, on a 3x2 grid ordered as
+ *     left, front, right on the first row and back, top, bottom on the second row
+ */
+
+/**
+ * @summary Checks if a panorama is a video, either a video element, a video descriptor or the URL of a video file
+ * @param {*} panorama
+ * @returns {boolean}
+ * @private
+ */
+PanoSphereViewer.prototype._isVideoPanorama = function(panorama) {
+  if (!panorama) {
+    return false;
+  }
+  if (typeof panorama === 'string') {
+    return PanoSphereViewer.VIDEO_EXTENSIONS.test(panorama);
+  }
+
+  return panorama instanceof HTMLVideoElement || (typeof panorama === 'object' && !Array.isArray(panorama) && 'video' in panorama);
+};
+
+/**
+ * @summary Returns the video element of the current panorama
+ * @returns {HTMLVideoElement}
+ * @throws {PSVError} if the panorama is not a video
+ * @private
+ */
+PanoSphereViewer.prototype._getCurrentVideo = function() {
+  if (!this.prop.video) {
+    throw new PSVError('The current panorama is not a video.');
+  }
+
+  return this.prop.video;
+};
+
+/**
+ * @summary Loads a video and creates its texture
+ * @description The promise is resolved as soon as the first frame is available, the video is not started<br>
+ * The headers of `request` cannot be sent by video elements, only the credentials mode and URL rewrite are used
+ * @param {string|HTMLVideoElement|PanoSphereViewer.VideoPanorama} panorama
+ * @param {AbortSignal} [signal]
+ * @returns {Promise.<THREE.VideoTexture>}
+ * @fires PanoSphereViewer.panorama-load-progress
+ * @private
+ */
+PanoSphereViewer.prototype._loadVideoTexture = function(panorama, signal) {
+  var defer = D();
+  var source = typeof panorama === 'object' && !(panorama instanceof HTMLVideoElement) ? panorama.video : panorama;
+  var video;
+
+  if (source instanceof HTMLVideoElement) {
+    video = source;
+  }
+  else {
+    var crossOrigin = this._getCrossOrigin();
+
+    video = document.createElement('video');
+    if (crossOrigin) {
+      video.crossOrigin = crossOrigin;
+    }
+    video.preload = 'auto';
+    video.loop = this.config.video.loop;
+    video.muted = this.config.video.muted;
+    video.setAttribute('playsinline', '');
+    video.setAttribute('webkit-playsinline', '');
+    video.src = this._getRequestUrl(source);
+
+    // the element will be released when the panorama changes
+    video.psvOwned = true;
+  }
+
+  var onloaded = function() {
+    detach();
+
+    if (!this.prop.isCubemap) {
+      this.prop.pano_data = {
+        full_width: video.videoWidth,
+        full_height: video.videoHeight,
+        cropped_width: video.videoWidth,
+        cropped_height: video.videoHeight,
+        cropped_x: 0,
+        cropped_y: 0
+      };
+    }
+
+    this.loader.setProgress(100);
+    this.trigger('panorama-load-progress', panorama, 100);
+
+    var texture = new THREE.VideoTexture(video);
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.format = THREE.RGBFormat;
+
+    defer.resolve(texture);
+  }.bind(this);
+
+  var onprogress = function() {
+    if (video.duration && video.buffered.length) {
+      var progress = parseInt(video.buffered.end(video.buffered.length - 1) / video.duration * 100);
+      this.loader.setProgress(progress);
+      this.trigger('panorama-load-progress', panorama, progress);
+    }
+  }.bind(this);
+
+  var onerror = function() {
+    detach();
+    defer.reject(new PSVLoadError('Cannot load video', video.currentSrc || null, video.error));
+  };
+
+  var detach = function() {
+    video.removeEventListener('loadeddata', onloaded);
+    video.removeEventListener('progress', onprogress);
+    video.removeEventListener('error', onerror);
+  };
+
+  if (video.readyState >= video.HAVE_CURRENT_DATA) {
+    onloaded();
+  }
+  else {
+    video.addEventListener('loadeddata', onloaded);
+    video.addEventListener('progress', onprogress);
+    video.addEventListener('error', onerror);
+
+    if (video.psvOwned) {
+      video.load();
+    }
+
+    PSVUtils.onAbort(signal, function() {
+      detach();
+
+      if (video.psvOwned) {
+        video.removeAttribute('src');
+        video.load();
+      }
+
+      defer.reject(new PSVAbortError());
+    });
+  }
+
+  return defer.promise;
+};
+
+/**
+ * @summary Applies a video to the viewer and starts it if `video.autoplay` is enabled
+ * @param {HTMLVideoElement} video
+ * @private
+ */
+PanoSphereViewer.prototype._setVideo = function(video) {
+  this.prop.video = video;
+
+  PanoSphereViewer.VIDEO_EVENTS.forEach(function(name) {
+    video.addEventListener(name, this);
+  }, this);
+
+  this.trigger('video-progress', video.currentTime, video.duration || 0);
+
+  if (this.config.video.autoplay && video.paused) {
+    this.playVideo();
+  }
+  else if (!video.paused) {
+    this.trigger('video-play');
+  }
+};
+
+/**
+ * @summary Stops the current video and releases it if it was created by the viewer
+ * @private
+ */
+PanoSphereViewer.prototype._clearVideo = function() {
+  var video = this.prop.video;
+
+  if (!video) {
+    return;
+  }
+
+  PanoSphereViewer.VIDEO_EVENTS.forEach(function(name) {
+    video.removeEventListener(name, this);
+  }, this);
+
+  video.pause();
+
+  if (video.psvOwned) {
+    video.removeAttribute('src');
+    video.load();
+  }
+
+  this.prop.video = null;
+
+  this.trigger('video-pause');
+};
+
+/**
+ * @summary Creates the cube geometry, optionally mapping all faces on a single texture
+ * @param {boolean} [single=false] - use the 3x2 layout of {@link PanoSphereViewer.VideoPanorama}
+ * @returns {THREE.BoxGeometry}
+ * @private
+ */
+PanoSphereViewer.prototype._createCubemapGeometry = function(single) {
+  var geometry = new THREE.BoxGeometry(
+    PanoSphereViewer.SPHERE_RADIUS * 2, PanoSphereViewer.SPHERE_RADIUS * 2, PanoSphereViewer.SPHERE_RADIUS * 2,
+    PanoSphereViewer.CUBE_VERTICES, PanoSphereViewer.CUBE_VERTICES, PanoSphereViewer.CUBE_VERTICES
+  );
+
+  if (single) {
+    geometry.faces.forEach(function(face, i) {
+      // position of the face in the grid is its position in the array form of cubemaps
+      var cell = PanoSphereViewer.CUBE_MAP[face.materialIndex];
+      var col = cell % 3;
+      var row = Math.floor(cell / 3);
+
+      geometry.faceVertexUvs[0][i].forEach(function(uv) {
+        uv.set((col + uv.x) / 3, 1 - (row + 1 - uv.y) / 2);
+      });
+    });
+
+    geometry.uvsNeedUpdate = true;
+  }
+
+  return geometry;
+};
+
+/**
+ * @summary Forwards the events of the video element
+ * @param {Event} evt
+ * @fires PanoSphereViewer.video-play
+ * @fires PanoSphereViewer.video-pause
+ * @fires PanoSphereViewer.video-ended
+ * @fires PanoSphereViewer.video-progress
+ * @fires PanoSphereViewer.video-volume-updated
+ * @private
+ */
+PanoSphereViewer.prototype._onVideoEvent = function(evt) {
+  var video = this.prop.video;
+
+  switch (evt.type) {
+    case 'play':
+      /**
+       * @event video-play
+       * @memberof PanoSphereViewer
+       * @summary Triggered when the video panorama starts playing
+       */
+      this.trigger('video-play');
+      break;
+
+    case 'pause':
+      /**
+       * @event video-pause
+       * @memberof PanoSphereViewer
+       * @summary Triggered when the video panorama is paused or removed
+       */
+      this.trigger('video-pause');
+      this.needsUpdate();
+      break;
+
+    case 'ended':
+      /**
+       * @event video-ended
+       * @memberof PanoSphereViewer
+       * @summary Triggered when the video panorama reaches its end (never called if the video loops)
+       */
+      this.trigger('video-ended');
+      break;
+
+    case 'timeupdate':
+    case 'durationchange':
+      /**
+       * @event video-progress
+       * @memberof PanoSphereViewer
+       * @summary Triggered when the current time of the video panorama changes
+       * @param {float} time - current time in seconds
+       * @param {float} duration - duration in seconds
+       */
+      this.trigger('video-progress', video.currentTime, video.duration || 0);
+      break;
+
+    case 'volumechange':
+      /**
+       * @event video-volume-updated
+       * @memberof PanoSphereViewer
+       * @summary Triggered when the volume of the video panorama changes
+       * @param {float} volume - between 0 and 1
+       * @param {boolean} muted
+       */
+      this.trigger('video-volume-updated', video.volume, video.muted);
+      break;
+  }
+};
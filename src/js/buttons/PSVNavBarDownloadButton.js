@@ -23,9 +23,42 @@ PSVNavBarDownloadButton.icon = 'download.svg';
  * @description Asks the browser to download the panorama source file
  */
 PSVNavBarDownloadButton.prototype._onClick = function() {
+  var panorama = this.psv.config.panorama;
   var link = document.createElement('a');
-  link.href = this.psv.config.panorama;
-  link.download = this.psv.config.panorama;
+
+  if (typeof panorama === 'string') {
+    link.href = this.psv._getRequestUrl(panorama);
+    link.download = panorama.split(/[?#]/)[0].split('/').pop();
+  }
+  else if (panorama instanceof Blob) {
+    link.href = URL.createObjectURL(panorama);
+    link.download = panorama.name || 'panorama';
+  }
+  else if (PSVUtils.isImageBitmap(panorama) || panorama instanceof HTMLCanvasElement) {
+    var canvas = panorama;
+
+    if (!(canvas instanceof HTMLCanvasElement)) {
+      canvas = document.createElement('canvas');
+      canvas.width = panorama.width;
+      canvas.height = panorama.height;
+      canvas.getContext('2d').drawImage(panorama, 0, 0);
+    }
+
+    link.href = canvas.toDataURL('image/jpeg');
+    link.download = 'panorama.jpg';
+  }
+  // cubemaps, tiles and videos cannot be downloaded as a single file
+  else {
+    return;
+  }
+
   this.psv.container.appendChild(link);
   link.click();
+  this.psv.container.removeChild(link);
+
+  if (panorama instanceof Blob) {
+    window.setTimeout(function() {
+      URL.revokeObjectURL(link.href);
+    }, 0);
+  }
 };
@@ -0,0 +1,77 @@
+/**
+ * Navigation bar video play button class
+ * @param {module:components.PSVNavBar} navbar
+ * @constructor
+ * @extends module:components/buttons.PSVNavBarButton
+ * @memberof module:components/buttons
+ */
+function PSVNavBarVideoPlayButton(navbar) {
+  PSVNavBarButton.call(this, navbar);
+
+  this.create();
+}
+
+PSVNavBarVideoPlayButton.prototype = Object.create(PSVNavBarButton.prototype);
+PSVNavBarVideoPlayButton.prototype.constructor = PSVNavBarVideoPlayButton;
+
+PSVNavBarVideoPlayButton.id = 'videoPlay';
+PSVNavBarVideoPlayButton.className = 'psv-button psv-button--hover-scale psv-video-play-button';
+PSVNavBarVideoPlayButton.icon = 'video-play.svg';
+PSVNavBarVideoPlayButton.iconActive = 'video-pause.svg';
+
+/**
+ * @override
+ * @description The button is only visible with video panoramas
+ */
+PSVNavBarVideoPlayButton.prototype.create = function() {
+  PSVNavBarButton.prototype.create.call(this);
+
+  this.hide();
+
+  this.psv.on('panorama-loaded video-play video-pause', this);
+};
+
+/**
+ * @override
+ */
+PSVNavBarVideoPlayButton.prototype.destroy = function() {
+  this.psv.off('panorama-loaded video-play video-pause', this);
+
+  PSVNavBarButton.prototype.destroy.call(this);
+};
+
+/**
+ * @summary Handles events
+ * @param {Event} e
+ * @private
+ */
+PSVNavBarVideoPlayButton.prototype.handleEvent = function(e) {
+  switch (e.type) {
+    // @formatter:off
+    case 'panorama-loaded': this._onPanoramaLoaded(); break;
+    case 'video-play':      this.toggleActive(true); break;
+    case 'video-pause':     this.toggleActive(false); break;
+    // @formatter:on
+  }
+};
+
+/**
+ * @override
+ * @description Plays or pauses the video
+ */
+PSVNavBarVideoPlayButton.prototype._onClick = function() {
+  this.psv.toggleVideoPlay();
+};
+
+/**
+ * @summary Shows the button if the panorama is a video
+ * @private
+ */
+PSVNavBarVideoPlayButton.prototype._onPanoramaLoaded = function() {
+  if (this.psv.getVideo()) {
+    this.show();
+  }
+  else {
+    this.hide();
+  }
+};
@@ -0,0 +1,235 @@
+/**
+ * Navigation bar video progress bar class
+ * @param {module:components.PSVNavBar} navbar
+ * @constructor
+ * @extends module:components/buttons.PSVNavBarButton
+ * @memberof module:components/buttons
+ */
+function PSVNavBarVideoProgressButton(navbar) {
+  PSVNavBarButton.call(this, navbar);
+
+  /**
+   * @member {HTMLElement}
+   * @readonly
+   * @private
+   */
+  this.progress_line = null;
+
+  /**
+   * @member {HTMLElement}
+   * @readonly
+   * @private
+   */
+  this.progress_value = null;
+
+  /**
+   * @member {HTMLElement}
+   * @readonly
+   * @private
+   */
+  this.progress_time = null;
+
+  /**
+   * @member {Object}
+   * @private
+   */
+  this.prop = {
+    mousedown: false
+  };
+
+  this.create();
+}
+
+PSVNavBarVideoProgressButton.prototype = Object.create(PSVNavBarButton.prototype);
+PSVNavBarVideoProgressButton.prototype.constructor = PSVNavBarVideoProgressButton;
+
+PSVNavBarVideoProgressButton.id = 'videoProgress';
+PSVNavBarVideoProgressButton.className = 'psv-button psv-video-progress-button';
+
+/**
+ * @override
+ * @description The progress bar is only visible with video panoramas
+ */
+PSVNavBarVideoProgressButton.prototype.create = function() {
+  PSVNavBarButton.prototype.create.call(this);
+
+  var progress_range = document.createElement('div');
+  progress_range.className = 'psv-video-progress-button-range';
+  this.container.appendChild(progress_range);
+
+  this.progress_line = document.createElement('div');
+  this.progress_line.className = 'psv-video-progress-button-line';
+  progress_range.appendChild(this.progress_line);
+
+  this.progress_value = document.createElement('div');
+  this.progress_value.className = 'psv-video-progress-button-value';
+  this.progress_line.appendChild(this.progress_value);
+
+  this.progress_time = document.createElement('div');
+  this.progress_time.className = 'psv-video-progress-button-time';
+  this.container.appendChild(this.progress_time);
+
+  this.progress_line.addEventListener('mousedown', this);
+  this.progress_line.addEventListener('touchstart', this);
+  this.psv.container.addEventListener('mousemove', this);
+  this.psv.container.addEventListener('touchmove', this);
+  this.psv.container.addEventListener('mouseup', this);
+  this.psv.container.addEventListener('touchend', this);
+
+  this.hide();
+
+  this.psv.on('panorama-loaded video-progress', this);
+};
+
+/**
+ * @override
+ */
+PSVNavBarVideoProgressButton.prototype.destroy = function() {
+  this.psv.container.removeEventListener('mousemove', this);
+  this.psv.container.removeEventListener('touchmove', this);
+  this.psv.container.removeEventListener('mouseup', this);
+  this.psv.container.removeEventListener('touchend', this);
+
+  delete this.progress_line;
+  delete this.progress_value;
+  delete this.progress_time;
+
+  this.psv.off('panorama-loaded video-progress', this);
+
+  PSVNavBarButton.prototype.destroy.call(this);
+};
+
+/**
+ * @summary Handles events
+ * @param {Event} e
+ * @private
+ */
+PSVNavBarVideoProgressButton.prototype.handleEvent = function(e) {
+  switch (e.type) {
+    // @formatter:off
+    case 'mousedown':       this._initSeekWithMouse(e); break;
+    case 'touchstart':      this._initSeekByTouch(e); break;
+    case 'mousemove':       this._seekWithMouse(e); break;
+    case 'touchmove':       this._seekByTouch(e); break;
+    case 'mouseup':         this._stopSeek(e); break;
+    case 'touchend':        this._stopSeek(e); break;
+    case 'panorama-loaded': this._onPanoramaLoaded(); break;
+    case 'video-progress':  this._moveProgressValue(e.args[0], e.args[1]); break;
+    // @formatter:on
+  }
+};
+
+/**
+ * @summary Shows the progress bar if the panorama is a video
+ * @private
+ */
+PSVNavBarVideoProgressButton.prototype._onPanoramaLoaded = function() {
+  var video = this.psv.getVideo();
+
+  if (video) {
+    this.show();
+    this._moveProgressValue(video.currentTime, video.duration || 0);
+  }
+  else {
+    this.hide();
+  }
+};
+
+/**
+ * @summary Updates the progress bar and the time display
+ * @param {float} time
+ * @param {float} duration
+ * @private
+ */
+PSVNavBarVideoProgressButton.prototype._moveProgressValue = function(time, duration) {
+  this.progress_value.style.width = (duration ? time / duration * 100 : 0) + '%';
+  this.progress_time.textContent = this._formatTime(time) + ' / ' + this._formatTime(duration);
+};
+
+/**
+ * @summary Formats a duration as m:ss
+ * @param {float} seconds
+ * @returns {string}
+ * @private
+ */
+PSVNavBarVideoProgressButton.prototype._formatTime = function(seconds) {
+  seconds = Math.floor(seconds || 0);
+  return Math.floor(seconds / 60) + ':' + ('0' + seconds % 60).slice(-2);
+};
+
+/**
+ * @summary Handles mouse down events
+ * @param {MouseEvent} evt
+ * @private
+ */
+PSVNavBarVideoProgressButton.prototype._initSeekWithMouse = function(evt) {
+  if (!this.enabled) {
+    return;
+  }
+
+  this.prop.mousedown = true;
+  this._seek(evt.clientX);
+};
+
+/**
+ * @summary Handles touch events
+ * @param {TouchEvent} evt
+ * @private
+ */
+PSVNavBarVideoProgressButton.prototype._initSeekByTouch = function(evt) {
+  if (!this.enabled) {
+    return;
+  }
+
+  this.prop.mousedown = true;
+  this._seek(evt.changedTouches[0].clientX);
+};
+
+/**
+ * @summary Handles mouse up events
+ * @private
+ */
+PSVNavBarVideoProgressButton.prototype._stopSeek = function() {
+  this.prop.mousedown = false;
+};
+
+/**
+ * @summary Handles mouse move events
+ * @param {MouseEvent} evt
+ * @private
+ */
+PSVNavBarVideoProgressButton.prototype._seekWithMouse = function(evt) {
+  if (!this.enabled || !this.prop.mousedown) {
+    return;
+  }
+
+  evt.preventDefault();
+  this._seek(evt.clientX);
+};
+
+/**
+ * @summary Handles touch move events
+ * @param {TouchEvent} evt
+ * @private
+ */
+PSVNavBarVideoProgressButton.prototype._seekByTouch = function(evt) {
+  if (!this.enabled || !this.prop.mousedown) {
+    return;
+  }
+
+  this._seek(evt.changedTouches[0].clientX);
+};
+
+/**
+ * @summary Moves the video to the time under the cursor
+ * @param {int} x - mouse/touch position
+ * @private
+ */
+PSVNavBarVideoProgressButton.prototype._seek = function(x) {
+  var video = this.psv.getVideo();
+
+  if (this.prop.mousedown && video && video.duration) {
+    var user_input = parseInt(x) - this.progress_line.getBoundingClientRect().left;
+    this.psv.seekVideo(user_input / this.progress_line.offsetWidth * video.duration);
+  }
+};
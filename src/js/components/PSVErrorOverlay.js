@@ -0,0 +1,99 @@
+/**
+ * Error overlay class
+ * @param {PanoSphereViewer} psv
+ * @constructor
+ * @extends module:components.PSVComponent
+ * @memberof module:components
+ */
+function PSVErrorOverlay(psv) {
+  PSVComponent.call(this, psv);
+
+  /**
+   * @summary Callback of the retry button
+   * @member {function}
+   * @readonly
+   * @private
+   */
+  this.retry = null;
+
+  this.create();
+}
+
+PSVErrorOverlay.prototype = Object.create(PSVComponent.prototype);
+PSVErrorOverlay.prototype.constructor = PSVErrorOverlay;
+
+PSVErrorOverlay.className = 'psv-error-container';
+
+/**
+ * @override
+ */
+PSVErrorOverlay.prototype.create = function() {
+  PSVComponent.prototype.create.call(this);
+
+  this.container.addEventListener('click', this);
+};
+
+/**
+ * @override
+ */
+PSVErrorOverlay.prototype.destroy = function() {
+  this.container.removeEventListener('click', this);
+
+  delete this.retry;
+
+  PSVComponent.prototype.destroy.call(this);
+};
+
+/**
+ * @summary Handles events
+ * @param {Event} e
+ * @private
+ */
+PSVErrorOverlay.prototype.handleEvent = function(e) {
+  switch (e.type) {
+    // @formatter:off
+    case 'click': this._onClick(e); break;
+    // @formatter:on
+  }
+};
+
+/**
+ * @summary Displays the error
+ * @param {PSVError} error
+ * @param {function} [retry] - called by the retry button, the button is not displayed if missing
+ */
+PSVErrorOverlay.prototype.showError = function(error, retry) {
+  this.retry = retry || null;
+
+  this.container.innerHTML = this.psv.config.templates.loadError({
+    error: error,
+    retry: !!retry,
+    config: this.psv.config
+  });
+
+  this.show();
+};
+
+/**
+ * @summary Hides the error
+ */
+PSVErrorOverlay.prototype.hideError = function() {
+  this.retry = null;
+  this.container.innerHTML = '';
+
+  this.hide();
+};
+
+/**
+ * @summary Calls the retry callback when the button is clicked
+ * @param {MouseEvent} e
+ * @private
+ */
+PSVErrorOverlay.prototype._onClick = function(e) {
+  if (this.retry && PSVUtils.getClosest(e.target, '.psv-error-retry')) {
+    var retry = this.retry;
+
+    this.hideError();
+    retry();
+  }
+};
@@ -34,13 +34,24 @@ function PSVHUD(psv) {
    */
   this.hoveringMarker = null;
 
+  /**
+   * @summary Marker editor, when enabled
+   * @member {PSVMarkerEditor}
+   * @readonly
+   */
+  this.editor = null;
+
   /**
    * @member {Object}
+   * @property {Object.<string, boolean>} hiddenLayers - names of the hidden layers of markers, without prototype so any name can be used
+   * @property {PSVMarker} panelMarker - marker whose content is displayed in the side panel
    * @private
    */
   this.prop = {
     panelOpened: false,
     panelOpening: false,
+    panelMarker: null,
+    hiddenLayers: Object.create(null),
     markersButton: this.psv.navbar.getNavbarButton('markers', true)
   };
 
@@ -62,11 +73,31 @@ PSVHUD.publicMethods = [
   'hideMarker',
   'showMarker',
   'toggleMarker',
+  'getLayers',
+  'isLayerVisible',
+  'hideLayer',
+  'showLayer',
+  'toggleLayer',
   'toggleMarkersList',
   'showMarkersList',
-  'hideMarkersList'
+  'hideMarkersList',
+  'startMarkerEditor',
+  'stopMarkerEditor',
+  'isMarkerEditorEnabled',
+  'undoMarkerEdit',
+  'redoMarkerEdit',
+  'exportMarkers',
+  'importMarkers'
 ];
 
+/**
+ * @summary Number of steps to find where an edge of a polygon or polyline leaves the visible area
+ * @type {int}
+ * @readonly
+ * @private
+ */
+PSVHUD.POLY_CLIP_ITERATIONS = 10;
+
 /**
  * @override
  */
@@ -94,6 +125,7 @@ PSVHUD.prototype.create = function() {
  * @override
  */
 PSVHUD.prototype.destroy = function() {
+  this.stopMarkerEditor();
   this.clearMarkers(false);
 
   this.container.removeEventListener('mouseenter', this);
@@ -236,7 +268,7 @@ PSVHUD.prototype.removeMarker = function(marker, render) {
 };
 
 /**
- * @summary Removes all markers
+ * @summary Removes all markers, the changes of the marker editor cannot be undone anymore
  * @param {boolean} [render=true] - renders the markers immediately
  */
 PSVHUD.prototype.clearMarkers = function(render) {
@@ -244,6 +276,10 @@ PSVHUD.prototype.clearMarkers = function(render) {
     this.removeMarker(marker, false);
   }, this);
 
+  if (this.editor) {
+    this.editor.clearHistory();
+  }
+
   if (render !== false) {
     this.renderMarkers();
   }
@@ -298,6 +334,55 @@ PSVHUD.prototype.toggleMarker = function(marker) {
   this.renderMarkers();
 };
 
+/**
+ * @summary Returns the names of the layers of the markers, markers belong to a layer with their `layer` property
+ * @returns {string[]}
+ */
+PSVHUD.prototype.getLayers = function() {
+  var layers = [];
+
+  PSVUtils.forEach(this.markers, function(marker) {
+    if (marker.layer && layers.indexOf(marker.layer) === -1) {
+      layers.push(marker.layer);
+    }
+  });
+
+  return layers.sort();
+};
+
+/**
+ * @summary Checks if the markers of a layer are displayed, their own visibility is also checked
+ * @param {string} layer
+ * @returns {boolean}
+ */
+PSVHUD.prototype.isLayerVisible = function(layer) {
+  return !this.prop.hiddenLayers[layer];
+};
+
+/**
+ * @summary Hides the markers of a layer
+ * @param {string} layer
+ */
+PSVHUD.prototype.hideLayer = function(layer) {
+  this._setLayerVisibility(layer, false);
+};
+
+/**
+ * @summary Shows the markers of a layer, the hidden markers are not shown
+ * @param {string} layer
+ */
+PSVHUD.prototype.showLayer = function(layer) {
+  this._setLayerVisibility(layer, true);
+};
+
+/**
+ * @summary Toggles the markers of a layer
+ * @param {string} layer
+ */
+PSVHUD.prototype.toggleLayer = function(layer) {
+  this._setLayerVisibility(layer, !this.isLayerVisible(layer));
+};
+
 /**
  * @summary Toggles the visibility of markers list
  */
@@ -311,24 +396,39 @@ PSVHUD.prototype.toggleMarkersList = function() {
 };
 
 /**
- * @summary Opens side panel with list of markers
+ * @summary Opens side panel with list of markers, the markers of hidden layers are not listed
  * @fires module:components.PSVHUD.filter:render-markers-list
  */
 PSVHUD.prototype.showMarkersList = function() {
   var markers = [];
   PSVUtils.forEach(this.markers, function(marker) {
-    markers.push(marker);
-  });
+    if (!marker.layer || this.isLayerVisible(marker.layer)) {
+      markers.push(marker);
+    }
+  }.bind(this));
+
+  var layers = this.getLayers().map(function(layer) {
+    return {
+      name: layer,
+      visible: this.isLayerVisible(layer)
+    };
+  }, this);
 
   /**
    * @event filter:render-markers-list
    * @memberof module:components.PSVHUD
    * @summary Used to alter the list of markers displayed on the side-panel
    * @param {PSVMarker[]} markers
+   * @param {string[]} layers - names of the visible layers
    * @returns {PSVMarker[]}
    */
   var html = this.psv.config.templates.markersList({
-    markers: this.psv.change('render-markers-list', markers),
+    markers: this.psv.change('render-markers-list', markers, layers.filter(function(layer) {
+      return layer.visible;
+    }).map(function(layer) {
+      return layer.name;
+    })),
+    layers: layers,
     config: this.psv.config
   });
 
@@ -336,6 +436,11 @@ PSVHUD.prototype.showMarkersList = function() {
   this.psv.panel.showPanel(html, true);
 
   this.psv.panel.container.querySelector('.psv-markers-list').addEventListener('click', this._onClickItem.bind(this));
+
+  var layersFilter = this.psv.panel.container.querySelector('.psv-markers-list-layers');
+  if (layersFilter) {
+    layersFilter.addEventListener('change', this._onChangeLayer.bind(this));
+  }
 };
 
 /**
@@ -347,6 +452,276 @@ PSVHUD.prototype.hideMarkersList = function() {
   }
 };
 
+/**
+ * @summary Opens the side panel with the content of a marker
+ * @param {*} marker
+ */
+PSVHUD.prototype.showMarkerPanel = function(marker) {
+  marker = this.getMarker(marker);
+
+  if (marker.content) {
+    this.psv.panel.showPanel(marker.content);
+    this.prop.panelMarker = marker;
+  }
+};
+
+/**
+ * @summary Enables the marker editor, the markers are not selected anymore by clicks
+ * @param {Object} [options] - overrides the `marker_editor` option, see {@link PSVMarkerEditor}
+ * @throws {PSVError} when the mode is unknown
+ */
+PSVHUD.prototype.startMarkerEditor = function(options) {
+  this.stopMarkerEditor();
+
+  this.editor = new PSVMarkerEditor(this, options);
+};
+
+/**
+ * @summary Disables the marker editor, the shape being drawn is lost
+ */
+PSVHUD.prototype.stopMarkerEditor = function() {
+  if (this.editor) {
+    this.editor.destroy();
+    this.editor = null;
+  }
+};
+
+/**
+ * @summary Checks if the marker editor is enabled
+ * @returns {boolean}
+ */
+PSVHUD.prototype.isMarkerEditorEnabled = function() {
+  return !!this.editor;
+};
+
+/**
+ * @summary Cancels the last change of the marker editor
+ * @returns {boolean} false if there is nothing to undo
+ */
+PSVHUD.prototype.undoMarkerEdit = function() {
+  return this.editor ? this.editor.undo() : false;
+};
+
+/**
+ * @summary Applies again the last cancelled change of the marker editor
+ * @returns {boolean} false if there is nothing to redo
+ */
+PSVHUD.prototype.redoMarkerEdit = function() {
+  return this.editor ? this.editor.redo() : false;
+};
+
+/**
+ * @typedef {Object} PSVHUD.GeoJSON
+ * @summary GeoJSON-like collection of markers, the coordinates are `[longitude, latitude]` in degrees, the longitude in [-180, 180]
+ * @description Image, HTML and SVG markers are `Point` features, polygons are `Polygon` features with a closed ring and
+ * polylines are `LineString` features. The other properties of the markers are in the `properties` of the features.
+ * @property {string} type - FeatureCollection
+ * @property {Object[]} features
+ */
+
+/**
+ * @summary Returns the configuration of all markers
+ * @description The markers of the links of the tour are not exported, they are created from the scenes
+ * @param {string} [format=json] - "json" for an array of markers as accepted by the `markers` option, "geojson" for a {@link PSVHUD.GeoJSON}
+ * @returns {Object[]|PSVHUD.GeoJSON}
+ * @throws {PSVError} when the format is unknown
+ */
+PSVHUD.prototype.exportMarkers = function(format) {
+  var markers = Object.keys(this.markers)
+    .filter(function(id) {
+      return id !== PSVMarkerEditor.DRAWING_ID && id.indexOf(PSVTour.LINK_PREFIX) !== 0;
+    })
+    .map(function(id) {
+      return this.markers[id];
+    }, this);
+
+  switch (format || 'json') {
+    case 'json':
+      return markers.map(function(marker) {
+        return marker.getConfig();
+      });
+
+    case 'geojson':
+      return {
+        type: 'FeatureCollection',
+        features: markers.map(this._markerToFeature, this)
+      };
+
+    default:
+      throw new PSVError('unknown markers format "' + format + '"');
+  }
+};
+
+/**
+ * @summary Adds markers exported by {@link module:components.PSVHUD.exportMarkers}
+ * @param {Object[]|PSVHUD.GeoJSON|string} markers - array of markers, GeoJSON collection, or their JSON
+ * @param {boolean} [replace=false] - removes the current markers
+ * @returns {PSVMarker[]}
+ * @throws {PSVError} when the JSON, a feature or a marker is incorrect or a marker id already exists, nothing is changed
+ */
+PSVHUD.prototype.importMarkers = function(markers, replace) {
+  if (typeof markers === 'string') {
+    try {
+      markers = JSON.parse(markers);
+    }
+    catch (e) {
+      throw new PSVError('cannot parse the markers: ' + e.message);
+    }
+  }
+
+  if (!Array.isArray(markers)) {
+    if (!markers || markers.type !== 'FeatureCollection' || !Array.isArray(markers.features)) {
+      throw new PSVError('markers must be an array or a GeoJSON FeatureCollection');
+    }
+
+    markers = markers.features.map(this._featureToMarker, this);
+  }
+
+  // the current markers are not removed if one of the new markers cannot be added
+  markers.reduce(function(ids, marker) {
+    if (!marker || typeof marker !== 'object') {
+      throw new PSVError('markers must be objects');
+    }
+
+    PSVMarker.validate(marker);
+
+    if (ids.indexOf(marker.id) !== -1 || (!replace && this.markers[marker.id])) {
+      throw new PSVError('marker "' + marker.id + '" already exists');
+    }
+
+    return ids.concat([marker.id]);
+  }.bind(this), []);
+
+  if (replace) {
+    this.clearMarkers(false);
+  }
+
+  var added = markers.map(function(marker) {
+    return this.addMarker(PSVUtils.clone(marker), false);
+  }, this);
+
+  this.renderMarkers();
+
+  return added;
+};
+
+/**
+ * @summary Converts a marker to a GeoJSON feature
+ * @param {PSVMarker} marker
+ * @returns {Object}
+ * @private
+ */
+PSVHUD.prototype._markerToFeature = function(marker) {
+  var properties = marker.getConfig();
+  var geometry;
+
+  var coordinates = function(position) {
+    var longitude = THREE.Math.radToDeg(position.longitude);
+
+    return [
+      longitude > 180 ? longitude - 360 : longitude,
+      THREE.Math.radToDeg(position.latitude)
+    ];
+  };
+
+  if (marker.isPoly()) {
+    var vertices = marker.positions.map(coordinates);
+
+    if (marker.type === 'polygon') {
+      geometry = {
+        type: 'Polygon',
+        coordinates: [vertices.concat([vertices[0]])]
+      };
+    }
+    else {
+      geometry = {
+        type: 'LineString',
+        coordinates: vertices
+      };
+    }
+
+    delete properties[marker.type];
+  }
+  else {
+    geometry = {
+      type: 'Point',
+      coordinates: coordinates(marker)
+    };
+
+    delete properties.longitude;
+    delete properties.latitude;
+  }
+
+  delete properties.id;
+
+  return {
+    type: 'Feature',
+    id: marker.id,
+    geometry: geometry,
+    properties: properties
+  };
+};
+
+/**
+ * @summary Converts a GeoJSON feature to the configuration of a marker
+ * @param {Object} feature
+ * @returns {Object}
+ * @throws {PSVError} when the geometry is not supported or its coordinates are incorrect
+ * @private
+ */
+PSVHUD.prototype._featureToMarker = function(feature) {
+  var marker = PSVUtils.clone(feature.properties || {});
+  var geometry = feature.geometry || {};
+  var vertices;
+
+  var position = function(coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length < 2) {
+      throw new PSVError('incorrect coordinates of marker "' + marker.id + '"');
+    }
+
+    return [THREE.Math.degToRad(coordinates[0]), THREE.Math.degToRad(coordinates[1])];
+  };
+
+  var positions = function(coordinates) {
+    if (!Array.isArray(coordinates)) {
+      throw new PSVError('incorrect coordinates of marker "' + marker.id + '"');
+    }
+
+    return coordinates.map(position);
+  };
+
+  if (feature.id !== undefined) {
+    marker.id = feature.id;
+  }
+
+  switch (geometry.type) {
+    case 'Point':
+      vertices = position(geometry.coordinates);
+      marker.longitude = vertices[0];
+      marker.latitude = vertices[1];
+      break;
+
+    case 'Polygon':
+      // the ring is closed by repeating the first vertex
+      vertices = positions(Array.isArray(geometry.coordinates) ? geometry.coordinates[0] : null);
+      if (vertices.length > 1 && vertices[0][0] === vertices[vertices.length - 1][0] &&
+        vertices[0][1] === vertices[vertices.length - 1][1]) {
+        vertices.pop();
+      }
+      marker.polygon = vertices;
+      break;
+
+    case 'LineString':
+      marker.polyline = positions(geometry.coordinates);
+      break;
+
+    default:
+      throw new PSVError('unsupported geometry "' + geometry.type + '" of marker "' + marker.id + '"');
+  }
+
+  return marker;
+};
+
 /**
  * @summary Updates the visibility and the position of all markers
  */
@@ -356,18 +731,37 @@ PSVHUD.prototype.renderMarkers = function() {
   }
 
   var rotation = !this.psv.isGyroscopeEnabled() ? 0 : THREE.Math.radToDeg(this.psv.camera.rotation.z);
+  var zoomLevel = this.psv.getZoomLevel();
 
   PSVUtils.forEach(this.markers, function(marker) {
-    var isVisible = marker.visible;
+    var isVisible = marker.visible && (!marker.layer || this.isLayerVisible(marker.layer)) && marker.isInZoomRange(zoomLevel);
+
+    if (isVisible && marker.detailed) {
+      marker.setDetailed(zoomLevel >= marker.detailed.zoom);
+    }
 
-    if (isVisible) {
+    if (isVisible && marker.isPoly()) {
+      var parts = this._getPolyParts(marker);
+      isVisible = parts.length > 0;
+
+      if (isVisible) {
+        marker.position2D = this._getPolyDimensions(marker, parts);
+
+        marker.$el.setAttributeNS(null, 'd', parts.map(function(points) {
+          return 'M' + points.map(function(point) {
+            return point.x + ',' + point.y;
+          }).join('L') + (marker.type === 'polygon' ? 'Z' : '');
+        }).join(''));
+      }
+    }
+    else if (isVisible) {
       var position = this._getMarkerPosition(marker);
       isVisible = this._isMarkerVisible(marker, position);
 
       if (isVisible) {
         marker.position2D = position;
 
-        var scale = marker.getScale(this.psv.getZoomLevel());
+        var scale = marker.getScale(zoomLevel);
 
         if (marker.isSvg()) {
           marker.$el.setAttributeNS(null, 'transform',
@@ -390,14 +784,14 @@ PSVHUD.prototype.renderMarkers = function() {
 
 /**
  * @summary Determines if a point marker is visible<br>
- * It tests if the point is in the general direction of the camera, then check if it's in the viewport
+ * It tests if the point can be projected with the current projection, then check if it's in the viewport
  * @param {PSVMarker} marker
  * @param {PanoSphereViewer.Point} position
  * @returns {boolean}
  * @private
  */
 PSVHUD.prototype._isMarkerVisible = function(marker, position) {
-  return marker.position3D.dot(this.psv.prop.direction) > 0 &&
+  return this.psv.isVector3Projectable(marker.position3D) &&
     position.x + marker.width >= 0 &&
     position.x - marker.width <= this.psv.prop.size.width &&
     position.y + marker.height >= 0 &&
@@ -434,6 +828,130 @@ PSVHUD.prototype._getMarkerPosition = function(marker) {
   return position;
 };
 
+/**
+ * @summary Computes the visible parts of a polygon or polyline in HUD coordinates
+ * @description The edges are clipped where they cannot be projected anymore, a polygon has at most one part,
+ * a polyline can be split in several parts
+ * @param {PSVMarker} marker
+ * @returns {Array.<PanoSphereViewer.Point[]>}
+ * @private
+ */
+PSVHUD.prototype._getPolyParts = function(marker) {
+  var isPolygon = marker.type === 'polygon';
+  var vertices = marker.positions3D.map(function(vector) {
+    return {
+      vector: vector,
+      visible: this.psv.isVector3Projectable(vector)
+    };
+  }, this);
+  var nbEdges = isPolygon ? vertices.length : vertices.length - 1;
+  var parts = [];
+  var part = vertices[0].visible ? [vertices[0].vector] : null;
+
+  for (var i = 0; i < nbEdges; i++) {
+    var from = vertices[i];
+    var to = vertices[(i + 1) % vertices.length];
+
+    // the edge leaves the visible area
+    if (from.visible && !to.visible) {
+      part.push(this._getPolyIntermediaryPoint(from.vector, to.vector));
+      parts.push(part);
+      part = null;
+    }
+    // the edge enters the visible area
+    else if (!from.visible && to.visible) {
+      part = [this._getPolyIntermediaryPoint(to.vector, from.vector)];
+    }
+
+    // the first vertex of a polygon closes the last edge
+    if (to.visible && (!isPolygon || i < nbEdges - 1)) {
+      part.push(to.vector);
+    }
+  }
+
+  if (part) {
+    parts.push(part);
+  }
+
+  // the clipped polygon is a single ring starting at the first visible point
+  if (isPolygon && parts.length > 1) {
+    parts = [parts.slice(1).reduce(function(ring, p) {
+      return ring.concat(p);
+    }, []).concat(parts[0])];
+  }
+
+  return parts
+    .filter(function(p) {
+      return p.length >= (isPolygon ? 3 : 2);
+    })
+    .map(function(p) {
+      return p.map(this.psv.vector3ToViewerCoords, this.psv);
+    }, this);
+};
+
+/**
+ * @summary Finds the point of an edge at the limit of the visible area
+ * @param {THREE.Vector3} visible - visible end of the edge
+ * @param {THREE.Vector3} invisible - invisible end of the edge
+ * @returns {THREE.Vector3}
+ * @private
+ */
+PSVHUD.prototype._getPolyIntermediaryPoint = function(visible, invisible) {
+  var point = new THREE.Vector3();
+  var low = 0;
+  var high = 1;
+
+  // dichotomy along the great circle, it works with all projections
+  for (var i = 0; i < PSVHUD.POLY_CLIP_ITERATIONS; i++) {
+    var middle = (low + high) / 2;
+
+    point.lerpVectors(visible, invisible, middle).setLength(PanoSphereViewer.SPHERE_RADIUS);
+
+    if (this.psv.isVector3Projectable(point)) {
+      low = middle;
+    }
+    else {
+      high = middle;
+    }
+  }
+
+  // one more step inside, the limit itself cannot be projected
+  low = Math.max(0, low - 1 / Math.pow(2, PSVHUD.POLY_CLIP_ITERATIONS));
+
+  return point.lerpVectors(visible, invisible, low).setLength(PanoSphereViewer.SPHERE_RADIUS);
+};
+
+/**
+ * @summary Computes the bounding box of a polygon or polyline, stored in the width and height of the marker
+ * @param {PSVMarker} marker
+ * @param {Array.<PanoSphereViewer.Point[]>} parts
+ * @returns {PanoSphereViewer.Point} top left corner
+ * @private
+ */
+PSVHUD.prototype._getPolyDimensions = function(marker, parts) {
+  var minX = +Infinity;
+  var minY = +Infinity;
+  var maxX = -Infinity;
+  var maxY = -Infinity;
+
+  parts.forEach(function(points) {
+    points.forEach(function(point) {
+      minX = Math.min(minX, point.x);
+      minY = Math.min(minY, point.y);
+      maxX = Math.max(maxX, point.x);
+      maxY = Math.max(maxY, point.y);
+    });
+  });
+
+  marker.width = maxX - minX;
+  marker.height = maxY - minY;
+
+  return {
+    x: minX,
+    y: minY
+  };
+};
+
 /**
  * @summary Handles mouse enter events, show the tooltip for markers
  * @param {MouseEvent} e
@@ -453,7 +971,11 @@ PSVHUD.prototype._onMouseEnter = function(e) {
      */
     this.psv.trigger('over-marker', marker);
 
-    if (marker.tooltip) {
+    // the tooltip of polygons and polylines follows the cursor
+    if (marker.tooltip && marker.isPoly()) {
+      this._showCursorTooltip(marker, e);
+    }
+    else if (marker.tooltip) {
       this.psv.tooltip.showTooltip({
         content: marker.tooltip.content,
         position: marker.tooltip.position,
@@ -511,24 +1033,37 @@ PSVHUD.prototype._onMouseMove = function(e) {
         this.hoveringMarker = marker;
       }
 
-      var boundingRect = this.psv.container.getBoundingClientRect();
-
       if (marker.tooltip) {
-        this.psv.tooltip.showTooltip({
-          content: marker.tooltip.content,
-          position: marker.tooltip.position,
-          top: e.clientY - boundingRect.top - this.psv.config.tooltip.arrow_size / 2,
-          left: e.clientX - boundingRect.left - this.psv.config.tooltip.arrow_size,
-          box: { // separate the tooltip from the cursor
-            width: this.psv.config.tooltip.arrow_size * 2,
-            height: this.psv.config.tooltip.arrow_size * 2
-          }
-        });
+        this._showCursorTooltip(marker, e);
       }
     }
+    else if (e.target && (marker = e.target.psvMarker) && marker.isPoly() && marker.tooltip) {
+      this._showCursorTooltip(marker, e);
+    }
   }
 };
 
+/**
+ * @summary Shows the tooltip of a marker next to the cursor
+ * @param {PSVMarker} marker
+ * @param {MouseEvent} e
+ * @private
+ */
+PSVHUD.prototype._showCursorTooltip = function(marker, e) {
+  var boundingRect = this.psv.container.getBoundingClientRect();
+
+  this.psv.tooltip.showTooltip({
+    content: marker.tooltip.content,
+    position: marker.tooltip.position,
+    top: e.clientY - boundingRect.top - this.psv.config.tooltip.arrow_size / 2,
+    left: e.clientX - boundingRect.left - this.psv.config.tooltip.arrow_size,
+    box: { // separate the tooltip from the cursor
+      width: this.psv.config.tooltip.arrow_size * 2,
+      height: this.psv.config.tooltip.arrow_size * 2
+    }
+  });
+};
+
 /**
  * @summary Handles mouse click events, select the marker and open the panel if necessary
  * @param {Object} data
@@ -539,6 +1074,11 @@ PSVHUD.prototype._onMouseMove = function(e) {
  * @private
  */
 PSVHUD.prototype._onClick = function(data, e, dblclick) {
+  if (this.editor) {
+    this.editor.onViewerClick(data, dblclick);
+    return;
+  }
+
   var marker;
   if (data.target && (marker = PSVUtils.getClosest(data.target, '.psv-marker')) && marker.psvMarker) {
     this.currentMarker = marker.psvMarker;
@@ -574,7 +1114,7 @@ PSVHUD.prototype._onClick = function(data, e, dblclick) {
   }
 
   if (marker && marker.psvMarker && marker.psvMarker.content) {
-    this.psv.panel.showPanel(marker.psvMarker.content);
+    this.showMarkerPanel(marker.psvMarker);
   }
   else if (this.psv.panel.prop.opened) {
     e.stopPropagation();
@@ -606,6 +1146,54 @@ PSVHUD.prototype._onClickItem = function(e) {
   }
 };
 
+/**
+ * @summary Toggles a layer from the filter of the side panel
+ * @param {Event} e
+ * @private
+ */
+PSVHUD.prototype._onChangeLayer = function(e) {
+  var layer = e.target ? e.target.getAttribute('data-psv-layer') : null;
+
+  if (layer !== null) {
+    this._setLayerVisibility(layer, e.target.checked);
+  }
+};
+
+/**
+ * @summary Changes the visibility of a layer and updates the list of markers if it is opened
+ * @param {string} layer
+ * @param {boolean} visible
+ * @fires module:components.PSVHUD.layer-visibility-updated
+ * @private
+ */
+PSVHUD.prototype._setLayerVisibility = function(layer, visible) {
+  if (this.isLayerVisible(layer) === visible) {
+    return;
+  }
+
+  if (visible) {
+    delete this.prop.hiddenLayers[layer];
+  }
+  else {
+    this.prop.hiddenLayers[layer] = true;
+  }
+
+  this.renderMarkers();
+
+  if (this.prop.panelOpened) {
+    this.showMarkersList();
+  }
+
+  /**
+   * @event layer-visibility-updated
+   * @memberof module:components.PSVHUD
+   * @summary Triggered when a layer of markers is shown or hidden
+   * @param {string} layer
+   * @param {boolean} visible
+   */
+  this.psv.trigger('layer-visibility-updated', layer, visible);
+};
+
 /**
  * @summary Updates status when the panel is updated
  * @private
@@ -619,6 +1207,8 @@ PSVHUD.prototype._onPanelOpened = function() {
     this.prop.panelOpened = false;
   }
 
+  this.prop.panelMarker = null;
+
   if (this.prop.markersButton) {
     this.prop.markersButton.toggleActive(this.prop.panelOpened);
   }
@@ -631,6 +1221,7 @@ PSVHUD.prototype._onPanelOpened = function() {
 PSVHUD.prototype._onPanelClosed = function() {
   this.prop.panelOpened = false;
   this.prop.panelOpening = false;
+  this.prop.panelMarker = null;
 
   if (this.prop.markersButton) {
     this.prop.markersButton.toggleActive(false);
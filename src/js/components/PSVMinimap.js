@@ -0,0 +1,243 @@
+/**
+ * Minimap class, displays a floor plan with the scenes of the tour and the current view
+ * @param {PanoSphereViewer} psv
+ * @constructor
+ * @extends module:components.PSVComponent
+ * @memberof module:components
+ */
+function PSVMinimap(psv) {
+  PSVComponent.call(this, psv);
+
+  /**
+   * @summary Plan container
+   * @member {SVGElement}
+   * @readonly
+   * @private
+   */
+  this.svgContainer = null;
+
+  /**
+   * @summary View cone
+   * @member {SVGElement}
+   * @readonly
+   * @private
+   */
+  this.cone = null;
+
+  /**
+   * @summary Container of the points of the scenes
+   * @member {SVGElement}
+   * @readonly
+   * @private
+   */
+  this.points = null;
+
+  /**
+   * @member {Object}
+   * @private
+   */
+  this.prop = {
+    width: 0,
+    height: 0
+  };
+
+  this.create();
+}
+
+PSVMinimap.prototype = Object.create(PSVComponent.prototype);
+PSVMinimap.prototype.constructor = PSVMinimap;
+
+PSVMinimap.className = 'psv-minimap';
+
+/**
+ * @summary Radius of the view cone, relative to the largest dimension of the plan
+ * @type {float}
+ * @readonly
+ */
+PSVMinimap.CONE_RADIUS = 0.15;
+
+/**
+ * @summary Radius of the points of the scenes, relative to the largest dimension of the plan
+ * @type {float}
+ * @readonly
+ */
+PSVMinimap.POINT_RADIUS = 0.015;
+
+/**
+ * @override
+ */
+PSVMinimap.prototype.create = function() {
+  PSVComponent.prototype.create.call(this);
+
+  this.container.style.width = this.psv.config.minimap.size + 'px';
+
+  this.svgContainer = document.createElementNS(PSVUtils.svgNS, 'svg');
+  this.svgContainer.setAttribute('class', 'psv-minimap-plan');
+  this.container.appendChild(this.svgContainer);
+
+  this.container.addEventListener('click', this);
+
+  this.psv.on('position-updated', this);
+  this.psv.on('zoom-updated', this);
+  this.psv.on('size-updated', this);
+  this.psv.on('scene-changed', this);
+
+  // the coordinates system of the plan is the size of the image
+  var image = new Image();
+
+  image.onload = function() {
+    if (!this.svgContainer) {
+      return;
+    }
+
+    this.prop.width = image.naturalWidth || image.width;
+    this.prop.height = image.naturalHeight || image.height;
+
+    this.svgContainer.setAttribute('viewBox', '0 0 ' + this.prop.width + ' ' + this.prop.height);
+
+    var plan = document.createElementNS(PSVUtils.svgNS, 'image');
+    plan.setAttributeNS('http://www.w3.org/1999/xlink', 'href', this.psv.config.minimap.image);
+    plan.setAttribute('width', this.prop.width);
+    plan.setAttribute('height', this.prop.height);
+    this.svgContainer.appendChild(plan);
+
+    // the cone is under the points
+    this.cone = document.createElementNS(PSVUtils.svgNS, 'path');
+    this.cone.setAttribute('class', 'psv-minimap-cone');
+    this.svgContainer.appendChild(this.cone);
+
+    this.points = document.createElementNS(PSVUtils.svgNS, 'g');
+    this.svgContainer.appendChild(this.points);
+
+    this.render();
+  }.bind(this);
+
+  image.onerror = function() {
+    console.warn('PanoSphereViewer: cannot load the minimap image "' + this.psv.config.minimap.image + '".');
+  }.bind(this);
+
+  image.src = this.psv.config.minimap.image;
+};
+
+/**
+ * @override
+ */
+PSVMinimap.prototype.destroy = function() {
+  this.container.removeEventListener('click', this);
+
+  this.psv.off('position-updated', this);
+  this.psv.off('zoom-updated', this);
+  this.psv.off('size-updated', this);
+  this.psv.off('scene-changed', this);
+
+  delete this.svgContainer;
+  delete this.cone;
+  delete this.points;
+  delete this.prop;
+
+  PSVComponent.prototype.destroy.call(this);
+};
+
+/**
+ * @summary Handles events
+ * @param {Event} e
+ * @private
+ */
+PSVMinimap.prototype.handleEvent = function(e) {
+  switch (e.type) {
+    // @formatter:off
+    case 'click':            this._onClick(e); break;
+    case 'position-updated': this._renderCone(); break;
+    case 'zoom-updated':     this._renderCone(); break;
+    case 'size-updated':     this._renderCone(); break;
+    case 'scene-changed':    this.render(); break;
+    // @formatter:on
+  }
+};
+
+/**
+ * @summary Updates the points of the scenes and the view cone
+ */
+PSVMinimap.prototype.render = function() {
+  if (!this.points) {
+    return;
+  }
+
+  var tour = this.psv.tour;
+  var radius = Math.max(this.prop.width, this.prop.height) * PSVMinimap.POINT_RADIUS;
+
+  while (this.points.firstChild) {
+    this.points.removeChild(this.points.firstChild);
+  }
+
+  Object.keys(tour.scenes).forEach(function(id) {
+    var scene = tour.scenes[id];
+
+    if (!scene.plan) {
+      return;
+    }
+
+    var point = document.createElementNS(PSVUtils.svgNS, 'circle');
+    point.setAttribute('class', 'psv-minimap-point' + (scene === tour.currentScene ? ' psv-minimap-point--current' : ''));
+    point.setAttribute('cx', scene.plan.x);
+    point.setAttribute('cy', scene.plan.y);
+    point.setAttribute('r', radius);
+    point.setAttribute('data-scene', id);
+    this.points.appendChild(point);
+  }, this);
+
+  this._renderCone();
+};
+
+/**
+ * @summary Updates the view cone, its direction is the longitude and its angle is the horizontal FOV
+ * @private
+ */
+PSVMinimap.prototype._renderCone = function() {
+  var scene = this.psv.tour.currentScene;
+
+  if (!this.cone) {
+    return;
+  }
+
+  if (!scene || !scene.plan) {
+    this.cone.setAttribute('d', '');
+    return;
+  }
+
+  var radius = Math.max(this.prop.width, this.prop.height) * PSVMinimap.CONE_RADIUS;
+  var direction = this.psv.prop.position.longitude + this.psv.config.minimap.north;
+  var angle = Math.min(THREE.Math.degToRad(this.psv.prop.hFov), PSVUtils.TwoPI - 0.001) / 2;
+
+  // angles are clockwise from the top of the plan
+  var point = function(a) {
+    return (scene.plan.x + radius * Math.sin(a)) + ' ' + (scene.plan.y - radius * Math.cos(a));
+  };
+
+  this.cone.setAttribute('d',
+    'M ' + scene.plan.x + ' ' + scene.plan.y +
+    ' L ' + point(direction - angle) +
+    ' A ' + radius + ' ' + radius + ' 0 ' + (angle > Math.PI / 2 ? 1 : 0) + ' 1 ' + point(direction + angle) +
+    ' Z'
+  );
+};
+
+/**
+ * @summary Goes to the clicked scene
+ * @param {MouseEvent} e
+ * @private
+ */
+PSVMinimap.prototype._onClick = function(e) {
+  var point = PSVUtils.getClosest(e.target, '.psv-minimap-point');
+  var tour = this.psv.tour;
+
+  if (!point || !tour.canChangeScene()) {
+    return;
+  }
+
+  var id = point.getAttribute('data-scene');
+
+  if (!tour.currentScene || tour.currentScene.id !== id) {
+    tour._navigate(id);
+  }
+};
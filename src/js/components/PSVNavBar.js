@@ -78,6 +78,14 @@ PSVNavBar.prototype.create = function() {
           this.items.push(new PSVNavBarZoomButton(this));
           break;
 
+        case PSVNavBarVideoPlayButton.id:
+          this.items.push(new PSVNavBarVideoPlayButton(this));
+          break;
+
+        case PSVNavBarVideoProgressButton.id:
+          this.items.push(new PSVNavBarVideoProgressButton(this));
+          break;
+
         case PSVNavBarDownloadButton.id:
           this.items.push(new PSVNavBarDownloadButton(this));
           break;
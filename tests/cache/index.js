@@ -0,0 +1,176 @@
+var assert = require('assert');
+var THREE = require('three');
+var loader = require('../loader.js');
+
+var lib = loader.load();
+var PSVCache = lib.PSVCache;
+
+var MB = 1024 * 1024;
+
+/**
+ * Creates a texture of a given size in megabytes, which records its disposal
+ */
+function createTexture(size) {
+  var texture = new THREE.Texture({ width: 512, height: size * MB / 512 / 4 });
+
+  texture.disposed = false;
+  texture.addEventListener('dispose', function() {
+    texture.disposed = true;
+  });
+
+  return texture;
+}
+
+/**
+ * Creates a viewer and a cache which records the evicted panoramas
+ */
+function createCache(budget) {
+  var psv = loader.createViewer(lib);
+  var cache = new PSVCache(psv, budget);
+
+  cache.evicted = [];
+  psv.on('cache-evicted', function(panorama) {
+    cache.evicted.push(panorama);
+  });
+
+  return cache;
+}
+
+function panoramas(cache) {
+  return cache.items.map(function(item) {
+    return item.panorama;
+  });
+}
+
+
+describe('PSVCache::getTextureSize', function() {
+  it('should count four bytes per pixel', function() {
+    assert.equal(PSVCache.getTextureSize(createTexture(2)), 2 * MB);
+  });
+
+  it('should sum the faces of a cubemap', function() {
+    var faces = [1, 1, 1, 1, 1, 1].map(createTexture);
+
+    assert.equal(PSVCache.getTextureSize(faces), 6 * MB);
+  });
+});
+
+
+describe('PSVCache::keysEqual', function() {
+  it('should compare the keys of cubemaps by value', function() {
+    assert.ok(PSVCache.keysEqual(['a', 'b'], ['a', 'b']));
+    assert.ok(!PSVCache.keysEqual(['a', 'b'], ['b', 'a']));
+    assert.ok(!PSVCache.keysEqual(['a'], 'a'));
+    assert.ok(PSVCache.keysEqual('a', 'a'));
+  });
+});
+
+
+describe('PSVCache::put', function() {
+  it('should evict the least recently used panoramas over the budget', function() {
+    var cache = createCache(10);
+    var first = createTexture(4);
+
+    cache.put({ panorama: 'a.jpg', image: first });
+    cache.put({ panorama: 'b.jpg', image: createTexture(4) });
+    cache.get('a.jpg');
+    cache.put({ panorama: 'c.jpg', image: createTexture(4) });
+
+    assert.deepEqual(panoramas(cache), ['c.jpg', 'a.jpg']);
+    assert.deepEqual(cache.evicted, ['b.jpg']);
+    assert.equal(cache.size, 8 * MB);
+    assert.ok(!first.disposed);
+  });
+
+  it('should dispose the evicted textures except the displayed one', function() {
+    var cache = createCache(4);
+    var displayed = createTexture(4);
+    var other = createTexture(4);
+
+    cache.psv.mesh = { material: { map: displayed } };
+
+    cache.put({ panorama: 'a.jpg', image: displayed });
+    cache.put({ panorama: 'b.jpg', image: other });
+    cache.clear();
+
+    assert.ok(!displayed.disposed);
+    assert.ok(other.disposed);
+    assert.equal(cache.size, 0);
+    assert.deepEqual(cache.evicted, ['a.jpg', 'b.jpg']);
+  });
+
+  it('should replace a panorama and dispose its previous texture', function() {
+    var cache = createCache(20);
+    var previous = [1, 1, 1, 1, 1, 1].map(createTexture);
+    var faces = ['l.jpg', 'f.jpg', 'r.jpg', 'b.jpg', 't.jpg', 'd.jpg'];
+
+    cache.put({ panorama: faces, image: previous });
+    cache.put({ panorama: faces.slice(), image: [2, 2, 2, 2, 2, 2].map(createTexture) });
+
+    assert.equal(cache.items.length, 1);
+    assert.equal(cache.size, 12 * MB);
+    assert.ok(previous[0].disposed);
+    assert.deepEqual(cache.evicted, []);
+  });
+
+  it('should not cache the panoramas bigger than the budget or without key', function() {
+    var cache = createCache(1);
+
+    assert.ok(!cache.put({ panorama: 'a.jpg', image: createTexture(2) }));
+    assert.ok(!cache.put({ panorama: { tileUrl: function() {} }, image: createTexture(1) }));
+    assert.ok(cache.put({ panorama: 'b.jpg', image: createTexture(1) }));
+    assert.deepEqual(panoramas(cache), ['b.jpg']);
+  });
+});
+
+
+describe('PSVCache::remove', function() {
+  it('should release the size of the panorama', function() {
+    var cache = createCache(10);
+    var texture = createTexture(2);
+
+    cache.put({ panorama: 'a.jpg', image: texture });
+    cache.remove('a.jpg');
+    cache.remove('unknown.jpg');
+
+    assert.equal(cache.get('a.jpg'), undefined);
+    assert.equal(cache.size, 0);
+    assert.ok(texture.disposed);
+  });
+});
+
+
+describe('PanoSphereViewer::_setTexture', function() {
+  it('should keep the cached texture of the previous panorama', function() {
+    var psv = loader.createViewer(lib, { cache_texture: 100 });
+    var cached = createTexture(1);
+    var other = createTexture(1);
+
+    psv.prop.isCubemap = false;
+    psv.cache.put({ panorama: 'a.jpg', image: cached });
+
+    psv._setTexture(cached);
+    psv._setTexture(other);
+    assert.ok(!cached.disposed);
+
+    psv._setTexture(createTexture(1));
+    assert.ok(other.disposed);
+  });
+});
+
+
+describe('PanoSphereViewer::cache_texture', function() {
+  it('should read a small integer as a number of panoramas', function() {
+    var warn = console.warn;
+    console.warn = function() {};
+
+    try {
+      assert.equal(loader.createViewer(lib, { cache_texture: 2 }).config.cache_texture, 2 * lib.PanoSphereViewer.CACHE_TEXTURE_LEGACY_SIZE);
+      assert.equal(loader.createViewer(lib, { cache_texture: 64 }).config.cache_texture, 64);
+      assert.equal(loader.createViewer(lib, { cache_texture: 2.5 }).config.cache_texture, 2.5);
+    }
+    finally {
+      console.warn = warn;
+    }
+  });
+});
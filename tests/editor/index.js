@@ -0,0 +1,140 @@
+var assert = require('assert');
+var loader = require('../loader.js');
+
+var lib = loader.load();
+
+/**
+ * Creates a viewer with the marker editor
+ */
+function createEditor() {
+  var psv = loader.createViewer(lib);
+
+  psv.hud.startMarkerEditor();
+
+  return psv.hud.editor;
+}
+
+
+describe('PSVMarkerEditor::undo', function() {
+  it('should undo and redo the changes in order', function() {
+    var editor = createEditor();
+    var events = [];
+
+    ['marker-created', 'marker-moved', 'marker-deleted'].forEach(function(name) {
+      editor.psv.on(name, function(marker) {
+        events.push(name + ':' + marker.id);
+      });
+    });
+
+    editor._createMarker({ id: 'house', html: 'House', longitude: 0, latitude: 0 });
+    var created = editor.hud.getMarker('house').getProperties();
+
+    editor.hud.updateMarker({ id: 'house', longitude: 1 });
+    editor._record(created, editor.hud.getMarker('house').getProperties());
+    editor.deleteMarker('house');
+    events.length = 0;
+
+    assert.ok(editor.undo());
+    assert.equal(editor.hud.getMarker('house').longitude, 1);
+    assert.ok(editor.undo());
+    assert.equal(editor.hud.getMarker('house').longitude, 0);
+    assert.ok(editor.undo());
+    assert.ok(!editor.hud.markers.house);
+    assert.ok(!editor.undo());
+
+    assert.ok(editor.redo());
+    assert.ok(editor.redo());
+    assert.equal(editor.hud.getMarker('house').longitude, 1);
+
+    assert.deepEqual(events, [
+      'marker-created:house', 'marker-moved:house', 'marker-deleted:house',
+      'marker-created:house', 'marker-moved:house'
+    ]);
+  });
+
+  it('should forget the undone changes after a new change', function() {
+    var editor = createEditor();
+
+    editor._createMarker({ id: 'house', html: 'House', longitude: 0, latitude: 0 });
+    editor.undo();
+    editor._createMarker({ id: 'tree', html: 'Tree', longitude: 1, latitude: 0 });
+
+    assert.ok(!editor.redo());
+    assert.ok(!editor.hud.markers.house);
+  });
+
+  it('should keep a limited number of changes', function() {
+    var editor = createEditor();
+    var size = lib.PSVMarkerEditor.HISTORY_SIZE;
+
+    for (var i = 0; i <= size; i++) {
+      editor._createMarker({ id: 'marker' + i, html: 'Marker', longitude: 0, latitude: 0 });
+    }
+
+    for (i = 0; i < size; i++) {
+      assert.ok(editor.undo());
+    }
+    assert.ok(!editor.undo());
+
+    // the first creation cannot be undone
+    assert.deepEqual(Object.keys(editor.hud.markers), ['marker0']);
+  });
+
+  it('should forget the changes when another panorama is loaded', function() {
+    var editor = createEditor();
+
+    editor._createMarker({ id: 'house', html: 'House', longitude: 0, latitude: 0 });
+    editor._createMarker({ id: 'tree', html: 'Tree', longitude: 1, latitude: 0 });
+    editor.undo();
+
+    editor.psv.trigger('panorama-loaded');
+
+    assert.ok(!editor.undo());
+    assert.ok(!editor.redo());
+    assert.ok(editor.hud.markers.house);
+  });
+
+  it('should restore all the properties of a deleted marker', function() {
+    var editor = createEditor();
+    var scale = function(zoom) {
+      return zoom / 50;
+    };
+
+    editor.hud.addMarker({ id: 'house', html: 'House', x: 100, y: 50, scale: scale, custom: { owner: 'me' } }, false);
+    var longitude = editor.hud.getMarker('house').longitude;
+
+    editor.deleteMarker('house');
+    assert.ok(!editor.hud.markers.house);
+
+    editor.undo();
+
+    var marker = editor.hud.getMarker('house');
+    assert.strictEqual(marker.scale, scale);
+    assert.deepEqual(marker.custom, { owner: 'me' });
+    assert.equal(marker.longitude, longitude);
+  });
+
+  it('should restore the position instead of the texture coordinates of a moved marker', function() {
+    var editor = createEditor();
+
+    editor.hud.addMarker({ id: 'house', html: 'House', x: 100, y: 50, custom: true }, false);
+
+    var marker = editor.hud.getMarker('house');
+    var before = marker.getProperties();
+
+    // like a drag of the marker
+    delete marker.x;
+    delete marker.y;
+    editor.hud.updateMarker({ id: 'house', longitude: 1, latitude: 0.5 });
+    editor._record(before, marker.getProperties());
+
+    editor.undo();
+    assert.equal(editor.hud.getMarker('house').longitude, before.longitude);
+
+    editor.redo();
+    marker = editor.hud.getMarker('house');
+    assert.equal(marker.longitude, 1);
+    assert.equal(marker.latitude, 0.5);
+    assert.strictEqual(marker.custom, true);
+  });
+});
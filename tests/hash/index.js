@@ -0,0 +1,128 @@
+var assert = require('assert');
+var THREE = require('three');
+var D = require('d.js');
+var loader = require('../loader.js');
+
+var lib = loader.load();
+
+var SCENES = [
+  { id: 'hall', panorama: 'hall.jpg', position: { longitude: 1, latitude: 0.5 } },
+  { id: 'garden', panorama: 'garden.jpg', position: { longitude: 2, latitude: -0.5 } }
+];
+
+/**
+ * Creates a viewer of the tour, the panoramas are displayed without being downloaded
+ */
+function createViewer(hash) {
+  lib.window.location = { hash: hash };
+
+  return loader.createViewer(lib, {
+    url_hash: true,
+    tour: { scenes: JSON.parse(JSON.stringify(SCENES)) }
+  });
+}
+
+function wait() {
+  return D.delay(null, 10);
+}
+
+function assertView(psv, longitude, latitude, zoom) {
+  assert.equal(psv.prop.position.longitude.toFixed(4), longitude.toFixed(4));
+  assert.equal(psv.prop.position.latitude.toFixed(4), latitude.toFixed(4));
+  assert.equal(psv.prop.zoom_lvl, zoom);
+}
+
+
+describe('PanoSphereViewer::url_hash', function() {
+  var loadTexture = lib.PanoSphereViewer.prototype._loadTexture;
+
+  beforeEach(function() {
+    lib.PanoSphereViewer.prototype._loadTexture = function() {
+      this.prop.isCubemap = false;
+      return D.resolved(new THREE.Texture({ width: 2, height: 1 }));
+    };
+
+    lib.window.history = {
+      replaceState: function(state, title, hash) {
+        lib.window.location.hash = hash;
+      },
+      pushState: function(state, title, hash) {
+        lib.window.location.hash = hash;
+      }
+    };
+  });
+
+  afterEach(function() {
+    lib.PanoSphereViewer.prototype._loadTexture = loadTexture;
+  });
+
+  describe('_readUrlHash', function() {
+    it('should read the scene and the view in degrees', function() {
+      var psv = createViewer('');
+
+      lib.window.location.hash = '#other=1&scene=garden&longitude=90&latitude=-30&zoom=70';
+
+      var state = psv._readUrlHash();
+      assert.equal(state.scene, 'garden');
+      assert.equal(state.longitude.toFixed(4), (Math.PI / 2).toFixed(4));
+      assert.equal(state.latitude.toFixed(4), (-Math.PI / 6).toFixed(4));
+      assert.strictEqual(state.zoom, 70);
+    });
+
+    it('should ignore the unknown scenes and the invalid values', function() {
+      var psv = createViewer('');
+
+      lib.window.location.hash = '#scene=cellar&longitude=east&latitude=10&zoom=150';
+      assert.deepEqual(Object.keys(psv._readUrlHash()), ['latitude', 'zoom']);
+      assert.strictEqual(psv._readUrlHash().zoom, 100);
+
+      lib.window.location.hash = '#scene=cellar&zoom=';
+      assert.strictEqual(psv._readUrlHash(), null);
+
+      lib.window.location.hash = '';
+      assert.strictEqual(psv._readUrlHash(), null);
+    });
+  });
+
+  describe('_applyUrlHash', function() {
+    it('should replace the position of the first scene by the view of the URL', function() {
+      var psv = createViewer('#scene=garden&longitude=90&latitude=-30&zoom=70');
+
+      return wait().then(function() {
+        assert.equal(psv.tour.currentScene.id, 'garden');
+        assertView(psv, Math.PI / 2, -Math.PI / 6, 70);
+      });
+    });
+
+    it('should display the scene of the URL then its view', function() {
+      var psv = createViewer('');
+
+      return wait().then(function() {
+        assert.equal(psv.tour.currentScene.id, 'hall');
+        psv.zoom(20);
+
+        return psv._applyUrlHash({ scene: 'garden', latitude: 0.25 });
+      }).then(function() {
+        assert.equal(psv.tour.currentScene.id, 'garden');
+        // the missing values are not changed
+        assertView(psv, 2, 0.25, 20);
+      });
+    });
+
+    it('should only apply the view in the current scene', function() {
+      var psv = createViewer('#scene=hall');
+      var scenes = 0;
+
+      return wait().then(function() {
+        psv.on('scene-changed', function() {
+          scenes++;
+        });
+
+        return psv._applyUrlHash({ scene: 'hall', longitude: 3, zoom: 10 });
+      }).then(function() {
+        assert.equal(scenes, 0);
+        assertView(psv, 3, 0.5, 10);
+      });
+    });
+  });
+});
@@ -0,0 +1,131 @@
+var assert = require('assert');
+var THREE = require('three');
+var loader = require('../loader.js');
+
+var lib = loader.load();
+var RADIUS = lib.PanoSphereViewer.SPHERE_RADIUS;
+
+/**
+ * Creates a viewer looking at longitude 0, the HUD coordinates of the points are their position on the sphere
+ * @returns {PSVHUD}
+ */
+function createHud() {
+  var psv = loader.createViewer(lib);
+
+  psv.prop.direction = psv.sphericalCoordsToVector3({ longitude: 0, latitude: 0 });
+  psv.vector3ToViewerCoords = function(vector) {
+    return vector.clone();
+  };
+
+  return psv.hud;
+}
+
+function getParts(hud, type, vertices) {
+  var def = { id: type };
+  def[type] = vertices;
+
+  return hud._getPolyParts(hud.addMarker(def, false));
+}
+
+/**
+ * Describes a point by its position, "limit" for the points at the limit of the visible hemisphere
+ */
+function describe3D(hud, point) {
+  assert.ok(hud.psv.isVector3Projectable(point));
+
+  // the precision of the dichotomy decreases with the length of the edge
+  if (point.z < RADIUS * 0.05) {
+    return 'limit';
+  }
+
+  var position = hud.psv.vector3ToSphericalCoords(point);
+  var longitude = position.longitude > Math.PI ? position.longitude - 2 * Math.PI : position.longitude;
+
+  return longitude.toFixed(1) + ',' + position.latitude.toFixed(1);
+}
+
+function describeParts(hud, parts) {
+  return parts.map(function(part) {
+    return part.map(describe3D.bind(null, hud));
+  });
+}
+
+
+describe('PSVHUD::_getPolyParts', function() {
+  it('should keep the polygons in the visible hemisphere', function() {
+    var hud = createHud();
+    var parts = getParts(hud, 'polygon', [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]]);
+
+    assert.deepEqual(describeParts(hud, parts), [['-0.5,-0.5', '0.5,-0.5', '0.5,0.5', '-0.5,0.5']]);
+  });
+
+  it('should hide the polygons in the other hemisphere', function() {
+    var hud = createHud();
+
+    assert.deepEqual(getParts(hud, 'polygon', [[2, -0.5], [3, -0.5], [3, 0.5]]), []);
+    assert.deepEqual(getParts(hud, 'polyline', [[2, -0.5], [3, -0.5], [3, 0.5]]), []);
+  });
+
+  it('should clip a polygon whose first vertex is hidden', function() {
+    var hud = createHud();
+    var parts = getParts(hud, 'polygon', [[2.5, 0], [0.5, 0.2], [-0.5, 0.2]]);
+
+    // enters the visible area, then leaves it on the last edge
+    assert.deepEqual(describeParts(hud, parts), [['limit', '0.5,0.2', '-0.5,0.2', 'limit']]);
+  });
+
+  it('should join the parts of a polygon which crosses the limit several times', function() {
+    var hud = createHud();
+    var parts = getParts(hud, 'polygon', [[0, -0.5], [2.5, 0], [0, 0.5], [-2.5, 0]]);
+
+    // a single ring starting at the first visible point after a hidden vertex
+    assert.deepEqual(describeParts(hud, parts), [['limit', '0.0,0.5', 'limit', 'limit', '0.0,-0.5', 'limit']]);
+  });
+
+  it('should split a polyline which leaves the visible area', function() {
+    var hud = createHud();
+    var parts = getParts(hud, 'polyline', [[-0.5, 0], [3, 0.2], [0.5, 0], [1, 0]]);
+
+    assert.deepEqual(describeParts(hud, parts), [['-0.5,0.0', 'limit'], ['limit', '0.5,0.0', '1.0,0.0']]);
+  });
+
+  it('should clip a polyline whose first vertex is hidden', function() {
+    var hud = createHud();
+    var parts = getParts(hud, 'polyline', [[3, 0], [0.5, 0], [-0.5, 0]]);
+
+    assert.deepEqual(describeParts(hud, parts), [['limit', '0.5,0.0', '-0.5,0.0']]);
+  });
+
+  it('should clip a single visible vertex to the limit', function() {
+    var hud = createHud();
+
+    assert.deepEqual(describeParts(hud, getParts(hud, 'polyline', [[3, 0], [0, 0]])), [['limit', '0.0,0.0']]);
+    assert.deepEqual(describeParts(hud, getParts(hud, 'polygon', [[-3, 0], [3, 0], [0, 1]])), [['limit', '0.0,1.0', 'limit']]);
+  });
+});
+
+
+describe('PSVHUD::_getPolyIntermediaryPoint', function() {
+  it('should find the visible point closest to the limit on the great circle', function() {
+    var hud = createHud();
+    var visible = hud.psv.sphericalCoordsToVector3({ longitude: 0, latitude: 0.3 });
+    var invisible = hud.psv.sphericalCoordsToVector3({ longitude: Math.PI, latitude: 0.3 });
+    var point = hud._getPolyIntermediaryPoint(visible, invisible);
+
+    assert.ok(hud.psv.isVector3Projectable(point));
+    assert.equal(point.length().toFixed(4), RADIUS.toFixed(4));
+    assert.ok(Math.abs(point.x) < 1e-6);
+    assert.ok(point.z > 0 && point.z < RADIUS * 0.05);
+    assert.ok(point.y > 0);
+  });
+
+  it('should return the visible end when the limit is at the visible end', function() {
+    var hud = createHud();
+    var visible = new THREE.Vector3(RADIUS, 0, RADIUS * 0.001).setLength(RADIUS);
+    var invisible = new THREE.Vector3(0, 0, -RADIUS);
+    var point = hud._getPolyIntermediaryPoint(visible, invisible);
+
+    assert.ok(hud.psv.isVector3Projectable(point));
+    assert.ok(point.angleTo(visible) < 0.01);
+  });
+});
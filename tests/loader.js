@@ -0,0 +1,295 @@
+var vm = require('vm');
+var fs = require('fs');
+var grunt = require('grunt');
+
+/**
+ * Minimal DOM element, enough to create the components without a browser
+ * @param {string} tagName
+ * @constructor
+ */
+function FakeElement(tagName) {
+  this.tagName = tagName.toUpperCase();
+  this.parentNode = null;
+  this.childNodes = [];
+  this.style = {};
+  this.dataset = {};
+  this.attributes = {};
+  this.className = '';
+  this.textContent = '';
+  this.html = '';
+  this.parsed = {};
+  this.listeners = {};
+
+  // every element has the size of the viewer
+  this.clientWidth = 800;
+  this.clientHeight = 600;
+
+  var el = this;
+  this.classList = {
+    add: function(name) {
+      if (!this.contains(name)) {
+        el.className = (el.className + ' ' + name).trim();
+      }
+    },
+    remove: function(name) {
+      el.className = el.className.split(/\s+/).filter(function(c) {
+        return c !== name;
+      }).join(' ');
+    },
+    contains: function(name) {
+      return el.className.split(/\s+/).indexOf(name) !== -1;
+    },
+    toggle: function(name, force) {
+      if (force === undefined ? !this.contains(name) : force) {
+        this.add(name);
+      }
+      else {
+        this.remove(name);
+      }
+    }
+  };
+}
+
+FakeElement.prototype.appendChild = function(child) {
+  if (child.parentNode) {
+    child.parentNode.removeChild(child);
+  }
+  child.parentNode = this;
+  this.childNodes.push(child);
+  return child;
+};
+
+FakeElement.prototype.insertBefore = FakeElement.prototype.appendChild;
+
+FakeElement.prototype.removeChild = function(child) {
+  this.childNodes.splice(this.childNodes.indexOf(child), 1);
+  child.parentNode = null;
+  return child;
+};
+
+FakeElement.prototype.contains = function(el) {
+  for (; el; el = el.parentNode) {
+    if (el === this) {
+      return true;
+    }
+  }
+  return false;
+};
+
+FakeElement.prototype.setAttribute = function(name, value) {
+  if (name === 'class') {
+    this.className = String(value);
+  }
+  this.attributes[name] = String(value);
+};
+
+FakeElement.prototype.setAttributeNS = function(ns, name, value) {
+  this.setAttribute(name, value);
+};
+
+FakeElement.prototype.getAttribute = function(name) {
+  if (name === 'class') {
+    return this.className;
+  }
+  return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+};
+
+FakeElement.prototype.removeAttribute = function(name) {
+  delete this.attributes[name];
+};
+
+FakeElement.prototype.addEventListener = function(type, listener) {
+  (this.listeners[type] = this.listeners[type] || []).push(listener);
+};
+
+FakeElement.prototype.removeEventListener = function(type, listener) {
+  var listeners = this.listeners[type] || [];
+  var index = listeners.indexOf(listener);
+
+  if (index !== -1) {
+    listeners.splice(index, 1);
+  }
+};
+
+// the HTML is not parsed, the elements queried by class or tag name are created when they are found in it
+Object.defineProperty(FakeElement.prototype, 'innerHTML', {
+  get: function() {
+    return this.html;
+  },
+  set: function(html) {
+    this.html = html === null ? '' : String(html);
+    this.parsed = {};
+  }
+});
+
+FakeElement.prototype.querySelector = function(selector) {
+  var className = selector.charAt(0) === '.' ? selector.slice(1) : null;
+  var pattern = className ? new RegExp('class="([^"]* )?' + className + '[ "]') : new RegExp('<' + selector + '[\\s>]');
+
+  var children = this.childNodes.concat(Object.keys(this.parsed).map(function(key) {
+    return this.parsed[key];
+  }, this));
+
+  for (var i = 0; i < children.length; i++) {
+    var child = children[i];
+
+    if (className ? child.classList.contains(className) : child.tagName === selector.toUpperCase()) {
+      return child;
+    }
+
+    var found = child.querySelector(selector);
+    if (found) {
+      return found;
+    }
+  }
+
+  if (!this.parsed[selector] && pattern.test(this.html)) {
+    this.parsed[selector] = this.ownerDocument.createElement(className ? 'div' : selector);
+    this.parsed[selector].className = className || '';
+  }
+
+  return this.parsed[selector] || null;
+};
+
+FakeElement.prototype.querySelectorAll = function() {
+  return [];
+};
+
+FakeElement.prototype.getBoundingClientRect = function() {
+  return { left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 };
+};
+
+FakeElement.prototype.focus = function() {
+  this.ownerDocument.activeElement = this;
+};
+
+// the drawings are ignored
+FakeElement.prototype.getContext = function() {
+  return new Proxy({}, {
+    get: function(context, name) {
+      return name in context ? context[name] : function() {};
+    }
+  });
+};
+
+/**
+ * Evaluates the sources of the library, in the order of the build, in a new context with a minimal DOM
+ * @returns {Object} the global functions of the library (PanoSphereViewer, PSVHUD, PSVUtils...)
+ */
+exports.load = function() {
+  var files = grunt.file.expand([
+    'src/js/PanoSphereViewer.js',
+    'src/js/PanoSphereViewer.*.js',
+    'src/js/components/PSVComponent.js',
+    'src/js/components/*.js',
+    'src/js/buttons/PSVNavBarButton.js',
+    'src/js/buttons/*.js',
+    'src/js/*.js'
+  ]);
+
+  var source = files.map(function(file) {
+    return fs.readFileSync(file, 'utf8');
+  }).join('\n');
+
+  // the icons are added like the build does
+  grunt.file.expand('src/icons/*.svg').forEach(function(file) {
+    source += '\nPanoSphereViewer.ICONS[' + JSON.stringify(file.split('/').pop()) + '] = ' +
+      JSON.stringify(fs.readFileSync(file, 'utf8').replace(/[\r\n]/g, '')) + ';';
+  });
+
+  var names = [];
+  source.replace(/^(?:function|var) (\w+)/gm, function(match, name) {
+    names.push(name);
+  });
+
+  var document = {
+    activeElement: null,
+    createElement: function(tagName) {
+      var el = new FakeElement(tagName);
+      el.ownerDocument = document;
+      return el;
+    },
+    createElementNS: function(ns, tagName) {
+      return document.createElement(tagName);
+    },
+    addEventListener: function() {},
+    removeEventListener: function() {}
+  };
+
+  var context = vm.createContext({
+    console: console,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    AbortController: AbortController,
+    // no element is a video
+    HTMLVideoElement: function HTMLVideoElement() {},
+    navigator: { userAgent: '' },
+    document: document,
+    addEventListener: function() {},
+    removeEventListener: function() {},
+    getComputedStyle: function(el) {
+      return el.style;
+    },
+    // nothing is animated, the render loop does not run
+    requestAnimationFrame: function() {
+      return 0;
+    },
+    cancelAnimationFrame: function() {}
+  });
+  context.window = context;
+
+  var factory = vm.runInContext('(function(THREE, D, uEvent, doT) {\n"use strict";\n' + source +
+    '\nreturn {' + names.map(function(name) {
+      return name + ': ' + name;
+    }).join(', ') + '};\n})', context);
+
+  // the scene is rendered by a renderer which draws nothing
+  var THREE = Object.create(require('three'));
+  THREE.CanvasRenderer = function() {
+    this.domElement = document.createElement('canvas');
+  };
+  THREE.CanvasRenderer.prototype.setSize = function() {};
+  THREE.CanvasRenderer.prototype.setPixelRatio = function() {};
+  THREE.CanvasRenderer.prototype.render = function() {};
+  THREE.Projector = function() {};
+
+  var lib = factory(THREE, require('d.js'), require('uevent'), require('dot/doT'));
+
+  // the capabilities of the browser cannot be detected
+  var system = lib.PanoSphereViewer.SYSTEM;
+  system.loaded = true;
+  system.pixelRatio = 1;
+  system.isWebGLSupported = false;
+  system.isCanvasSupported = true;
+  system.maxTextureWidth = 4096;
+  system.mouseWheelEvent = 'wheel';
+  system.fullscreenEvent = 'fullscreenchange';
+  system.deviceOrientationSupported = require('d.js').resolved(false);
+
+  lib.document = document;
+  lib.window = context;
+
+  return lib;
+};
+
+/**
+ * Creates a viewer without panorama, its components are created but nothing is rendered
+ * @param {Object} lib - returned by {@link load}
+ * @param {Object} [options]
+ * @returns {PanoSphereViewer}
+ */
+exports.createViewer = function(lib, options) {
+  options = options || {};
+  options.container = lib.document.createElement('div');
+  options.webgl = false;
+
+  // the animations are never completed
+  if (options.time_anim === undefined) {
+    options.time_anim = false;
+  }
+  if (options.transition === undefined) {
+    options.transition = false;
+  }
+
+  return new lib.PanoSphereViewer(options);
+};
@@ -0,0 +1,96 @@
+var assert = require('assert');
+var THREE = require('three');
+var D = require('d.js');
+var loader = require('../loader.js');
+
+var lib = loader.load();
+
+/**
+ * Calls a function while the uncaught errors are collected instead of failing the test
+ * @returns {Promise.<Error[]>} resolved after the errors thrown asynchronously by the function
+ */
+function catchUncaught(fn) {
+  var errors = [];
+  var listeners = process.listeners('uncaughtException');
+  var collect = function(e) {
+    errors.push(e);
+  };
+
+  process.removeAllListeners('uncaughtException');
+  process.on('uncaughtException', collect);
+
+  var restore = function() {
+    process.removeListener('uncaughtException', collect);
+    listeners.forEach(function(listener) {
+      process.on('uncaughtException', listener);
+    });
+  };
+
+  return D.promisify(fn())
+    .then(undefined, function() {})
+    .then(function() {
+      return D.delay(20);
+    })
+    .ensure(restore)
+    .then(function() {
+      return errors;
+    });
+}
+
+
+describe('PanoSphereViewer::setPanorama', function() {
+  it('should reject the promise on unexpected errors and restore the previous panorama', function() {
+    var psv = loader.createViewer(lib);
+    var error = new TypeError('unexpected');
+    var rejection = null;
+
+    psv.config.panorama = 'previous.jpg';
+    psv._loadTexture = function() {
+      return D.rejected(error);
+    };
+
+    return catchUncaught(function() {
+      return psv.setPanorama('next.jpg').then(undefined, function(e) {
+        rejection = e;
+      });
+    }).then(function(uncaught) {
+      assert.strictEqual(rejection, error);
+      assert.deepEqual(uncaught, [error]);
+      assert.equal(psv.config.panorama, 'previous.jpg');
+      assert.strictEqual(psv.prop.loading_promise, null);
+    });
+  });
+
+  it('should reject the promise when the panorama cannot be displayed by the viewer', function() {
+    var psv = loader.createViewer(lib);
+    var rejection = null;
+
+    psv.config.panorama = ['l.jpg', 'f.jpg', 'r.jpg', 'b.jpg', 't.jpg', 'd.jpg'];
+    psv.prop.isCubemap = true;
+
+    return psv.setPanorama('next.jpg').then(undefined, function(e) {
+      rejection = e;
+    }).then(function() {
+      assert.ok(rejection instanceof lib.PSVError);
+      assert.ok(!(rejection instanceof lib.PSVLoadError));
+      assert.equal(psv.config.panorama[0], 'l.jpg');
+      assert.equal(psv.canvas_container ? psv.canvas_container.style.opacity : 1, 1);
+      assert.strictEqual(psv.prop.loading_promise, null);
+    });
+  });
+
+  it('should resolve the promise when the texture is displayed', function() {
+    var psv = loader.createViewer(lib);
+    var texture = new THREE.Texture({ width: 2, height: 1 });
+
+    psv.prop.isCubemap = false;
+    psv._loadTexture = function() {
+      return D.resolved(texture);
+    };
+
+    return psv.setPanorama('next.jpg').then(function() {
+      assert.equal(psv.config.panorama, 'next.jpg');
+      assert.strictEqual(psv.mesh.material.map, texture);
+    });
+  });
+});
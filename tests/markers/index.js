@@ -0,0 +1,438 @@
+var assert = require('assert');
+var loader = require('../loader.js');
+
+var lib = loader.load();
+
+var MARKERS = [
+  {
+    id: 'house',
+    html: '<b>House</b>',
+    longitude: 0.5,
+    latitude: 0.25,
+    width: 32,
+    height: 32,
+    anchor: 'bottom center',
+    tooltip: 'A house',
+    content: '<p>House</p>',
+    data: { floors: 2 },
+    layer: 'buildings',
+    minZoom: 10
+  },
+  {
+    id: 'garden',
+    polygon: [[0.1, 0.1], [0.2, 0.1], [0.2, 0.2]],
+    svgStyle: { fill: 'green' }
+  },
+  {
+    id: 'path',
+    polyline: [[0.1, -0.1], [0.3, -0.2]]
+  }
+];
+
+/**
+ * Creates a viewer with the same markers, the JSON is parsed by the viewer like in a page
+ */
+function createViewer() {
+  var psv = loader.createViewer(lib);
+
+  psv.hud.importMarkers(JSON.stringify(MARKERS));
+
+  return psv;
+}
+
+/**
+ * Rounds the numbers of an object, the conversions to degrees are not exact
+ */
+function round(value) {
+  if (typeof value === 'number') {
+    return Math.round(value * 1e6) / 1e6;
+  }
+  else if (Array.isArray(value)) {
+    return value.map(round);
+  }
+  else if (value && typeof value === 'object') {
+    return Object.keys(value).reduce(function(result, key) {
+      result[key] = round(value[key]);
+      return result;
+    }, {});
+  }
+
+  return value;
+}
+
+
+describe('PSVHUD::exportMarkers', function() {
+  it('should export the configuration of the markers', function() {
+    var json = createViewer().hud.exportMarkers();
+
+    assert.deepEqual(json.map(function(marker) {
+      return marker.id;
+    }), ['house', 'garden', 'path']);
+
+    assert.deepEqual(json[0].anchor, { left: 0.5, top: 1 });
+    assert.deepEqual(json[0].tooltip, { content: 'A house' });
+    assert.deepEqual(json[0].data, { floors: 2 });
+    assert.deepEqual(json[1].polygon, MARKERS[1].polygon);
+    assert.strictEqual(json[1].longitude, undefined);
+  });
+
+  it('should export a GeoJSON collection in degrees', function() {
+    var geojson = createViewer().hud.exportMarkers('geojson');
+
+    assert.equal(geojson.type, 'FeatureCollection');
+    assert.deepEqual(round(geojson.features[0].geometry), round({
+      type: 'Point',
+      coordinates: [0.5 * 180 / Math.PI, 0.25 * 180 / Math.PI]
+    }));
+    assert.equal(geojson.features[0].id, 'house');
+    assert.strictEqual(geojson.features[0].properties.id, undefined);
+    assert.equal(geojson.features[0].properties.layer, 'buildings');
+
+    // the ring of the polygon is closed
+    assert.equal(geojson.features[1].geometry.type, 'Polygon');
+    assert.equal(geojson.features[1].geometry.coordinates[0].length, 4);
+    assert.equal(geojson.features[2].geometry.type, 'LineString');
+  });
+
+  it('should not export the markers of the tour and of the editor', function() {
+    var psv = createViewer();
+
+    psv.hud.addMarker({ id: lib.PSVTour.LINK_PREFIX + 0, longitude: 0, latitude: 0, html: 'Link' }, false);
+    psv.hud.addMarker({ id: lib.PSVMarkerEditor.DRAWING_ID, polyline: [[0, 0], [1, 1]] }, false);
+
+    assert.equal(psv.hud.exportMarkers().length, 3);
+  });
+
+  it('should reject the unknown formats', function() {
+    assert.throws(function() {
+      createViewer().hud.exportMarkers('kml');
+    }, lib.PSVError);
+  });
+});
+
+
+describe('PSVHUD::importMarkers', function() {
+  it('should import the exported JSON', function() {
+    var source = createViewer();
+    var target = loader.createViewer(lib);
+
+    target.hud.importMarkers(JSON.stringify(source.hud.exportMarkers()));
+
+    assert.deepEqual(target.hud.exportMarkers(), source.hud.exportMarkers());
+  });
+
+  it('should import the exported GeoJSON', function() {
+    var source = createViewer();
+    var target = loader.createViewer(lib);
+
+    target.hud.importMarkers(JSON.stringify(source.hud.exportMarkers('geojson')));
+
+    assert.deepEqual(round(target.hud.exportMarkers()), round(source.hud.exportMarkers()));
+  });
+
+  it('should replace the current markers', function() {
+    var psv = createViewer();
+
+    var added = psv.hud.importMarkers([{ id: 'tree', html: 'Tree', longitude: 1, latitude: 0 }], true);
+
+    assert.equal(added.length, 1);
+    assert.strictEqual(added[0], psv.hud.getMarker('tree'));
+    assert.deepEqual(Object.keys(psv.hud.markers), ['tree']);
+  });
+
+  it('should not change the markers when the input is incorrect', function() {
+    var psv = createViewer();
+    var before = JSON.stringify(psv.hud.exportMarkers());
+
+    [
+      '[{"id": "tree"',
+      { type: 'Feature' },
+      null,
+      [{ id: 'tree', html: 'Tree', longitude: 1, latitude: 0 }, 'bush'],
+      [{ id: 'tree', html: 'Tree', longitude: 1, latitude: 0 }, { html: 'No id', longitude: 0, latitude: 0 }],
+      [{ id: 'tree', html: 'Tree', longitude: 1, latitude: 0 }, { id: 'tree', html: 'Tree', longitude: 1, latitude: 0 }],
+      { type: 'FeatureCollection', features: [{ id: 'area', geometry: { type: 'MultiPolygon', coordinates: [] } }] },
+      { type: 'FeatureCollection', features: [{ id: 'point', geometry: { type: 'Point', coordinates: [10] } }] }
+    ].forEach(function(markers) {
+      assert.throws(function() {
+        psv.hud.importMarkers(markers, true);
+      }, lib.PSVError);
+    });
+
+    // an existing id without replacing the markers
+    assert.throws(function() {
+      psv.hud.importMarkers([{ id: 'house', html: 'House', longitude: 0, latitude: 0 }]);
+    }, lib.PSVError);
+
+    assert.equal(JSON.stringify(psv.hud.exportMarkers()), before);
+  });
+});
+
+
+describe('PSVHUD::_featureToMarker', function() {
+  var psv = loader.createViewer(lib);
+
+  it('should convert the coordinates to radians and keep the properties', function() {
+    var marker = psv.hud._featureToMarker({
+      type: 'Feature',
+      id: 'tree',
+      geometry: { type: 'Point', coordinates: [90, -45] },
+      properties: { html: 'Tree', id: 'ignored' }
+    });
+
+    assert.deepEqual(round(marker), round({ html: 'Tree', id: 'tree', longitude: Math.PI / 2, latitude: -Math.PI / 4 }));
+  });
+
+  it('should remove the vertex closing the ring of a polygon', function() {
+    var marker = psv.hud._featureToMarker({
+      type: 'Feature',
+      id: 'area',
+      geometry: { type: 'Polygon', coordinates: [[[0, 0], [90, 0], [90, 45], [0, 0]]] }
+    });
+
+    assert.equal(marker.polygon.length, 3);
+  });
+});
+
+
+/**
+ * Creates a viewer whose markers are all in the viewport, to test the other visibility rules
+ */
+function createVisibleViewer() {
+  var psv = createViewer();
+
+  psv.hud.show();
+  psv.hud._getMarkerPosition = function() {
+    return { x: 0, y: 0 };
+  };
+  psv.hud._isMarkerVisible = function() {
+    return true;
+  };
+  psv.hud._getPolyParts = function(marker) {
+    return [marker.positions3D];
+  };
+  psv.hud._getPolyDimensions = function() {
+    return { x: 0, y: 0 };
+  };
+
+  return psv;
+}
+
+function isDisplayed(psv, id) {
+  return psv.hud.getMarker(id).$el.classList.contains('psv-marker--visible');
+}
+
+
+describe('PSVHUD::getLayers', function() {
+  it('should list the layers of the markers once, sorted', function() {
+    var psv = createViewer();
+
+    psv.hud.addMarker({ id: 'light', html: 'Light', longitude: 0, latitude: 0, layer: 'electrical' }, false);
+    psv.hud.addMarker({ id: 'pipe', polyline: [[0, 0], [1, 0]], layer: 'plumbing' }, false);
+
+    assert.deepEqual(psv.hud.getLayers(), ['buildings', 'electrical', 'plumbing']);
+
+    psv.hud.removeMarker('house', false);
+    assert.deepEqual(psv.hud.getLayers(), ['electrical', 'plumbing']);
+  });
+});
+
+
+describe('PSVHUD::_setLayerVisibility', function() {
+  it('should hide and show the markers of a layer', function() {
+    var psv = createVisibleViewer();
+    var events = [];
+
+    psv.on('layer-visibility-updated', function(layer, visible) {
+      events.push(layer + ':' + visible);
+    });
+
+    psv.prop.zoom_lvl = 20;
+    psv.hud.renderMarkers();
+    assert.ok(isDisplayed(psv, 'house'));
+    assert.ok(isDisplayed(psv, 'garden'));
+
+    psv.hud.hideLayer('buildings');
+    psv.hud.hideLayer('buildings');
+    assert.ok(!psv.hud.isLayerVisible('buildings'));
+    assert.ok(!isDisplayed(psv, 'house'));
+    assert.ok(isDisplayed(psv, 'garden'));
+
+    psv.hud.toggleLayer('buildings');
+    assert.ok(isDisplayed(psv, 'house'));
+
+    assert.deepEqual(events, ['buildings:false', 'buildings:true']);
+  });
+
+  it('should not show the hidden markers of a visible layer', function() {
+    var psv = createVisibleViewer();
+
+    psv.prop.zoom_lvl = 20;
+    psv.hud.hideMarker('house');
+    psv.hud.hideLayer('buildings');
+    psv.hud.showLayer('buildings');
+
+    assert.ok(!isDisplayed(psv, 'house'));
+  });
+
+  it('should accept any name of layer', function() {
+    var psv = createViewer();
+
+    assert.ok(psv.hud.isLayerVisible('constructor'));
+    assert.ok(psv.hud.isLayerVisible('__proto__'));
+
+    psv.hud.hideLayer('constructor');
+    assert.ok(!psv.hud.isLayerVisible('constructor'));
+    assert.ok(psv.hud.isLayerVisible('toString'));
+  });
+
+  it('should update the opened list of markers', function() {
+    var psv = createViewer();
+    var rendered = 0;
+
+    psv.hud.showMarkersList = function() {
+      rendered++;
+    };
+
+    psv.hud.hideLayer('buildings');
+    assert.equal(rendered, 0);
+
+    psv.hud.prop.panelOpened = true;
+    psv.hud.showLayer('buildings');
+    assert.equal(rendered, 1);
+  });
+});
+
+
+describe('PSVMarker::isInZoomRange', function() {
+  it('should check the inclusive zoom bounds', function() {
+    var psv = createViewer();
+    var marker = psv.hud.addMarker({ id: 'tree', html: 'Tree', longitude: 0, latitude: 0, minZoom: 20, maxZoom: 60 }, false);
+
+    assert.ok(!marker.isInZoomRange(19));
+    assert.ok(marker.isInZoomRange(20));
+    assert.ok(marker.isInZoomRange(60));
+    assert.ok(!marker.isInZoomRange(61));
+
+    assert.ok(psv.hud.getMarker('garden').isInZoomRange(0));
+    assert.ok(psv.hud.getMarker('house').isInZoomRange(100));
+    assert.ok(!psv.hud.getMarker('house').isInZoomRange(0));
+  });
+
+  it('should hide the markers out of the zoom range', function() {
+    var psv = createVisibleViewer();
+
+    psv.prop.zoom_lvl = 5;
+    psv.hud.renderMarkers();
+    assert.ok(!isDisplayed(psv, 'house'));
+
+    psv.prop.zoom_lvl = 10;
+    psv.hud.renderMarkers();
+    assert.ok(isDisplayed(psv, 'house'));
+  });
+});
+
+
+describe('PSVMarker::setDetailed', function() {
+  var DETAILED = { zoom: 50, html: '<b>Big house</b>', width: 200, height: 100, className: 'big' };
+
+  function createMarker(psv, properties) {
+    return psv.hud.addMarker(lib.PSVUtils.deepmerge({
+      id: 'tree',
+      html: 'Tree',
+      longitude: 0,
+      latitude: 0,
+      width: 32,
+      height: 32,
+      detailed: lib.PSVUtils.clone(DETAILED)
+    }, properties || {}), false);
+  }
+
+  it('should swap the content, size and class of the representations', function() {
+    var marker = createMarker(createViewer());
+
+    assert.ok(marker.setDetailed(true));
+    assert.ok(!marker.setDetailed(true));
+    assert.ok(marker.isDetailed());
+    assert.equal(marker.$el.innerHTML, '<b>Big house</b>');
+    assert.equal(marker.$el.style.width, '200px');
+    assert.ok(marker.$el.classList.contains('psv-marker--detailed'));
+    assert.ok(marker.$el.classList.contains('big'));
+
+    // the compact representation is exported
+    assert.equal(marker.getConfig().html, 'Tree');
+    assert.equal(marker.getConfig().width, 32);
+
+    assert.ok(marker.setDetailed(false));
+    assert.ok(!marker.isDetailed());
+    assert.equal(marker.$el.innerHTML, 'Tree');
+    assert.equal(marker.$el.style.width, '32px');
+    assert.ok(!marker.$el.classList.contains('big'));
+  });
+
+  it('should measure the representations without size', function() {
+    var marker = createMarker(createViewer(), { width: null, height: null });
+
+    marker.setDetailed(true);
+    assert.equal(marker.$el.style.width, '200px');
+
+    marker.setDetailed(false);
+    assert.equal(marker.$el.style.width, '');
+    assert.equal(marker.width, undefined);
+
+    marker = createMarker(createViewer(), { detailed: { zoom: 50, html: '<b>Big house</b>' } });
+
+    marker.setDetailed(true);
+    assert.equal(marker.$el.style.width, '');
+
+    marker.setDetailed(false);
+    assert.equal(marker.$el.style.width, '32px');
+  });
+
+  it('should apply the updates to the compact representation', function() {
+    var marker = createMarker(createViewer());
+
+    marker.setDetailed(true);
+    marker.update({ html: 'Pine' });
+
+    assert.ok(!marker.isDetailed());
+    assert.equal(marker.$el.innerHTML, 'Pine');
+
+    marker.setDetailed(true);
+    marker.setDetailed(false);
+    assert.equal(marker.$el.innerHTML, 'Pine');
+  });
+
+  it('should display the detailed representation from its zoom level', function() {
+    var psv = createVisibleViewer();
+    var marker = createMarker(psv);
+
+    psv.prop.zoom_lvl = 49;
+    psv.hud.renderMarkers();
+    assert.ok(!marker.isDetailed());
+
+    psv.prop.zoom_lvl = 50;
+    psv.hud.renderMarkers();
+    assert.ok(marker.isDetailed());
+    assert.ok(isDisplayed(psv, 'tree'));
+
+    psv.prop.zoom_lvl = 10;
+    psv.hud.renderMarkers();
+    assert.ok(!marker.isDetailed());
+  });
+
+  it('should reject the incorrect detailed representations', function() {
+    var psv = createViewer();
+
+    assert.throws(function() {
+      createMarker(psv, { detailed: { zoom: null } });
+    }, lib.PSVError);
+
+    assert.throws(function() {
+      psv.hud.addMarker({ id: 'area', polygon: [[0, 0], [1, 0], [1, 1]], detailed: { zoom: 50 } }, false);
+    }, lib.PSVError);
+
+    assert.ok(!psv.hud.markers.tree && !psv.hud.markers.area);
+    assert.ok(!psv.hud.getMarker('house').setDetailed(true));
+  });
+});
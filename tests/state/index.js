@@ -0,0 +1,140 @@
+var assert = require('assert');
+var loader = require('../loader.js');
+
+var lib = loader.load();
+
+var MARKERS = [
+  { id: 'house', html: 'House', longitude: 0, latitude: 0, content: '<p>House</p>', layer: 'buildings' },
+  { id: 'tree', html: 'Tree', longitude: 1, latitude: 0, layer: 'plants' }
+];
+
+/**
+ * Creates a viewer with the same markers
+ */
+function createViewer() {
+  var psv = loader.createViewer(lib);
+
+  MARKERS.forEach(function(marker) {
+    psv.hud.addMarker(JSON.parse(JSON.stringify(marker)), false);
+  });
+
+  return psv;
+}
+
+/**
+ * Restores the JSON snapshot of a viewer in another viewer
+ */
+function transfer(source, target) {
+  return target.setState(JSON.parse(JSON.stringify(source.getState())));
+}
+
+
+describe('PanoSphereViewer::getState', function() {
+  it('should describe the panel instead of copying its content', function() {
+    var psv = createViewer();
+
+    assert.strictEqual(psv.getState().panel, null);
+
+    psv.hud.showMarkersList();
+    assert.deepEqual(psv.getState().panel, { type: 'markers-list' });
+
+    psv.hud.showMarkerPanel('house');
+    assert.deepEqual(psv.getState().panel, { type: 'marker', marker: 'house' });
+
+    psv.panel.showPanel('<p>Custom</p>');
+    assert.strictEqual(psv.getState().panel, null);
+
+    psv.hud.showMarkerPanel('house');
+    psv.panel.hidePanel();
+    assert.strictEqual(psv.getState().panel, null);
+  });
+});
+
+
+describe('PanoSphereViewer::setState', function() {
+  it('should restore the state returned by getState', function() {
+    var source = createViewer();
+    var target = createViewer();
+
+    source.rotate({ longitude: 1.5, latitude: -0.5 });
+    source.zoom(30);
+    source.hud.hideMarker('tree');
+    source.hud.hideLayer('buildings');
+    source.hud.currentMarker = source.hud.getMarker('house');
+    source.hud.showMarkersList();
+
+    return transfer(source, target).then(function() {
+      assert.deepEqual(target.getState(), source.getState());
+      assert.strictEqual(target.hud.getCurrentMarker(), target.hud.getMarker('house'));
+      assert.ok(!target.hud.isLayerVisible('buildings'));
+      assert.ok(target.hud.prop.panelOpened);
+      assert.ok(target.panel.prop.opened);
+    });
+  });
+
+  it('should not hide the layers named like the properties of objects', function() {
+    var psv = createViewer();
+
+    return psv.setState({ hidden_layers: ['plants'] }).then(function() {
+      assert.deepEqual(psv.getState().hidden_layers, ['plants']);
+      assert.ok(psv.hud.isLayerVisible('constructor'));
+      assert.ok(psv.hud.isLayerVisible('toString'));
+      assert.ok(!psv.hud.isLayerVisible('plants'));
+    });
+  });
+
+  it('should reopen the content of a marker with the markers component', function() {
+    var source = createViewer();
+    var target = createViewer();
+
+    source.hud.showMarkerPanel('house');
+
+    return transfer(source, target).then(function() {
+      assert.strictEqual(target.hud.prop.panelMarker, target.hud.getMarker('house'));
+      assert.equal(target.panel.content.innerHTML, '<p>House</p>');
+
+      // the panel is followed by the component after it was restored
+      target.panel.hidePanel();
+      assert.strictEqual(target.hud.prop.panelMarker, null);
+    });
+  });
+
+  it('should reopen the marker editor', function() {
+    var source = createViewer();
+    var target = createViewer();
+
+    source.hud.startMarkerEditor();
+    source.hud.editor.select('tree');
+    target.hud.startMarkerEditor();
+
+    return transfer(source, target).then(function() {
+      assert.strictEqual(target.hud.editor.selectedMarker, target.hud.getMarker('tree'));
+      assert.deepEqual(target.getState().panel, { type: 'marker-editor', marker: 'tree' });
+    });
+  });
+
+  it('should close the panel if its content cannot be displayed', function() {
+    var psv = createViewer();
+
+    psv.hud.showMarkersList();
+
+    return psv.setState({ panel: { type: 'marker', marker: 'unknown' } }).then(function() {
+      assert.ok(!psv.panel.prop.opened);
+
+      psv.hud.showMarkersList();
+
+      // the marker editor is not enabled
+      return psv.setState({ panel: { type: 'marker-editor', marker: 'house' } });
+    }).then(function() {
+      assert.ok(!psv.panel.prop.opened);
+
+      psv.hud.showMarkersList();
+
+      // the marker has no content
+      return psv.setState({ panel: { type: 'marker', marker: 'tree' } });
+    }).then(function() {
+      assert.ok(!psv.panel.prop.opened);
+      assert.ok(!psv.hud.prop.panelOpened);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+var assert = require('assert');
+var D = require('d.js');
+var loader = require('../loader.js');
+
+var lib = loader.load();
+var PSVStore = lib.PSVStore;
+
+/**
+ * Object store in memory, the requests succeed asynchronously like in IndexedDB
+ */
+function FakeObjectStore() {
+  this.records = {};
+}
+
+FakeObjectStore.prototype._request = function(result) {
+  var request = { result: result };
+
+  setTimeout(function() {
+    request.onsuccess();
+  });
+
+  return request;
+};
+
+FakeObjectStore.prototype.get = function(url) {
+  return this._request(this.records[url] ? lib.PSVUtils.clone(this.records[url]) : undefined);
+};
+
+FakeObjectStore.prototype.put = function(record) {
+  this.records[record.url] = record;
+};
+
+FakeObjectStore.prototype.delete = function(url) {
+  delete this.records[url];
+};
+
+FakeObjectStore.prototype.index = function() {
+  var store = this;
+  var records = Object.keys(this.records).map(function(url) {
+    return store.records[url];
+  }).sort(function(a, b) {
+    return a.access - b.access;
+  });
+
+  return {
+    openCursor: function() {
+      var request = store._request(null);
+      var i = 0;
+      var next = function() {
+        request.result = i < records.length ? {
+          value: records[i++],
+          continue: function() {
+            setTimeout(function() {
+              next();
+              request.onsuccess();
+            });
+          }
+        } : null;
+      };
+
+      next();
+      return request;
+    }
+  };
+};
+
+/**
+ * Creates a store whose transactions use an object store in memory
+ */
+function createStore(config) {
+  var store = new PSVStore(lib.PSVUtils.deepmerge({ db_name: 'test', max_size: 1, max_age: 0 }, config || {}));
+
+  store.objectStore = new FakeObjectStore();
+  store._transaction = function(mode, callback) {
+    var result = {};
+
+    callback(store.objectStore, result);
+
+    return D.delay(null, 20).then(function() {
+      return result.value;
+    });
+  };
+
+  return store;
+}
+
+function record(url, size, access) {
+  return { url: url, blob: { size: size }, size: size, time: access, access: access };
+}
+
+
+describe('PSVStore::prune', function() {
+  it('should remove the least recently used files exceeding the maximum size', function() {
+    var store = createStore();
+    var now = Date.now();
+
+    store.objectStore.put(record('a.jpg', 600 * 1024, now - 10));
+    store.objectStore.put(record('b.jpg', 300 * 1024, now - 30));
+    store.objectStore.put(record('c.jpg', 300 * 1024, now - 20));
+
+    return store.prune().then(function(size) {
+      assert.deepEqual(Object.keys(store.objectStore.records).sort(), ['a.jpg', 'c.jpg']);
+      assert.equal(size, 900 * 1024);
+      assert.equal(store.size, size);
+    });
+  });
+
+  it('should remove the expired files', function() {
+    var store = createStore({ max_age: 1000 });
+    var now = Date.now();
+
+    store.objectStore.put(record('a.jpg', 1024, now - 2000));
+    store.objectStore.put(record('b.jpg', 1024, now));
+
+    return store.prune().then(function(size) {
+      assert.deepEqual(Object.keys(store.objectStore.records), ['b.jpg']);
+      assert.equal(size, 1024);
+    });
+  });
+});
+
+
+describe('PSVStore::setMetadata', function() {
+  it('should only change the metadata of the file', function() {
+    var store = createStore();
+    var stored = record('a.jpg', 1024, Date.now() - 1000);
+
+    store.objectStore.put(stored);
+    store.size = 1024;
+
+    return store.setMetadata('a.jpg', { full_width: 2000 }).then(function() {
+      var updated = store.objectStore.records['a.jpg'];
+
+      assert.deepEqual(updated.metadata, { full_width: 2000 });
+      assert.equal(updated.access, stored.access);
+      assert.equal(updated.time, stored.time);
+      assert.strictEqual(updated.blob, stored.blob);
+      assert.equal(store.size, 1024);
+    });
+  });
+
+  it('should not store again a removed file', function() {
+    var store = createStore();
+
+    return store.setMetadata('a.jpg', { full_width: 2000 }).then(function() {
+      assert.deepEqual(store.objectStore.records, {});
+    });
+  });
+});
+
+
+describe('PanoSphereViewer::_loadStoredMetadata', function() {
+  it('should parse the headers once and only store the metadata', function() {
+    var psv = loader.createViewer(lib);
+    var parsed = 0;
+
+    psv.store = createStore();
+    psv.store.put = function() {
+      throw new Error('the file must not be written again');
+    };
+    psv._loadMetadata = function() {
+      parsed++;
+      return D.resolved({ full_width: 2000 });
+    };
+
+    var stored = record('a.jpg', 1024, Date.now());
+    psv.store.objectStore.put(stored);
+
+    var file = lib.PSVUtils.clone(stored);
+
+    return psv._loadStoredMetadata(file)
+      .then(function(metadata) {
+        assert.deepEqual(metadata, { full_width: 2000 });
+        return D.delay(null, 50);
+      })
+      .then(function() {
+        assert.deepEqual(psv.store.objectStore.records['a.jpg'].metadata, { full_width: 2000 });
+        return psv._loadStoredMetadata(file);
+      })
+      .then(function(metadata) {
+        assert.deepEqual(metadata, { full_width: 2000 });
+        assert.equal(parsed, 1);
+      });
+  });
+});
@@ -0,0 +1,327 @@
+var assert = require('assert');
+var THREE = require('three');
+var D = require('d.js');
+var loader = require('../loader.js');
+
+var lib = loader.load();
+
+var PANORAMA = {
+  tileUrl: '{level}/{col}_{row}.jpg',
+  baseUrl: 'base.jpg',
+  levels: [
+    { width: 8192, cols: 16, rows: 8 },
+    { width: 2048, cols: 4, rows: 2 }
+  ]
+};
+
+var SMALL = {
+  tileUrl: '{level}/{col}_{row}.jpg',
+  baseUrl: 'base.jpg',
+  levels: [
+    { width: 2048, cols: 2, rows: 1 }
+  ]
+};
+
+var CUBEMAP = {
+  tileUrl: '{face}/{level}/{col}_{row}.jpg',
+  baseUrl: ['l.jpg', 'f.jpg', 'r.jpg', 'b.jpg', 't.jpg', 'd.jpg'],
+  levels: [
+    { faceSize: 1024, cols: 2 }
+  ]
+};
+
+/**
+ * Creates a viewer whose images are loaded when the test resolves the requests
+ */
+function createViewer(options) {
+  var psv = loader.createViewer(lib, options);
+
+  psv.requests = [];
+  psv._loadImage = function(url, onprogress, signal) {
+    var request = { url: url, signal: signal, defer: D() };
+
+    lib.PSVUtils.onAbort(signal, function() {
+      request.defer.reject(new lib.PSVAbortError());
+    });
+
+    psv.requests.push(request);
+    return request.defer.promise;
+  };
+
+  return psv;
+}
+
+/**
+ * Loads and displays a tiled panorama
+ */
+function display(psv, panorama) {
+  var loading = psv._loadTexture(panorama);
+
+  psv.requests.splice(0).forEach(function(request) {
+    request.defer.resolve({ width: 1, height: 1 });
+  });
+
+  return loading.then(function(texture) {
+    psv._setTexture(texture);
+    return psv.prop.tiles;
+  });
+}
+
+function urls(psv) {
+  return psv.requests.map(function(request) {
+    return request.url;
+  });
+}
+
+function wait() {
+  return D.delay(null, 10);
+}
+
+
+describe('PanoSphereViewer::_parseTilesLevels', function() {
+  var psv = createViewer();
+
+  it('should sort the levels and compute the tiles of each level', function() {
+    var levels = psv._parseTilesLevels({
+      tileUrl: '',
+      tileSize: 512,
+      levels: [{ width: 4000 }, { width: 1000, height: 400 }]
+    });
+
+    assert.deepEqual(levels, [
+      { width: 1000, height: 400, cols: 2, rows: 1, tileSize: 512 },
+      { width: 4000, height: 2000, cols: 8, rows: 4, tileSize: 512 }
+    ]);
+  });
+
+  it('should use the face size of cubemaps', function() {
+    assert.deepEqual(psv._parseTilesLevels(CUBEMAP), [
+      { width: 1024, height: 1024, cols: 2, rows: 2, tileSize: 0 }
+    ]);
+  });
+
+  it('should reject the incomplete levels', function() {
+    assert.throws(function() {
+      psv._parseTilesLevels({ tileUrl: '', levels: [] });
+    }, lib.PSVError);
+
+    assert.throws(function() {
+      psv._parseTilesLevels({ tileUrl: '', levels: [{ height: 1000, cols: 2, rows: 1 }] });
+    }, lib.PSVError);
+
+    assert.throws(function() {
+      psv._parseTilesLevels({ tileUrl: '', levels: [{ width: 1000 }] });
+    }, lib.PSVError);
+  });
+});
+
+
+describe('PanoSphereViewer::_getTileBounds', function() {
+  var psv = createViewer();
+
+  it('should divide the level in equal tiles', function() {
+    var tiles = { levels: psv._parseTilesLevels(PANORAMA) };
+
+    assert.deepEqual(psv._getTileBounds(tiles, 0, 3, 1), { x: 0.75, y: 0.5, width: 0.25, height: 0.5 });
+  });
+
+  it('should reduce the last tiles to the size of the level', function() {
+    var tiles = { levels: psv._parseTilesLevels({ tileUrl: '', tileSize: 512, levels: [{ width: 1280, height: 640 }] }) };
+    var bounds = psv._getTileBounds(tiles, 0, 2, 1);
+
+    assert.equal(bounds.x, 0.8);
+    assert.equal(bounds.width.toFixed(4), '0.2000');
+    assert.equal(bounds.height.toFixed(4), '0.2000');
+  });
+});
+
+
+describe('PanoSphereViewer::_getTilesLevel', function() {
+  var psv = createViewer();
+  var tiles = { levels: psv._parseTilesLevels(PANORAMA) };
+
+  it('should choose the lowest level with enough pixels for the screen', function() {
+    // 600 pixels for 90°, 382 pixels per radian
+    psv.prop.vFov = 90;
+    assert.equal(psv._getTilesLevel(tiles), 1);
+
+    // 1719 pixels per radian
+    psv.prop.vFov = 20;
+    assert.equal(psv._getTilesLevel(tiles), 1);
+
+    psv.prop.vFov = 180;
+    assert.equal(psv._getTilesLevel(tiles), 0);
+  });
+
+  it('should use the highest level when no level is precise enough', function() {
+    psv.prop.vFov = 5;
+    assert.equal(psv._getTilesLevel(tiles), 1);
+  });
+
+  it('should compare the faces of cubemaps to a quarter of the horizon', function() {
+    var cubemap = { cubemap: true, levels: [{ width: 512 }, { width: 1024 }] };
+
+    // 764 pixels per radian, 652 for a face of 1024 pixels
+    psv.prop.vFov = 45;
+    assert.equal(psv._getTilesLevel(cubemap), 1);
+
+    psv.prop.vFov = 90;
+    assert.equal(psv._getTilesLevel(cubemap), 1);
+
+    psv.prop.vFov = 120;
+    assert.equal(psv._getTilesLevel(cubemap), 0);
+  });
+});
+
+
+describe('PanoSphereViewer::_updateTiles', function() {
+  it('should load the visible tiles, closest first', function() {
+    var psv = createViewer();
+
+    return display(psv, PANORAMA).then(function(tiles) {
+      assert.equal(tiles.level, 1);
+      assert.equal(psv.requests.length, lib.PanoSphereViewer.TILES_CONCURRENCY);
+
+      // the view direction is at the center of the panorama
+      assert.deepEqual(urls(psv).sort(), ['1/7_3.jpg', '1/7_4.jpg', '1/8_3.jpg', '1/8_4.jpg']);
+      assert.equal(tiles.visible, tiles.queue.length + 4);
+      assert.ok(tiles.visible < 16 * 8 / 2);
+
+      tiles.queue.forEach(function(tile, i) {
+        assert.ok(tile.col > 0 && tile.col < 15);
+        assert.ok(i === 0 || tile.distance >= tiles.queue[i - 1].distance);
+      });
+    });
+  });
+
+  it('should skip the faces of cubemaps out of the view', function() {
+    var psv = createViewer();
+
+    return display(psv, CUBEMAP).then(function(tiles) {
+      var faces = urls(psv).concat(tiles.queue.map(function(tile) {
+        return tile.face;
+      }));
+
+      assert.equal(urls(psv)[0].split('/')[0], 'front');
+      assert.equal(faces.indexOf(lib.PanoSphereViewer.CUBE_HASHMAP.indexOf('back')), -1);
+    });
+  });
+
+  it('should not request again the tiles which failed', function() {
+    var psv = createViewer({ load_retry: { count: 1, delay: 1000, factor: 2 } });
+    var tiles;
+
+    var fail = function() {
+      psv.requests.filter(function(request) {
+        return request.url === '0/0_0.jpg';
+      })[0].defer.reject(new lib.PSVLoadError('Cannot load image'));
+
+      return wait();
+    };
+
+    return display(psv, SMALL)
+      .then(function(result) {
+        tiles = result;
+        assert.deepEqual(urls(psv), ['0/0_0.jpg', '0/1_0.jpg']);
+
+        return fail();
+      })
+      .then(function() {
+        var failure = tiles.failures['0/0:0x0'];
+
+        assert.equal(failure.count, 1);
+        assert.ok(failure.retry > Date.now() + 500);
+
+        psv.requests.length = 0;
+        psv._updateTiles();
+        assert.deepEqual(urls(psv), []);
+
+        // the tile is requested again after the delay, once
+        failure.retry = Date.now();
+        psv._updateTiles();
+        assert.deepEqual(urls(psv), ['0/0_0.jpg']);
+
+        return fail();
+      })
+      .then(function() {
+        assert.deepEqual(tiles.failures['0/0:0x0'], { count: 2, retry: Infinity });
+
+        psv.requests.length = 0;
+        psv._updateTiles();
+        assert.deepEqual(urls(psv), []);
+      });
+  });
+
+  it('should abort the requests and ignore their result when the panorama changes', function() {
+    var psv = createViewer();
+    var previous;
+    var pending;
+
+    return display(psv, PANORAMA).then(function(tiles) {
+      previous = tiles;
+      pending = psv.requests.splice(0);
+
+      return display(psv, PANORAMA);
+    }).then(function(tiles) {
+      assert.ok(pending.every(function(request) {
+        return request.signal.aborted;
+      }));
+      assert.deepEqual(previous.layers, {});
+
+      // the same tile is requested by the new panorama
+      pending[0].defer.resolve({ width: 1, height: 1 });
+      return wait().then(function() {
+        assert.ok(!tiles.layers[1][Object.keys(tiles.layers[1])[0]].texture);
+        assert.equal(psv.mesh.children.length, 0);
+        assert.deepEqual(previous.layers, {});
+      });
+    });
+  });
+
+  it('should ignore the result of a tile removed and requested again', function() {
+    var psv = createViewer();
+
+    return display(psv, SMALL).then(function(tiles) {
+      var removed = psv.requests.shift();
+
+      psv._removeTile(tiles, 0, '0:0x0');
+      psv._updateTiles();
+
+      var requested = psv.requests.pop();
+      assert.equal(requested.url, removed.url);
+
+      removed.defer.resolve({ width: 1, height: 1 });
+
+      return wait().then(function() {
+        assert.strictEqual(tiles.layers[0]['0:0x0'].texture, null);
+        assert.equal(psv.mesh.children.length, 0);
+
+        requested.defer.resolve({ width: 1, height: 1 });
+        return wait();
+      }).then(function() {
+        assert.ok(tiles.layers[0]['0:0x0'].texture instanceof THREE.Texture);
+        assert.equal(psv.mesh.children.length, 1);
+      });
+    });
+  });
+
+  it('should display the loaded tiles', function() {
+    var psv = createViewer();
+
+    return display(psv, PANORAMA).then(function(tiles) {
+      var progress = [];
+      psv.on('panorama-load-progress', function(panorama, value) {
+        progress.push(value);
+      });
+
+      psv.requests.shift().defer.resolve({ width: 1, height: 1 });
+
+      return wait().then(function() {
+        assert.equal(psv.mesh.children.length, 1);
+        assert.ok(psv.mesh.children[0].material.map instanceof THREE.Texture);
+        assert.equal(tiles.loaded, 1);
+        assert.deepEqual(progress, [parseInt(100 / tiles.visible)]);
+      });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+var assert = require('assert');
+var THREE = require('three');
+var D = require('d.js');
+var loader = require('../loader.js');
+
+var lib = loader.load();
+
+var SCENES = [
+  {
+    id: 'hall',
+    panorama: 'hall.jpg',
+    links: [
+      { scene: 'garden', longitude: 1.5, position: { longitude: 0, latitude: 0 } },
+      { scene: 'cellar', longitude: 3 },
+      { scene: 'attic', longitude: 4 }
+    ]
+  },
+  { id: 'garden', panorama: 'garden.jpg' },
+  { id: 'cellar', panorama: ['l.jpg', 'f.jpg', 'r.jpg', 'b.jpg', 't.jpg', 'd.jpg'] },
+  { id: 'attic', panorama: 'broken.jpg' }
+];
+
+/**
+ * Creates a viewer of the tour, the transitions are played when the test plays the frames
+ */
+function createViewer() {
+  return loader.createViewer(lib, {
+    transition: { duration: 500, effect: 'fade' },
+    tour: { scenes: JSON.parse(JSON.stringify(SCENES)) }
+  });
+}
+
+function link(psv, index) {
+  return psv.hud.getMarker(lib.PSVTour.LINK_PREFIX + index);
+}
+
+function wait() {
+  return D.delay(null, 10);
+}
+
+
+describe('PSVTour::_onSelectMarker', function() {
+  var loadTexture = lib.PanoSphereViewer.prototype._loadTexture;
+  var requestAnimationFrame = lib.window.requestAnimationFrame;
+  var warn = console.warn;
+  var frames;
+  var warnings;
+
+  /**
+   * Plays the frames of the animations, 100ms each, until no frame is requested
+   */
+  var play = function() {
+    var time = 0;
+
+    for (var i = 0; i < 100 && frames.length; i++) {
+      time += 100;
+      frames.splice(0).forEach(function(frame) {
+        frame(time);
+      });
+    }
+  };
+
+  beforeEach(function() {
+    lib.PanoSphereViewer.prototype._loadTexture = function(panorama) {
+      if (Array.isArray(panorama)) {
+        return loadTexture.apply(this, arguments);
+      }
+      if (panorama === 'broken.jpg') {
+        return D.rejected(new lib.PSVLoadError('Cannot load image'));
+      }
+
+      this.prop.isCubemap = false;
+      return D.resolved(new THREE.Texture({ width: 2, height: 1 }));
+    };
+
+    frames = [];
+    lib.window.requestAnimationFrame = function(frame) {
+      frames.push(frame);
+      return frames.length;
+    };
+
+    warnings = [];
+    console.warn = function() {
+      warnings.push(arguments);
+    };
+  });
+
+  afterEach(function() {
+    lib.PanoSphereViewer.prototype._loadTexture = loadTexture;
+    lib.window.requestAnimationFrame = requestAnimationFrame;
+    console.warn = warn;
+  });
+
+  it('should turn the view toward the link during the transition', function() {
+    var psv = createViewer();
+    var view = null;
+
+    psv.on('transition-end', function() {
+      view = lib.PSVUtils.clone(psv.prop.position);
+    });
+
+    return wait().then(function() {
+      psv.tour._onSelectMarker(link(psv, 0));
+      return wait();
+    }).then(function() {
+      play();
+      return wait();
+    }).then(function() {
+      assert.equal(psv.tour.currentScene.id, 'garden');
+      assert.equal(view.longitude.toFixed(4), '1.5000');
+      assert.equal(view.latitude.toFixed(4), '0.0000');
+
+      // the position of the link in the new scene
+      assert.equal(psv.prop.position.longitude, 0);
+    });
+  });
+
+  it('should report the scenes which cannot be displayed', function() {
+    var psv = createViewer();
+
+    return wait().then(function() {
+      psv.tour._onSelectMarker(link(psv, 1));
+      return wait();
+    }).then(function() {
+      assert.equal(psv.tour.currentScene.id, 'hall');
+      assert.equal(warnings.length, 1);
+      assert.ok(warnings[0][1] instanceof lib.PSVError);
+    });
+  });
+
+  it('should let the viewer display the loading errors', function() {
+    var psv = createViewer();
+
+    return wait().then(function() {
+      psv.tour._onSelectMarker(link(psv, 2));
+      return wait();
+    }).then(function() {
+      assert.equal(psv.tour.currentScene.id, 'hall');
+      assert.equal(warnings.length, 0);
+      assert.ok(psv.errorOverlay.retry);
+    });
+  });
+});
@@ -240,6 +240,34 @@ describe('PSVUtils::parseSpeed', function() {
   });
 });
 
+
+describe('PSVUtils::projectAngle', function() {
+  it('should match usual projections', function() {
+    var angle = Math.PI / 3;
+
+    assert.equal(PSVUtils.projectAngle(angle, { perspective: 0 }).toFixed(12), Math.tan(angle).toFixed(12), 'rectilinear');
+    assert.equal(PSVUtils.projectAngle(angle, { perspective: 1 }).toFixed(12), (2 * Math.tan(angle / 2)).toFixed(12), 'stereographic');
+    assert.equal(PSVUtils.projectAngle(angle, { equisolid: true }).toFixed(12), (2 * Math.sin(angle / 2)).toFixed(12), 'equisolid');
+  });
+
+  it('should be reversed by unprojectRadius', function() {
+    var projections = [
+      { perspective: 0 },
+      { perspective: 0.5 },
+      { perspective: 1 },
+      { equisolid: true }
+    ];
+
+    projections.forEach(function(projection) {
+      [0, 0.3, 1.2, 1.5].forEach(function(angle) {
+        var radius = PSVUtils.projectAngle(angle, projection);
+        assert.equal(PSVUtils.unprojectRadius(radius, projection).toFixed(12), angle.toFixed(12), JSON.stringify(projection) + ' ' + angle);
+      });
+    });
+  });
+});
+
+
 describe('PSVUtils::deepmerge', function() {
   it('should merge basic plain objects', function() {
     var one = { a: 'z', b: { c: { d: 'e' } } };
@@ -355,6 +383,72 @@ describe('PSVUtils::getXMPValue', function() {
 
 });
 
+describe('PSVUtils::parseJPEGHeaders', function() {
+  function segment(marker, bytes) {
+    return [0xFF, marker, (bytes.length + 2) >> 8, (bytes.length + 2) & 0xFF].concat(bytes);
+  }
+
+  function chars(str) {
+    return str.split('').map(function(c) {
+      return c.charCodeAt(0);
+    });
+  }
+
+  function uint(value, size) {
+    var bytes = [];
+    for (var i = size - 1; i >= 0; i--) {
+      bytes.push((value >> (i * 8)) & 0xFF);
+    }
+    return bytes;
+  }
+
+  function entry(tag, type, count, value) {
+    return uint(tag, 2).concat(uint(type, 2), uint(count, 4), value);
+  }
+
+  var xmp = segment(0xE1, chars('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta><GPano:PoseHeadingDegrees>270</GPano:PoseHeadingDegrees></x:xmpmeta>'));
+
+  var exif = segment(0xE1, chars('Exif\0\0MM').concat(
+    uint(42, 2), uint(8, 4),
+    // IFD0 with the GPS IFD pointer
+    uint(1, 2), entry(0x8825, 4, 1, uint(26, 4)), uint(0, 4),
+    // GPS IFD
+    uint(4, 2),
+    entry(0x0001, 2, 2, chars('N\0\0\0')),
+    entry(0x0002, 5, 3, uint(80, 4)),
+    entry(0x0003, 2, 2, chars('W\0\0\0')),
+    entry(0x0004, 5, 3, uint(104, 4)),
+    uint(0, 4),
+    [48, 30, 0, 2, 15, 36].reduce(function(bytes, value) {
+      return bytes.concat(uint(value, 4), uint(1, 4));
+    }, [])
+  ));
+
+  it('should read XMP and EXIF segments', function() {
+    var file = [0xFF, 0xD8].concat(exif, xmp, [0xFF, 0xDA, 0, 0]);
+
+    var result = PSVUtils.parseJPEGHeaders(new Uint8Array(file).buffer);
+
+    assert.ok(result.complete);
+    assert.equal(PSVUtils.getXMPValue(result.xmp, 'PoseHeadingDegrees'), '270');
+    assert.equal(result.exif.gps.latitude, 48.5);
+    assert.equal(result.exif.gps.longitude.toFixed(2), '-2.26');
+  });
+
+  it('should detect incomplete headers', function() {
+    var file = [0xFF, 0xD8].concat(exif, xmp.slice(0, 20));
+
+    var result = PSVUtils.parseJPEGHeaders(new Uint8Array(file).buffer);
+
+    assert.ok(!result.complete);
+    assert.equal(result.length, 2 + exif.length + xmp.length);
+  });
+
+  it('should ignore other files', function() {
+    assert.equal(PSVUtils.parseJPEGHeaders(new Uint8Array(chars('\x89PNG')).buffer), null);
+  });
+});
+
 describe('PSVUtils::dasherize', function() {
   it('should dasherize from camelCase', function() {
     assert.equal(PSVUtils.dasherize('strokeWidth'), 'stroke-width');
@@ -364,3 +458,43 @@ describe('PSVUtils::dasherize', function() {
     assert.equal(PSVUtils.dasherize('stroke-width'), 'stroke-width');
   });
 });
+
+describe('PSVUtils::parseUrlHash', function() {
+  it('should parse the parameters', function() {
+    assert.deepEqual(PSVUtils.parseUrlHash('#scene=hall&longitude=-12.50&zoom=50'), {
+      scene: 'hall',
+      longitude: '-12.50',
+      zoom: '50'
+    });
+  });
+
+  it('should decode keys and values', function() {
+    assert.deepEqual(PSVUtils.parseUrlHash('scene=living%20room&a%26b=c=d&flag'), {
+      scene: 'living room',
+      'a&b': 'c=d',
+      flag: ''
+    });
+  });
+
+  it('should return an empty object for an empty hash', function() {
+    assert.deepEqual(PSVUtils.parseUrlHash(''), {});
+    assert.deepEqual(PSVUtils.parseUrlHash('#'), {});
+  });
+});
+
+describe('PSVUtils::isSerializable', function() {
+  it('should accept JSON values', function() {
+    assert.ok(PSVUtils.isSerializable('pano.jpg'));
+    assert.ok(PSVUtils.isSerializable(null));
+    assert.ok(PSVUtils.isSerializable(['a.jpg', 'b.jpg']));
+    assert.ok(PSVUtils.isSerializable({ left: 'l.jpg', size: 512, tiled: false, data: [null] }));
+  });
+
+  it('should reject other values', function() {
+    assert.ok(!PSVUtils.isSerializable(undefined));
+    assert.ok(!PSVUtils.isSerializable(NaN));
+    assert.ok(!PSVUtils.isSerializable(function() {}));
+    assert.ok(!PSVUtils.isSerializable({ url: function() {} }));
+    assert.ok(!PSVUtils.isSerializable([new Date()]));
+  });
+});